@@ -31,6 +31,314 @@ fs.ensureDirSync(OUTPUTS_DIR);
 const { supabase, supabaseAdmin } = require('../lib/supabase.js');
 console.log('Supabase clients initialized successfully');
 
+// ============================================================================
+// JOB LIFECYCLE TRACKING
+// ============================================================================
+// Each job folder gets a job.json manifest describing its current state
+// (queued -> breakdown -> planning -> executing/synthesizing -> completed/failed/cancelled)
+
+const { createJobManifest, readJobManifest, updateJobManifest, transitionJob, describeJob, TERMINAL_STATES } = require('../lib/jobState.js');
+
+// Progress events (breakdown, plan, per-action updates) are recorded per job and
+// streamed to clients over Server-Sent Events
+const { emitJobEvent, readJobEvents, subscribeJobEvents } = require('../lib/jobEvents.js');
+
+// Cancellation: each running job has an AbortController whose signal is passed to
+// every outbound request, and the executor checks it between actions
+const { registerJob, releaseJob, getJobSignal, isJobCancelled, getCancelReason, cancelJob, interruptJob, throwIfCancelled } = require('../lib/jobControl.js');
+
+// Durable queue: submissions are persisted to ai_outputs/job_queue.json and run by a
+// fixed number of workers (the queue itself is started further down, once
+// processAndCritique is defined)
+const { createJobQueue } = require('../lib/jobQueue.js');
+const JOB_QUEUE_CONCURRENCY = Math.max(1, parseInt(process.env.JOB_QUEUE_CONCURRENCY || '1', 10) || 1);
+// Plan-only dry runs don't go through the queue (the request waits for its plan),
+// so they have their own cap; requests over it get a 429
+const PLAN_ONLY_CONCURRENCY = Math.max(1, parseInt(process.env.PLAN_ONLY_CONCURRENCY || '1', 10) || 1);
+let runningDryRuns = 0;
+
+// Plan validation: stable action ids, dependency/cycle checks and auto-repair
+const { validatePlan, formatValidationReport, DEFAULT_ID_PREFIX } = require('../lib/planValidator.js');
+const PLAN_AUTO_REPAIR = process.env.PLAN_AUTO_REPAIR !== 'false';
+
+// Plan approval: jobs submitted with requireApproval (or every job, if this is set)
+// pause in "awaiting_approval" until someone approves, edits or rejects the plan
+const REQUIRE_PLAN_APPROVAL = process.env.REQUIRE_PLAN_APPROVAL === 'true';
+
+// Usage ledger: every outbound call a job makes is logged to its usage.jsonl
+// (model, tokens, latency, attempt, estimated cost)
+const { appendUsage, readUsage, summarizeUsage } = require('../lib/usageLedger.js');
+
+// Running LLM and search call counts per job, for the budget checks. Seeded from
+// the ledger the first time a job's totals are read (so calls made before a
+// restart count), then kept up to date by recordUsage.
+const usageTotals = new Map(); // key: jobId, value: { llmCalls, searchCalls }
+
+// Record a ledger entry for a job. Calls made outside a job (e.g. the memory
+// test endpoints) have no folder to write to and are not recorded.
+function recordUsage(jobId, entry) {
+    if (!jobId) return;
+    const folderPath = path.join(OUTPUTS_DIR, String(jobId));
+    if (!fs.existsSync(folderPath)) return;
+    appendUsage(folderPath, entry);
+    const totals = usageTotals.get(String(jobId));
+    if (totals && entry.kind === 'llm') totals.llmCalls++;
+    if (totals && entry.kind === 'search') totals.searchCalls++;
+}
+
+function jobUsageTotals(jobId) {
+    const key = String(jobId);
+    if (!usageTotals.has(key)) {
+        const ledger = readUsage(path.join(OUTPUTS_DIR, key));
+        usageTotals.set(key, {
+            llmCalls: ledger.filter(entry => entry.kind === 'llm').length,
+            searchCalls: ledger.filter(entry => entry.kind === 'search').length
+        });
+    }
+    return usageTotals.get(key);
+}
+
+// Per-job budgets (plan rewrites, LLM calls, searches, wall-clock time). Defaults
+// come from JOB_MAX_* env vars; a request may override them with "budget".
+const { resolveBudget, activeElapsedMs, checkBudget, fitsBudget, BudgetValidationError } = require('../lib/jobBudget.js');
+
+// Budgets of the jobs running in this process, so limits also hold inside a
+// single action or planning call. The fallback loops check llmLimit before every
+// model attempt (it is raised for the final response once the budget is spent),
+// and a timer interrupts whatever is in flight when maxDurationSeconds runs out.
+const jobBudgets = new Map(); // key: jobId, value: { budget, llmLimit, timer }
+
+function startJobBudget(jobId, folderPath, budget) {
+    stopJobBudget(jobId);
+    const entry = { budget, llmLimit: budget.maxLlmCalls, timer: null };
+    if (budget.maxDurationSeconds !== null && budget.maxDurationSeconds !== undefined) {
+        const remainingMs = Math.max(0, budget.maxDurationSeconds * 1000 - activeElapsedMs(readJobManifest(folderPath)));
+        entry.timer = setTimeout(() => {
+            console.warn(`[Job ${jobId}] Budget limit maxDurationSeconds reached (${budget.maxDurationSeconds}s) - interrupting running work`);
+            interruptJob(jobId, `Job hit its maxDurationSeconds budget (${budget.maxDurationSeconds}s)`);
+        }, remainingMs);
+    }
+    jobBudgets.set(String(jobId), entry);
+}
+
+function stopJobBudget(jobId) {
+    const entry = jobBudgets.get(String(jobId));
+    if (entry) clearTimeout(entry.timer);
+    jobBudgets.delete(String(jobId));
+}
+
+// Let a job whose budget is spent make `calls` more model attempts (for the final response)
+function allowLlmCalls(jobId, calls) {
+    const entry = jobBudgets.get(String(jobId));
+    if (entry && entry.llmLimit !== null && entry.llmLimit !== undefined) {
+        entry.llmLimit = Math.max(entry.llmLimit, jobUsageTotals(jobId).llmCalls + calls);
+    }
+}
+
+// The limit the job's next model attempt would break ({ limit, used, max }), or null
+function llmBudgetHit(jobId) {
+    const entry = jobBudgets.get(String(jobId));
+    if (!entry) return null;
+    return checkBudget({ maxLlmCalls: entry.llmLimit }, jobUsageTotals(jobId));
+}
+
+// Schemas, checks and repair prompts for the planners' structured JSON replies
+const { BREAKDOWN_SCHEMA, PROGRESS_REVIEW_SCHEMA, validateBreakdown, validateProgressReview, buildRepairPrompt, formatSteps } = require('../lib/structuredOutput.js');
+
+// Lenient parsing, repair and schema validation of every JSON model reply
+const { checkModelJson } = require('../lib/jsonOutput.js');
+
+// Numbered evidence, [n] citation rules and the post-check for final answers
+const { CITATION_RULES, buildEvidence, formatEvidenceForPrompt, stripModelReferences, checkCitations, appendReferences, formatCitationReport } = require('../lib/citations.js');
+
+// Optional critic pass over the final answer: review against the evidence and at
+// most one revision. On for every job with CRITIC_PASS=true, or per job with "critic".
+const { CRITIQUE_SCHEMA, CRITIC_SYSTEM_PROMPT, validateCritique, findUnsupportedNumbers, buildCritiquePrompt, buildRevisionRequest, diffLines, formatCritiqueReport } = require('../lib/critic.js');
+const CRITIC_PASS = process.env.CRITIC_PASS === 'true';
+
+// Credibility tiers, allow/block lists and scores for search results and pages.
+// Configured with SOURCE_POLICY_FILE and the SOURCE_* env vars.
+const { createSourcePolicy, rankByCredibility, credibilityLabel } = require('../lib/sourcePolicy.js');
+const sourcePolicy = createSourcePolicy();
+
+// Which server answers each entry of the model fallback chains (OpenRouter or a
+// local OpenAI-compatible server), and whether calls must stay local
+const { createLlmProviders, textModelChain, jsonModelChain, planUpdateModelChain } = require('../lib/llmProviders.js');
+const llmProviders = createLlmProviders();
+
+// Success rate, latency and rate limits per model, shared by all jobs. Failing
+// models get their circuit opened for a cool-down and the chains are reordered.
+const { createModelHealth, parseRetryAfter } = require('../lib/modelHealth.js');
+const modelHealth = createModelHealth();
+
+// Pause before each fallback attempt after the first, so a struggling provider
+// isn't hit in rapid succession
+const LLM_RETRY_DELAY_MS = Math.max(0, parseInt(process.env.LLM_RETRY_DELAY_MS ?? '2000', 10) || 0);
+
+// ============================================================================
+// OFFLINE RECORD / REPLAY
+// ============================================================================
+// CASSETTE_MODE=record saves every LLM, Jina, Google and Fitbit response to
+// CASSETTE_FILE; CASSETTE_MODE=replay serves them back without any network calls
+// (CASSETTE_LOOSE_MATCH=true lets a changed request replay its task's next response)
+
+const { createCassette } = require('../lib/cassette.js');
+const cassette = createCassette({
+    mode: process.env.CASSETTE_MODE || 'off',
+    filePath: process.env.CASSETTE_FILE || path.join(__dirname, 'cassettes', 'default.json'),
+    looseMatch: process.env.CASSETTE_LOOSE_MATCH === 'true'
+});
+
+// Local time quoted in prompts. It goes through the cassette like any other call,
+// so a replayed prompt is identical to the recorded one and matches its entry.
+async function promptLocalTime(taskName) {
+    const now = await cassette.run('clock', taskName, {}, () => new Date().toISOString());
+    return new Date(now).toLocaleString('en-US', { timeZone: 'Asia/Singapore' });
+}
+
+// ============================================================================
+// SEARCH CACHE
+// ============================================================================
+// Search results shared across jobs for SEARCH_CACHE_TTL_HOURS (default 24, 0 =
+// off), keyed by normalized query. Cassette runs bypass it so recordings contain
+// every search and replays don't depend on the cache.
+
+const { canonicalUrl, dedupeByUrl, normalizeQuery, createSearchCache, appendCacheLog, summarizeCacheLog } = require('../lib/searchCache.js');
+const searchCacheTtlHours = Number(process.env.SEARCH_CACHE_TTL_HOURS ?? 24);
+const searchCache = createSearchCache({
+    filePath: process.env.SEARCH_CACHE_FILE || path.join(__dirname, 'search_cache', 'search_cache.json'),
+    ttlMs: Number.isFinite(searchCacheTtlHours) ? searchCacheTtlHours * 60 * 60 * 1000 : 0,
+    maxEntries: parseInt(process.env.SEARCH_CACHE_MAX_ENTRIES || '1000', 10) || 1000
+});
+
+// ============================================================================
+// ACTION REGISTRY
+// ============================================================================
+// The action types plans can use. The plan schema, the prompts' action lists, the
+// validator and the executor's dispatch are generated from these registrations.
+// Extra (domain) actions live in backend/lib/actions/, one module per action.
+
+const { createActionRegistry } = require('../lib/actionRegistry.js');
+const actionRegistry = createActionRegistry();
+
+actionRegistry.register({
+    type: 'google_search',
+    description: 'Search the web (through the configured search providers) for targeted health/medical information',
+    guidance: [
+        'Use targeted medical/health terms; include words like "medical", "health", "research", "study", "clinical" where helpful.',
+        'Focus on evidence-based sources and filter out irrelevant content.',
+        'Never include unrelated strings in any action or query.'
+    ],
+    reusableOnRerun: true,
+    estimate: { searchCalls: 1 },
+    handler: ({ jobId, folderPath, action, executionResults }) =>
+        executeGoogleSearch(jobId, folderPath, action, executionResults)
+});
+
+actionRegistry.register({
+    type: 'analyze_results',
+    description: 'Analyze search results and filter out irrelevant content (may request more research)',
+    // Looks up memories when the user has a profile
+    estimate: { llmCalls: 1, profileEmbeddingCalls: 1 },
+    llmChain: 'json',
+    estimateNote: 'analyze_results may rewrite the plan and add more actions, which are not counted here',
+    handler: ({ jobId, folderPath, action, executionResults, originalQuery }) =>
+        executeAnalyzeResults(jobId, folderPath, action, executionResults, originalQuery)
+});
+
+actionRegistry.register({
+    type: 'synthesize',
+    description: 'Combine reliable information from multiple sources',
+    phase: 'synthesizing',
+    estimate: { llmCalls: 1 },
+    handler: ({ jobId, folderPath, action, executionResults, originalQuery }) =>
+        executeSynthesize(jobId, folderPath, action, executionResults, originalQuery)
+});
+
+actionRegistry.register({
+    type: 'formulate_response',
+    description: 'Create the evidence-based final user response',
+    phase: 'synthesizing',
+    estimate: { llmCalls: 1 },
+    estimateNote: 'With the critic pass on, formulate_response makes up to two more LLM calls (critique and one revision)',
+    handler: ({ jobId, folderPath, action, executionResults, originalQuery }) =>
+        executeFormulateResponse(jobId, folderPath, action, executionResults, originalQuery)
+});
+
+actionRegistry.register({
+    type: 'get_fitbit_data',
+    requiresQuery: false,
+    description: "Get the user's Fitbit activity data",
+    schema: {
+        properties: {
+            date: { type: ['string', 'null'], description: 'day as YYYY-MM-DD, or null for today' }
+        },
+        required: []
+    },
+    reusableOnRerun: true,
+    resultKey: 'fitbitData',
+    estimate: { fitbitCalls: 1 },
+    handler: ({ jobId, folderPath, action, executionResults }) =>
+        executeFitbitData(jobId, folderPath, action, executionResults)
+});
+
+actionRegistry.register({
+    type: 'get_fitbit_sleep',
+    requiresQuery: false,
+    description: "Get the user's Fitbit sleep data",
+    schema: {
+        properties: {
+            date: { type: ['string', 'null'], description: 'day as YYYY-MM-DD, or null for today' }
+        },
+        required: []
+    },
+    reusableOnRerun: true,
+    resultKey: 'fitbitSleepData',
+    estimate: { fitbitCalls: 1 },
+    handler: ({ jobId, folderPath, action, executionResults }) =>
+        executeFitbitSleep(jobId, folderPath, action, executionResults)
+});
+
+actionRegistry.register({
+    type: 'memory_search',
+    description: 'Search long-term memories for relevant prior information',
+    estimate: { embeddingCalls: 1 },
+    handler: ({ jobId, action, executionResults }) =>
+        executeMemorySearch(jobId, action, executionResults)
+});
+
+actionRegistry.register({
+    type: 'memory_store',
+    description: 'Store important insights to long-term memory',
+    estimate: { embeddingCalls: 1 },
+    handler: ({ jobId, action, executionResults }) =>
+        executeMemoryStore(jobId, action, executionResults)
+});
+
+const domainActions = actionRegistry.loadDirectory(path.join(__dirname, '..', 'lib', 'actions'));
+if (domainActions.length > 0) {
+    console.log(`Registered domain actions: ${domainActions.join(', ')}`);
+}
+
+// Helpers handed to every action handler as "services", so action modules don't
+// have to reach into this file
+const actionServices = {
+    supabase,
+    supabaseAdmin,
+    cassette,
+    recordUsage,
+    emitJobEvent,
+    getFitbitAccessToken,
+    getFitbitRange,
+    generateJinaEmbedding,
+    generateJinaEmbeddings,
+    searchMemories,
+    storeMemory,
+    callOpenRouterWithFallback,
+    callOpenRouterJSONWithFallback,
+    sourcePolicy
+};
+
 // ============================================================================
 // AI SYSTEM PROMPT CONFIGURATION
 // ============================================================================
@@ -77,6 +385,18 @@ function formatMemoriesForContext(memories = []) {
     return `${i + 1}. [${m.type || m.memory_type || 'memory'}] ${m.title || '(untitled)'} (sim=${score}) — ${snippet}`;
   }).join('\n');
 }
+
+// Format fetch_source passages for inclusion in AI context
+function formatSourcePassages(sources = [], { maxSources = 5, maxChars = 600 } = {}) {
+  if (!Array.isArray(sources) || sources.length === 0) return 'None';
+  return sources.slice(0, maxSources).map((source, i) => {
+    const passages = source.passages.map(p => {
+      const text = p.text.replace(/\s+/g, ' ');
+      return `   - [${p.score}] ${text.length > maxChars ? `${text.slice(0, maxChars)}…` : text}`;
+    });
+    return `${i + 1}. ${source.title} (${source.url}) [${credibilityLabel(source)}]\n${passages.join('\n')}`;
+  }).join('\n');
+}
 // which will be replaced at runtime.
 
 // Helper to render prompt templates with simple token replacement
@@ -85,30 +405,22 @@ function renderPrompt(template, vars = {}) {
   return template
     .replaceAll('{ORIGINAL_QUERY}', vars.originalQuery ?? '')
     .replaceAll('{ACTION_QUERY}', vars.actionQuery ?? '')
-    .replaceAll('{ALLOWED_ACTIONS}', 'google_search, analyze_results, synthesize, formulate_response, get_fitbit_data, get_fitbit_sleep, memory_search, memory_store');
+    .replaceAll('{ALLOWED_ACTIONS}', actionRegistry.allowedList());
 }
 
-// Environment-configurable prompts
-const ENV_PROMPTS = {
-  breakdownSystem: process.env.AI_BREAKDOWN_SYSTEM_PROMPT || 'You are a health-focused task breakdown specialist. Follow the user message strictly: output only the two sections (## BREAKDOWN STEPS: and ## EXECUTOR SYSTEM PROMPT:). Do not output JSON yourself. Focus on medical/health relevance and evidence-based queries. Append the exact magic phrase required by the user message.',
-  jsonExecutorSystem: process.env.AI_JSON_EXECUTOR_SYSTEM_PROMPT || `You are a health-focused AI task executor. Convert the breakdown steps above into a JSON array of actions with high-quality search queries.
+// Default JSON Executor system prompt, generated from the action registry
+function buildExecutorPrompt() {
+  const guidance = actionRegistry.plannerGuidance();
+  return `You are a health-focused AI task executor. Convert the breakdown steps above into a JSON array of actions with high-quality search queries.
 
 RULES:
-- Use ONLY these 8 action types — NO OTHERS: google_search, analyze_results, synthesize, formulate_response, get_fitbit_data, get_fitbit_sleep, memory_search, memory_store.
+- Use ONLY these ${actionRegistry.types().length} action types — NO OTHERS: ${actionRegistry.allowedList()}.
 - Priorities: lower numbers run earlier. Typical order: searches (1-3), analysis (after searches), synthesis (after analysis), final response (last).
-- For actions of type google_search, analyze_results, synthesize, formulate_response, memory_search, memory_store — include exactly these fields:
-  - "type" (one of the 8 types)
-  - "query" (string)
-  - "priority" (integer 1-10)
-  - "dependencies" (array of step numbers)
-- For get_fitbit_data and get_fitbit_sleep — include:
-  - "type", "priority", "dependencies" (no "query" is required)
-
-GOOGLE_SEARCH REQUIREMENTS:
-- Use targeted medical/health terms; include words like "medical", "health", "research", "study", "clinical" where helpful.
-- Focus on evidence-based sources and filter out irrelevant content.
-- Never include unrelated strings in any action or query.
+${actionRegistry.fieldRules()}
 
+AVAILABLE ACTIONS:
+${actionRegistry.describeActions()}
+${guidance ? `\n${guidance}\n` : ''}
 RETURN FORMAT:
 - Return ONLY valid JSON with the top-level object: { "actions": [...] }.
 - Do NOT include markdown fences or extra text.
@@ -126,54 +438,41 @@ EXAMPLE OUTPUT:
     {"type": "memory_store", "query": "Key insights about fatigue differentials and personal biometrics correlations", "priority": 8, "dependencies": [7]},
     {"type": "formulate_response", "query": "produce final evidence-based guidance with next steps", "priority": 9, "dependencies": [7]}
   ]
-}`,
+}`;
+}
+
+// Environment-configurable prompts
+const ENV_PROMPTS = {
+  breakdownSystem: process.env.AI_BREAKDOWN_SYSTEM_PROMPT || 'You are a health-focused task breakdown specialist. Follow the user message strictly: reply with only the JSON object it describes (steps, rationale, executorPrompt). Do not write the JSON action plan yourself. Focus on medical/health relevance and evidence-based queries.',
+  jsonExecutorSystem: process.env.AI_JSON_EXECUTOR_SYSTEM_PROMPT || buildExecutorPrompt(),
   progressAnalyzerSystem: process.env.AI_PROGRESS_ANALYZER_SYSTEM_PROMPT || '', // Optional template with tokens
   synthesisSystem: process.env.AI_SYNTHESIS_SYSTEM_PROMPT || '', // Optional template with tokens
-  finalResponseSystem: process.env.AI_FINAL_RESPONSE_SYSTEM_PROMPT || '' // Optional template with tokens
+  finalResponseSystem: process.env.AI_FINAL_RESPONSE_SYSTEM_PROMPT || '', // Optional template with tokens
+  criticSystem: process.env.AI_CRITIC_SYSTEM_PROMPT || CRITIC_SYSTEM_PROMPT
 };
 
 // Retry configuration for JSON action executor
 const JSON_ACTION_MAX_RETRIES = parseInt(process.env.JSON_ACTION_MAX_RETRIES || '3', 10);
 
+// How many times a structured (JSON) planner reply that can't be used is sent back
+// to the model with a repair prompt before giving up
+const STRUCTURED_OUTPUT_MAX_REPAIRS = Math.max(0, parseInt(process.env.STRUCTURED_OUTPUT_MAX_REPAIRS || '2', 10) || 0);
+
+// How many independent plan actions may run at the same time
+const JSON_ACTION_PARALLELISM = Math.max(1, parseInt(process.env.JSON_ACTION_PARALLELISM || '3', 10) || 1);
+
+// Run fetch_source on every google_search's results without the plan asking for it
+const SOURCE_FETCH_AFTER_SEARCH = process.env.SOURCE_FETCH_AFTER_SEARCH === 'true';
+
 // ============================================================================
-// GOOGLE SEARCH FUNCTIONALITY
+// WEB SEARCH PROVIDERS
 // ============================================================================
-// This function searches Google and returns relevant results
+// google_search asks the providers in SEARCH_PROVIDERS (google, searxng, brave,
+// local) in order, falling back to the next when one fails or finds nothing.
+// See backend/lib/searchProviders.js.
 
-async function performGoogleSearch(query, apiKey, cseId) {
-  try {
-    console.log(`Performing Google search for: "${query}"`);
-    
-    // Make a request to Google's Custom Search API
-    // We send our search query along with our API credentials
-    const response = await axios.get('https://www.googleapis.com/customsearch/v1', {
-      params: {
-        key: apiKey,      // Our Google API key (like a password)
-        cx: cseId,        // Custom Search Engine ID (tells Google which search engine to use)
-        q: query,         // The actual search query
-        num: 5            // How many results we want (maximum 5)
-      }
-    });
-
-    // Check if we got search results back
-    if (response.data.items && response.data.items.length > 0) {
-      // Extract just the information we need from each search result
-      return response.data.items.map(item => ({
-        title: item.title,       // The title of the webpage
-        snippet: item.snippet,   // A short description/preview
-        link: item.link         // The URL to the webpage
-      }));
-    }
-    
-    // If no results found, return an empty array
-    return [];
-    
-  } catch (error) {
-    // If something goes wrong with the search, log the error and return empty results
-    console.error('Google Search Error:', error.response?.data || error.message);
-    return [];
-  }
-}
+const { createSearchProviders } = require('../lib/searchProviders.js');
+const searchProviders = createSearchProviders({ http: axios, cassette, recordUsage });
 
 // ============================================================================
 // JINA EMBEDDINGS MEMORY SYSTEM
@@ -187,51 +486,81 @@ if (!JINA_API_KEY) {
   console.warn('[Jina] Missing JINA_API_KEY in environment. Set it in ai/.env');
 }
 
-// Generate embeddings using Jina v4
-async function generateJinaEmbedding(text) {
-  try {
-    console.log(`Generating Jina embedding for text: "${text.substring(0, 100)}..."`);
-    
-    const data = {
-      "model": "jina-embeddings-v4",
-      "task": "text-matching",
-      "late_chunking": true,
-      "truncate": true,
-      "dimensions": 2000,  // Supabase pgvector limit
-      "input": [{ "text": text }]
-    };
-
+// Embed a batch of texts with Jina v4; returns one 2000-dim vector per input or
+// throws. late_chunking suits pieces of one document (a single memory); passages
+// from different pages are embedded independently.
+async function requestJinaEmbeddings(texts, options = {}) {
+  // Jina is a remote service and there is no local embedding provider, so a
+  // local-only job's text is never embedded (memory and passage ranking fall back)
+  if (options.jobId && isLocalOnlyJob(options.jobId)) {
+    throw new Error('Remote embeddings are disabled for local-only jobs');
+  }
+  const { lateChunking = true } = options;
+  const data = {
+    "model": "jina-embeddings-v4",
+    "task": "text-matching",
+    "late_chunking": lateChunking,
+    "truncate": true,
+    "dimensions": 2000,  // Supabase pgvector limit
+    "input": texts.map(text => ({ "text": text }))
+  };
+
+  const result = await cassette.run('jina', 'embedding', data, async () => {
+    const startedAt = Date.now();
+    const usageEntry = { kind: 'embedding', provider: 'jina', model: data.model, task: options.task || 'embedding' };
     const response = await fetch(JINA_API_URL, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
         'Authorization': `Bearer ${JINA_API_KEY}`
       },
-      body: JSON.stringify(data)
+      body: JSON.stringify(data),
+      signal: options.signal
     });
 
     if (!response.ok) {
+      recordUsage(options.jobId, { ...usageEntry, success: false, status: response.status, latencyMs: Date.now() - startedAt, costUsd: 0 });
       throw new Error(`Jina API error: ${response.status} ${response.statusText}`);
     }
 
-    const result = await response.json();
+    const body = await response.json();
+    recordUsage(options.jobId, { ...usageEntry, success: true, latencyMs: Date.now() - startedAt, tokensIn: body.usage?.total_tokens ?? null });
+    return body;
+  });
 
-    if (result.data && result.data.length > 0) {
-      const item = result.data[0];
-      // Guard against multivector responses
-      if (item.embeddings) {
-        throw new Error('Jina returned multivector embeddings; disable return_multivector for this pipeline');
-      }
-      if (Array.isArray(item.embedding)) {
-        if (item.embedding.length !== 2000) {
-          throw new Error(`Unexpected embedding length ${item.embedding.length}; expected 2000`);
-        }
-        return item.embedding;
-      }
-    }
-    
+  if (!result.data || result.data.length !== texts.length) {
     throw new Error('No embedding data received from Jina API');
-    
+  }
+  return result.data.map(item => {
+    // Guard against multivector responses
+    if (item.embeddings) {
+      throw new Error('Jina returned multivector embeddings; disable return_multivector for this pipeline');
+    }
+    if (!Array.isArray(item.embedding) || item.embedding.length !== 2000) {
+      throw new Error(`Unexpected embedding length ${item.embedding?.length}; expected 2000`);
+    }
+    return item.embedding;
+  });
+}
+
+// Generate embeddings using Jina v4
+async function generateJinaEmbedding(text, options = {}) {
+  try {
+    console.log(`Generating Jina embedding for text: "${text.substring(0, 100)}..."`);
+    const [embedding] = await requestJinaEmbeddings([text], options);
+    return embedding;
+  } catch (error) {
+    console.error('Jina Embedding Error:', error.message);
+    return null;
+  }
+}
+
+// Embed several independent texts in one request (fetch_source passages);
+// returns null on failure so callers can fall back to keyword matching
+async function generateJinaEmbeddings(texts, options = {}) {
+  try {
+    console.log(`Generating Jina embeddings for ${texts.length} texts`);
+    return await requestJinaEmbeddings(texts, { ...options, lateChunking: false });
   } catch (error) {
     console.error('Jina Embedding Error:', error.message);
     return null;
@@ -245,12 +574,12 @@ function isValidUUID(str) {
 }
 
 // Store memory with embedding in Supabase
-async function storeMemory(userId, memoryData) {
+async function storeMemory(userId, memoryData, options = {}) {
   try {
     const { title, content, memoryType, sourceType, sourceId, importance = 0.5 } = memoryData;
     
     // Generate embedding for the content
-    const embedding = await generateJinaEmbedding(content);
+    const embedding = await generateJinaEmbedding(content, { task: 'memory_store', ...options });
     if (!embedding) {
       throw new Error('Failed to generate embedding');
     }
@@ -300,10 +629,10 @@ async function storeMemory(userId, memoryData) {
 }
 
 // Search memories using semantic similarity
-async function searchMemories(userId, queryText, threshold = 0.7, maxResults = 10) {
+async function searchMemories(userId, queryText, threshold = 0.7, maxResults = 10, options = {}) {
   try {
     // Generate embedding for the query
-    const queryEmbedding = await generateJinaEmbedding(queryText);
+    const queryEmbedding = await generateJinaEmbedding(queryText, { task: 'memory_search', ...options });
     if (!queryEmbedding) {
       throw new Error('Failed to generate query embedding');
     }
@@ -661,7 +990,22 @@ async function refreshFitbitToken() {
 
 // Get a valid access token, refreshing it if necessary
 // This is the main function other parts of our code will use
+// Cassettes only record whether a token was available, never the token itself;
+// replayed Fitbit calls never reach the API, so a placeholder stands in for it
 async function getFitbitAccessToken() {
+  if (cassette.mode === 'off') {
+    return loadFitbitAccessToken();
+  }
+  let token = null;
+  const available = await cassette.run('fitbit', 'access_token', {}, async () => {
+    token = await loadFitbitAccessToken();
+    return !!token;
+  }).catch(() => false);
+  return cassette.isReplaying() ? (available ? 'cassette-replay' : null) : token;
+}
+
+// The actual token lookup: memory first, then the database, then a refresh
+async function loadFitbitAccessToken() {
   try {
     // Check if our current token is still valid (with 1 minute buffer)
     if (fitbitTokens.access_token && fitbitTokens.expires_at > Date.now() + 60000) {
@@ -690,8 +1034,27 @@ async function getFitbitAccessToken() {
   }
 }
 
+// GET a Fitbit endpoint and log the call to the job's usage ledger
+async function timedFitbitRequest(url, accessToken, task, options = {}) {
+  const startedAt = Date.now();
+  try {
+    const response = await axios.get(url, {
+      headers: {
+        'Authorization': `Bearer ${accessToken}`
+      },
+      signal: options.signal
+    });
+    recordUsage(options.jobId, { kind: 'fitbit', provider: 'fitbit', task, success: true, latencyMs: Date.now() - startedAt });
+    // Return the data from the API response
+    return response.data;
+  } catch (error) {
+    recordUsage(options.jobId, { kind: 'fitbit', provider: 'fitbit', task, success: false, status: error.response?.status ?? null, latencyMs: Date.now() - startedAt, error: error.message });
+    throw error;
+  }
+}
+
 // Get daily activity summary from Fitbit API
-async function getFitbitDailySummary(accessToken, date = 'today') {
+async function getFitbitDailySummary(accessToken, date = 'today', options = {}) {
   try {
     // Make sure we have an access token
     if (!accessToken) {
@@ -705,14 +1068,9 @@ async function getFitbitDailySummary(accessToken, date = 'today') {
     // console.log(`Fetching Fitbit daily summary for: ${targetDate}`);
     
     // Make a request to the Fitbit API to get activity data
-    const response = await axios.get(`https://api.fitbit.com/1/user/-/activities/date/${targetDate}.json`, {
-      headers: {
-        'Authorization': `Bearer ${accessToken}`
-      }
-    });
-    
-    // Return the data from the API response
-    return response.data;
+    // (keyed by the requested date, so "today" replays regardless of when it runs)
+    return await cassette.run('fitbit', 'daily_summary', { date }, () =>
+      timedFitbitRequest(`https://api.fitbit.com/1/user/-/activities/date/${targetDate}.json`, accessToken, 'daily_summary', options));
     
   } catch (error) {
     // If there's an error, check if it's an expired token error
@@ -729,7 +1087,7 @@ async function getFitbitDailySummary(accessToken, date = 'today') {
 }
 
 // FIXED: Get sleep data from Fitbit API
-async function getFitbitSleepData(accessToken, date = 'today') {
+async function getFitbitSleepData(accessToken, date = 'today', options = {}) {
   try {
     // Make sure we have an access token
     if (!accessToken) {
@@ -743,14 +1101,8 @@ async function getFitbitSleepData(accessToken, date = 'today') {
     console.log(`Fetching Fitbit sleep data for: ${targetDate}`);
     
     // Make a request to the Fitbit API to get sleep data
-    const response = await axios.get(`https://api.fitbit.com/1.2/user/-/sleep/date/${targetDate}.json`, {
-      headers: {
-        'Authorization': `Bearer ${accessToken}`
-      }
-    });
-    
-    // Return the data from the API response
-    return response.data;
+    return await cassette.run('fitbit', 'sleep', { date }, () =>
+      timedFitbitRequest(`https://api.fitbit.com/1.2/user/-/sleep/date/${targetDate}.json`, accessToken, 'sleep', options));
     
   } catch (error) {
     // If there's an error, check if it's an expired token error
@@ -765,6 +1117,32 @@ async function getFitbitSleepData(accessToken, date = 'today') {
   }
 }
 
+// Get a date range from one Fitbit resource, e.g. "sleep", "activities/steps" or
+// "activities/heart" (used by get_fitbit_trend). Sleep ranges use API version 1.2
+// and may span at most 100 days; the activity time series allow up to a year.
+async function getFitbitRange(accessToken, resource, startDate, endDate, options = {}) {
+  try {
+    if (!accessToken) {
+      throw new Error('No access token provided');
+    }
+
+    const version = resource === 'sleep' ? '1.2' : '1';
+    console.log(`Fetching Fitbit ${resource} for: ${startDate} to ${endDate}`);
+
+    return await cassette.run('fitbit', `range:${resource}`, { startDate, endDate }, () =>
+      timedFitbitRequest(`https://api.fitbit.com/${version}/user/-/${resource}/date/${startDate}/${endDate}.json`, accessToken, `range:${resource}`, options));
+
+  } catch (error) {
+    if (error.response && error.response.status === 401) {
+      console.log('Fitbit access token may have expired. Attempting refresh...');
+      throw new Error('Token expired');
+    }
+
+    console.error(`Fitbit ${resource} range API Error:`, error.response?.data || error.message);
+    return null;
+  }
+}
+
 // ============================================================================
 // SEARCH QUERY GENERATION
 // ============================================================================
@@ -1055,6 +1433,26 @@ router.post('/process-and-save', (req, res) => {
     const { userId, authUserId } = req.body || {};
     const userContext = { userProfileId: userId || null, authUserId: authUserId || 'dev-local-user' };
 
+    // Resolve the job's budget up front so a bad override is rejected before a job exists
+    let budget;
+    try {
+        budget = resolveBudget(req.body?.budget);
+    } catch (error) {
+        if (!(error instanceof BudgetValidationError)) throw error;
+        return res.status(400).json({
+            error: 'Invalid budget',
+            message: error.message
+        });
+    }
+
+    if (req.body?.mode === 'plan' && runningDryRuns >= PLAN_ONLY_CONCURRENCY) {
+        res.set('Retry-After', '30');
+        return res.status(429).json({
+            error: 'Too many dry runs',
+            message: `Only ${PLAN_ONLY_CONCURRENCY} plan-only run(s) can run at once (PLAN_ONLY_CONCURRENCY); try again shortly`
+        });
+    }
+
     // Create a unique job ID using current timestamp
     const jobId = Date.now().toString();
     
@@ -1062,14 +1460,120 @@ router.post('/process-and-save', (req, res) => {
     const jobFolderPath = path.join(OUTPUTS_DIR, jobId);
     fs.ensureDirSync(jobFolderPath);
 
+    // Record the job as queued so its status is visible right away
+    createJobManifest(jobFolderPath, jobId, { query: userText, userContext });
+    updateJobManifest(jobFolderPath, { budget });
+
+    // Opt-in: keep every LLM call of this job on local providers (see LLM_LOCAL_ONLY)
+    if (req.body?.localOnly === true) {
+        updateJobManifest(jobFolderPath, { localOnly: true });
+    }
+
+    // Critic pass on or off for this job, overriding CRITIC_PASS
+    if (typeof req.body?.critic === 'boolean') {
+        updateJobManifest(jobFolderPath, { critic: req.body.critic });
+    }
+
+    // Opt-in human approval of the plan (and of any replacement plan) before it runs
+    const requireApproval = req.body?.requireApproval === true || REQUIRE_PLAN_APPROVAL;
+    if (requireApproval) {
+        updateJobManifest(jobFolderPath, { requireApproval: true });
+    }
+
+    // Plan-only mode: stop after the JSON Executor and return the plan instead of running it
+    if (req.body?.mode === 'plan') {
+        return planOnly(req, res, jobId, jobFolderPath, userText, userContext);
+    }
+
+    // Hand the job to the durable queue; a worker runs processAndCritique when a slot frees up
+    const queuePosition = jobQueue.enqueue(jobId, { text: userText, userContext });
+
     // Send immediate response to user (we'll process in background)
     res.status(202).json({
         message: 'Job accepted. A three-step AI analysis with Google Search and Fitbit integration will be saved on the server.',
-        jobId: jobId
+        jobId: jobId,
+        queuePosition
     });
+});
+
+// Dry run: produce and return the execution plan without executing any actions.
+// Doesn't go through the queue - it only makes the two planning LLM calls - but at
+// most PLAN_ONLY_CONCURRENCY run at once.
+async function planOnly(req, res, jobId, folderPath, userText, userContext) {
+    runningDryRuns++;
+    registerJob(jobId);
+    transitionJob(folderPath, 'breakdown', { reason: 'Plan-only mode' });
+
+    try {
+        const { plan, breakdownSteps, error } = await generateExecutionPlan(jobId, folderPath, userText);
+        throwIfCancelled(jobId);
+
+        if (!plan) {
+            transitionJob(folderPath, 'failed', { reason: error });
+            return res.status(422).json({
+                error: 'No execution plan produced',
+                message: error,
+                jobId,
+                mode: 'plan',
+                breakdownSteps
+            });
+        }
+
+        const { plan: validatedPlan, report: validation } = await validateAndSavePlan(jobId, folderPath, plan, { stage: 'plan-only' });
+        const estimate = estimatePlanCost(validatedPlan || plan, { hasUserProfile: !!userContext.userProfileId, localOnly: isLocalOnlyJob(jobId) });
+        await fs.writeFile(path.join(folderPath, 'plan_estimate.json'), JSON.stringify({ validation, estimate }, null, 2));
+        updateJobManifest(folderPath, { totalActions: (validatedPlan || plan).actions?.length || 0 });
+        transitionJob(folderPath, 'completed', { reason: 'Plan-only mode: actions not executed' });
+
+        res.json({
+            jobId,
+            mode: 'plan',
+            breakdownSteps,
+            // The plan as it would run (ids assigned, repairs applied), or the raw plan if rejected
+            plan: validatedPlan || plan,
+            validation,
+            estimate
+        });
+    } catch (error) {
+        if (isJobCancelled(jobId)) {
+            const reason = getCancelReason(jobId) || 'Cancelled';
+            transitionJob(folderPath, 'cancelled', { reason });
+            return res.status(409).json({ error: 'Job cancelled', message: reason, jobId });
+        }
+        console.error(`[Job ${jobId}] Plan-only run failed:`, error);
+        transitionJob(folderPath, 'failed', { reason: error.message });
+        res.status(500).json({ error: 'Failed to generate plan', message: error.message, jobId });
+    } finally {
+        runningDryRuns--;
+        releaseJob(jobId);
+    }
+}
+
+// Worker for the durable job queue
+async function runQueuedJob(entry) {
+    const folderPath = path.join(OUTPUTS_DIR, entry.jobId);
+    const manifest = readJobManifest(folderPath);
+
+    // Cancelled (or otherwise finished) while waiting in the queue
+    if (!manifest || TERMINAL_STATES.has(manifest.state)) {
+        console.log(`[Queue] Skipping job ${entry.jobId} - ${manifest ? manifest.state : 'no manifest'}`);
+        return;
+    }
+
+    const { text, userContext } = entry.payload || {};
+    await processAndCritique(entry.jobId, folderPath, text, userContext, { resume: entry.resume });
+}
 
-    // Start the processing in the background (async - doesn't block the response)
-    processAndCritique(jobId, jobFolderPath, userText, userContext);
+const jobQueue = createJobQueue({
+    filePath: path.join(OUTPUTS_DIR, 'job_queue.json'),
+    concurrency: JOB_QUEUE_CONCURRENCY,
+    runJob: runQueuedJob
+});
+
+// Jobs that were mid-flight when the server stopped go back to "queued" and resume
+jobQueue.start((entry) => {
+    console.log(`[Queue] Re-queuing job ${entry.jobId} interrupted by a restart`);
+    transitionJob(path.join(OUTPUTS_DIR, entry.jobId), 'queued', { reason: 'Re-queued after server restart' });
 });
 
 // ============================================================================
@@ -1077,8 +1581,19 @@ router.post('/process-and-save', (req, res) => {
 // ============================================================================
 // This function orchestrates the entire AI processing workflow
 
-async function processAndCritique(jobId, folderPath, textToAnalyze, userContext = {}) {
+async function processAndCritique(jobId, folderPath, textToAnalyze, userContext = {}, options = {}) {
     console.log(`[Job ${jobId}] Starting processing pipeline...`);
+    const jobSignal = registerJob(jobId);
+    const requireApproval = !!readJobManifest(folderPath)?.requireApproval;
+    // Jobs created before budgets existed get the current defaults
+    const budget = readJobManifest(folderPath)?.budget || resolveBudget();
+    startJobBudget(jobId, folderPath, budget);
+
+    // A job resumed after a restart skips straight to execution if it got that far
+    const resumePoint = options.resume ? await loadResumePoint(jobId, folderPath) : null;
+    if (!resumePoint) {
+        transitionJob(folderPath, 'breakdown');
+    }
     
     try {
         // Resolve user profile ID for memory operations
@@ -1094,6 +1609,23 @@ async function processAndCritique(jobId, folderPath, textToAnalyze, userContext
             userProfileId: effectiveUserProfileId,
             authUserId: userContext?.authUserId || 'dev-local-user'
         };
+
+        if (resumePoint) {
+            console.log(`[Job ${jobId}] Resuming from ${resumePoint.checkpoint ? 'execution checkpoint' : 'saved execution plan'}`);
+            const resumed = await executeJsonActions(jobId, folderPath, resumePoint.plan, textToAnalyze, null, normalizedUserContext, {
+                checkpoint: resumePoint.checkpoint,
+                requireApproval,
+                budget
+            });
+            throwIfCancelled(jobId);
+            if (resumed?.awaitingApproval) {
+                console.log(`[Job ${jobId}] Paused - replacement plan awaiting approval`);
+                return;
+            }
+            console.log(`[Job ${jobId}] SUCCESS! Resumed JSON Action Plan executed.`);
+            transitionJob(folderPath, 'completed');
+            return;
+        }
         // =================================================================
         // STEP 0: GOOGLE SEARCH INTEGRATION (TEMPORARILY DISABLED)
         // =================================================================
@@ -1118,7 +1650,7 @@ async function processAndCritique(jobId, folderPath, textToAnalyze, userContext
             
             if (accessToken) {
                 // Fetch today's activity data from Fitbit
-                fitbitData = await getFitbitDailySummary(accessToken);
+                fitbitData = await getFitbitDailySummary(accessToken, 'today', { signal: jobSignal, jobId });
                 
                 if (fitbitData) {
                     // Extract key information from Fitbit response
@@ -1169,25 +1701,93 @@ async function processAndCritique(jobId, folderPath, textToAnalyze, userContext
         }
 
         // =================================================================
-        // STEP 1: FIRST AI CALL (TASK BREAKDOWN SPECIALIST)
+        // STEP 1-2: TASK BREAKDOWN + JSON EXECUTOR
         // =================================================================
-        // This AI call breaks down the user query into actionable steps
-        console.log(`[Job ${jobId}] --- Calling Task Breakdown AI...`);
-        
-        // Create task breakdown prompt - FIXED SYSTEM PROMPT
-        const localTime = new Date().toLocaleString('en-US', { timeZone: 'Asia/Singapore' });
-        const breakdownPrompt = `You are a health-focused task breakdown specialist. The current date and time is ${localTime}. Your job is to analyze user health queries and break them down into clear, actionable steps for an AI research/execution system.
+        const planResult = await generateExecutionPlan(jobId, folderPath, textToAnalyze);
+        throwIfCancelled(jobId);
+
+        if (!planResult.plan) {
+            console.log(`[Job ${jobId}] Pipeline finished without executing a plan: ${planResult.error}`);
+            transitionJob(folderPath, 'failed', { reason: planResult.error });
+            return;
+        }
+
+        // Approval mode: park the job until someone decides on the plan. The
+        // decision endpoint re-queues it and it resumes from the saved plan.
+        if (requireApproval) {
+            const { plan: validatedPlan, report } = await validateAndSavePlan(jobId, folderPath, planResult.plan, { stage: 'initial' });
+            if (!validatedPlan) {
+                transitionJob(folderPath, 'failed', { reason: `Execution plan failed validation: ${report.errors.join('; ')}` });
+                return;
+            }
+            await requestPlanApproval(jobId, folderPath, 'initial', validatedPlan, { validation: report, idPrefix: DEFAULT_ID_PREFIX });
+            console.log(`[Job ${jobId}] Paused - execution plan awaiting approval`);
+            return;
+        }
+
+        // =================================================================
+        // STEP 3: EXECUTE JSON ACTIONS
+        // =================================================================
+        const executed = await executeJsonActions(jobId, folderPath, planResult.plan, textToAnalyze, fitbitData, normalizedUserContext, { requireApproval, budget });
+        throwIfCancelled(jobId);
+        if (executed?.awaitingApproval) {
+            console.log(`[Job ${jobId}] Paused - replacement plan awaiting approval`);
+            return;
+        }
+    console.log(`[Job ${jobId}] SUCCESS! JSON Action Plan executed.`);
+    transitionJob(folderPath, 'completed');
+} catch (error) {
+    // A cancelled job isn't an error: record what we have and stop quietly
+    if (isJobCancelled(jobId)) {
+        const reason = getCancelReason(jobId) || 'Cancelled';
+        console.log(`[Job ${jobId}] Processing cancelled: ${reason}`);
+        await saveCancellationSummary(jobId, folderPath, { reason });
+        transitionJob(folderPath, 'cancelled', { reason });
+        return;
+    }
+    // If any step fails, log the error and save it to a file
+    console.error(`[Job ${jobId}] ERROR during processing:`, error);
+    const errorFilePath = path.join(folderPath, 'error.txt');
+    await fs.writeFile(errorFilePath, `Error occurred during processing:\n\n${error.toString()}\n\nStack trace:\n${error.stack}`);
+    transitionJob(folderPath, 'failed', { reason: error.message });
+} finally {
+    stopJobBudget(jobId);
+    releaseJob(jobId);
+    usageTotals.delete(String(jobId));
+}
+}
+
+// ============================================================================
+// PLAN GENERATION (TASK BREAKDOWN + JSON EXECUTOR)
+// ============================================================================
+// Runs the two planning AI calls and returns the parsed { actions: [...] } plan.
+// Shared by the full pipeline and plan-only mode.
+// Returns { plan, breakdownSteps, error } - plan is null if no usable plan was produced.
+
+async function generateExecutionPlan(jobId, folderPath, textToAnalyze) {
+    // =================================================================
+    // STEP 1: FIRST AI CALL (TASK BREAKDOWN SPECIALIST)
+    // =================================================================
+    // This AI call breaks down the user query into actionable steps
+    console.log(`[Job ${jobId}] --- Calling Task Breakdown AI...`);
+    
+    // Create task breakdown prompt - FIXED SYSTEM PROMPT
+    const localTime = await promptLocalTime('Task Breakdown AI');
+    const breakdownPrompt = `You are a health-focused task breakdown specialist. The current date and time is ${localTime}. Your job is to analyze the user's health query and break it down into clear, actionable steps for an AI research/execution system.
+
+USER QUERY: "${textToAnalyze}"
 
 OUTPUT FORMAT (STRICT):
-- Your message must contain exactly two sections in this order:
-  1) "## BREAKDOWN STEPS:" — a numbered list of concrete steps for the system to execute.
-  2) "## EXECUTOR SYSTEM PROMPT:" — the literal system prompt text that a second AI will use to convert the steps into JSON actions.
-- Do NOT output any JSON action plan yourself. Only the second AI will produce JSON.
-- Do NOT include extra sections or commentary outside these two sections.
-- Append this exact magic phrase on its own line at the very end: "Pikachu's diapers are eaten by steve"
+- Return ONLY a JSON object with exactly these fields:
+  - "steps": the steps for the system to execute, in order, one string per step (no numbering), at most 12
+  - "rationale": one or two sentences on why these steps answer the query
+  - "executorPrompt": a system prompt for the second AI that converts the steps into JSON actions, or null to use the default
+- Do NOT output any JSON action plan yourself. Only the second AI will produce actions.
+- Do NOT include markdown fences or any text outside the JSON object.
 
 CONTEXT & CAPABILITIES:
-- The system can execute exactly 8 action types: google_search, analyze_results, synthesize, formulate_response, get_fitbit_data, get_fitbit_sleep, memory_search, memory_store.
+- The system can execute exactly ${actionRegistry.types().length} action types:
+${actionRegistry.describeActions()}
 - Long-term memory is explicit via actions: use "memory_search" to retrieve relevant prior info and "memory_store" to persist important insights.
 
 SEARCH QUERY GUIDELINES:
@@ -1196,266 +1796,378 @@ SEARCH QUERY GUIDELINES:
 - Avoid generic, entertainment, or gaming-related terms.
 - Prefer evidence-based, scientific sources (guidelines, peer-reviewed studies).
 
-## BREAKDOWN STEPS:
-1) [First research step]
-2) [Second research step]
-3) [Analysis step]
-4) [Synthesis step]
-5) [Final response step]
+EXAMPLE OUTPUT:
+{
+  "steps": [
+    "Search for clinical research on medical causes of chronic fatigue",
+    "Retrieve the user's Fitbit activity and sleep data",
+    "Analyze the research together with the personal data, filtering out non-medical sources",
+    "Synthesize the findings into likely explanations weighted by evidence",
+    "Formulate an evidence-based final response with next steps"
+  ],
+  "rationale": "Combines published evidence with the user's own activity and sleep data before answering.",
+  "executorPrompt": null
+}`;
+    
+    // Ask for the structured breakdown. Replies that aren't valid JSON or miss
+    // required fields get a targeted repair prompt instead of a fresh breakdown.
+    throwIfCancelled(jobId);
+    console.log(`[Job ${jobId}] Making OpenRouter API call for Task Breakdown AI...`);
+    const breakdownResult = await requestStructuredOutput(
+        jobId,
+        'Task Breakdown AI',
+        breakdownPrompt,
+        ENV_PROMPTS.breakdownSystem,
+        BREAKDOWN_SCHEMA,
+        validateBreakdown
+    );
+    throwIfCancelled(jobId);
+
+    // Save the breakdown (and any repairs it needed) to file
+    const responseFilename = `${Date.now()}_breakdown.json`;
+    await fs.writeFile(path.join(folderPath, responseFilename), JSON.stringify({
+        originalQuery: textToAnalyze,
+        model: breakdownResult.model || null,
+        ...(breakdownResult.value || { error: breakdownResult.error }),
+        warnings: breakdownResult.warnings || [],
+        repairs: breakdownResult.repairs
+    }, null, 2));
+
+    if (!breakdownResult.success) {
+        console.error(`[Job ${jobId}] Task Breakdown AI failed: ${breakdownResult.error}`);
+        // No model answered at all: that's an error. Answers that never became
+        // usable mean there is simply no plan to run.
+        if (breakdownResult.repairs.length === 0) {
+            throw new Error(`Task Breakdown AI returned an error: ${breakdownResult.error}`);
+        }
+        return { plan: null, breakdownSteps: null, error: breakdownResult.error };
+    }
 
-## EXECUTOR SYSTEM PROMPT:
-You are a health-focused AI task executor. Convert the breakdown steps above into a JSON array of actions with high-quality search queries.
+    const breakdown = breakdownResult.value;
+    const breakdownSteps = formatSteps(breakdown.steps);
+    console.log(`[Job ${jobId}] Task Breakdown AI produced ${breakdown.steps.length} steps (model: ${breakdownResult.model}, repairs: ${breakdownResult.repairs.length})`);
+    emitJobEvent(folderPath, jobId, 'breakdown_complete', { file: responseFilename, model: breakdownResult.model, steps: breakdown.steps.length, repairs: breakdownResult.repairs.length });
 
-RULES:
-- Use ONLY these 8 action types — NO OTHERS: google_search, analyze_results, synthesize, formulate_response, get_fitbit_data, get_fitbit_sleep, memory_search, memory_store.
-- Priorities: lower numbers run earlier. Typical order: searches (1-3), analysis (after searches), synthesis (after analysis), final response (last).
-- For actions of type google_search, analyze_results, synthesize, formulate_response, memory_search, memory_store — include exactly these fields:
-  - "type" (one of the 8 types)
-  - "query" (string)
-  - "priority" (integer 1-10)
-  - "dependencies" (array of step numbers)
-- For get_fitbit_data and get_fitbit_sleep — include:
-  - "type", "priority", "dependencies" (no "query" is required)
-
-GOOGLE_SEARCH REQUIREMENTS:
-- Use targeted medical/health terms; include words like "medical", "health", "research", "study", "clinical" where helpful.
-- Focus on evidence-based sources and filter out irrelevant content.
-- Never include unrelated strings (e.g., the magic phrase) in any action or query.
+    let parsedPlan = null;
+    let planError = null;
+    let executionPlan = null;
 
-RETURN FORMAT:
-- Return ONLY valid JSON with the top-level object: { "actions": [...] }.
-- Do NOT include markdown fences or extra text.
+    transitionJob(folderPath, 'planning');
 
-EXAMPLE OUTPUT:
-{
-  "actions": [
-    {"type": "google_search", "query": "medical causes of chronic fatigue research studies", "priority": 1, "dependencies": []},
-    {"type": "google_search", "query": "clinical guidelines evaluation of daytime sleepiness differential diagnosis", "priority": 2, "dependencies": []},
-    {"type": "get_fitbit_data", "priority": 3, "dependencies": []},
-    {"type": "get_fitbit_sleep", "priority": 4, "dependencies": []},
-    {"type": "memory_search", "query": "prior notes about fatigue workup or sleep apnea mention", "priority": 5, "dependencies": []},
-    {"type": "analyze_results", "query": "synthesize research and Fitbit metrics; filter out non-medical sources", "priority": 6, "dependencies": [1,2,3,4,5]},
-    {"type": "synthesize", "query": "integrate findings into a concise set of likely etiologies with evidence weight", "priority": 7, "dependencies": [6]},
-    {"type": "memory_store", "query": "Key insights about fatigue differentials and personal biometrics correlations", "priority": 8, "dependencies": [7]},
-    {"type": "formulate_response", "query": "produce final evidence-based guidance with next steps", "priority": 9, "dependencies": [7]}
-  ]
-}`;
-        
-        // Make API call to OpenRouter (AI service)
-        console.log(`[Job ${jobId}] Making OpenRouter API call for Task Breakdown AI...`);
-        const firstResponse = await callOpenRouterWithFallback(
-            breakdownPrompt,
-            ENV_PROMPTS.breakdownSystem,
-            jobId,
-            'Task Breakdown AI'
-        );
+    // =================================================================
+    // STEP 2: OPENROUTER JSON EXECUTOR (JSON CONVERTER)
+    // =================================================================
+    // This AI converts the breakdown steps into executable JSON actions
+    console.log(`[Job ${jobId}] --- Calling OpenRouter JSON Executor...`);
+
+    // Use the executor prompt the breakdown suggested, if any
+    let executorSystemPrompt = breakdown.executorPrompt || buildExecutorPrompt();
+
+    // Optional environment override for JSON Executor system prompt
+    // (ENV_PROMPTS.jsonExecutorSystem is never empty - it falls back to the default)
+    if (process.env.AI_JSON_EXECUTOR_SYSTEM_PROMPT) {
+        executorSystemPrompt = renderPrompt(ENV_PROMPTS.jsonExecutorSystem, { originalQuery: textToAnalyze });
+    }
         
-        // Check if the API call was successful
-        if (!firstResponse.success) {
-            const errorText = firstResponse.error;
-            console.error(`[Job ${jobId}] Task Breakdown AI failed: ${errorText}`);
-            throw new Error(`Task Breakdown AI returned an error: ${errorText}`);
-        }
+    // Create the user prompt for JSON conversion
+    const jsonUserPrompt = `Breakdown Steps to Convert:\n${breakdownSteps}\n\nConvert these steps into JSON actions.`;
 
-        // Extract the AI's response
-        const firstAiData = firstResponse.content;
-        const firstAiAnswer = firstAiData;
-        console.log(`[Job ${jobId}] Task Breakdown AI response received. Length: ${firstAiAnswer.length} characters`);
+    // JSON schema to strictly guide output, generated from the action registry
+    const actionsJsonSchema = actionRegistry.planSchema();
 
-        // Save the breakdown response to file
-        const responseFilename = `${Date.now()}_response.md`;
-        const responseFilePath = path.join(folderPath, responseFilename);
-        const responseWithMetadata = `# AI Response\n\n**Original Query:** "${textToAnalyze}"\n\n**Generated Response:**\n\n${firstAiAnswer}`;
-        await fs.writeFile(responseFilePath, responseWithMetadata);
-        console.log(`[Job ${jobId}] Task Breakdown AI response saved to ${responseFilename}`);
+    // Make API call to OpenRouter JSON models
+    const jsonExec = await callOpenRouterJSONWithFallback(jsonUserPrompt, executorSystemPrompt, jobId, 'JSON Executor', actionsJsonSchema);
 
-        // =================================================================
-        // MAGIC PHRASE DETECTION & CONDITIONAL EXECUTION
-        // =================================================================
-        const magicPhrase = "Pikachu's diapers are eaten by steve";
-        const shouldExecute = firstAiAnswer.includes(magicPhrase);
-        
-        console.log(`[Job ${jobId}] Magic phrase detection: ${shouldExecute ? 'FOUND' : 'NOT FOUND'}`);
-        if (!shouldExecute) {
-            console.log(`[Job ${jobId}] Full response for debugging: ${firstAiAnswer}`);
-        }
-        
-        let parsedPlan = { actions: [], executed: false };
-        let executionPlan = "No execution plan generated - magic phrase not detected.";
-        let retryCount = 0;
-        const maxRetries = 3;
-        let currentResponse = firstAiAnswer;
-
-        while (retryCount < maxRetries) {
-            const shouldExecute = currentResponse.includes(magicPhrase);
-            
-            console.log(`[Job ${jobId}] Magic phrase detection (attempt ${retryCount + 1}): ${shouldExecute ? 'FOUND' : 'NOT FOUND'}`);
-            if (!shouldExecute) {
-                console.log(`[Job ${jobId}] Full response for debugging (attempt ${retryCount + 1}): ${currentResponse}`);
-            }
+    if (!jsonExec.success) {
+        throw new Error(jsonExec.error || 'OpenRouter JSON Executor failed');
+    }
 
-            if (shouldExecute) {
-                console.log(`[Job ${jobId}] Magic phrase detected! Triggering OpenRouter JSON executor...`);
-                
-                // =================================================================
-                // STEP 2: OPENROUTER JSON EXECUTOR (JSON CONVERTER)
-                // =================================================================
-                // This AI converts the breakdown steps into executable JSON actions
-                console.log(`[Job ${jobId}] --- Calling OpenRouter JSON Executor...`);
-
-                // Extract the breakdown steps and system prompt from the first AI response
-                const breakdownSections = currentResponse.split('## EXECUTOR SYSTEM PROMPT:');
-                const breakdownSteps = breakdownSections[0].replace('## BREAKDOWN STEPS:', '').trim();
-                let executorSystemPrompt = breakdownSections[1] ? breakdownSections[1].trim() :
-                    `You are a health-focused AI task executor. Convert the breakdown steps above into a JSON array of actions with high-quality search queries.
+    // Use parsed JSON directly
+    executionPlan = JSON.stringify(jsonExec.json, null, 2);
+    console.log(`[Job ${jobId}] OpenRouter JSON Executor generated execution plan (model: ${jsonExec.model})`);
 
-RULES:
-- Use ONLY these 8 action types — NO OTHERS: google_search, analyze_results, synthesize, formulate_response, get_fitbit_data, get_fitbit_sleep, memory_search, memory_store.
-- Priorities: lower numbers run earlier. Typical order: searches (1-3), analysis (after searches), synthesis (after analysis), final response (last).
-- For actions of type google_search, analyze_results, synthesize, formulate_response, memory_search, memory_store — include exactly these fields:
-  - "type" (one of the 8 types)
-  - "query" (string)
-  - "priority" (integer 1-10)
-  - "dependencies" (array of step numbers)
-- For get_fitbit_data and get_fitbit_sleep — include:
-  - "type", "priority", "dependencies" (no "query" is required)
-
-GOOGLE_SEARCH REQUIREMENTS:
-- Use targeted medical/health terms; include words like "medical", "health", "research", "study", "clinical" where helpful.
-- Focus on evidence-based sources and filter out irrelevant content.
-- Never include unrelated strings (e.g., the magic phrase) in any action or query.
+    // Save the execution plan to file
+    const executionFilename = `${Date.now()}_execution_plan.json`;
+    const executionFilePath = path.join(folderPath, executionFilename);
+    await fs.writeFile(executionFilePath, executionPlan);
+    console.log(`[Job ${jobId}] Execution plan saved to ${executionFilename}`);
+    emitJobEvent(folderPath, jobId, 'plan_saved', { file: executionFilename, model: jsonExec.model, actions: jsonExec.json?.actions || [] });
 
-RETURN FORMAT:
-- Return ONLY valid JSON with the top-level object: { "actions": [...] }.
-- Do NOT include markdown fences or extra text.
+    // Parse the JSON to validate it
+    try {
+        parsedPlan = JSON.parse(executionPlan);
+        console.log(`[Job ${jobId}] Execution plan parsed successfully:`, parsedPlan.actions?.length || 0, 'actions');
+    } catch (parseError) {
+        console.error(`[Job ${jobId}] Failed to parse execution plan JSON:`, parseError.message);
+        parsedPlan = null;
+        planError = 'Invalid JSON format';
+    }
+    return {
+        plan: parsedPlan,
+        breakdownSteps,
+        error: parsedPlan ? null : (planError || 'JSON Executor did not produce an executable plan')
+    };
+}
 
-EXAMPLE OUTPUT:
-{
-  "actions": [
-    {"type": "google_search", "query": "medical research overtraining syndrome symptoms and recovery", "priority": 1, "dependencies": []},
-    {"type": "google_search", "query": "impact of endurance training on sleep quality clinical studies", "priority": 2, "dependencies": []},
-    {"type": "get_fitbit_data", "priority": 3, "dependencies": []},
-    {"type": "get_fitbit_sleep", "priority": 4, "dependencies": []},
-    {"type": "memory_search", "query": "prior notes about training load and fatigue", "priority": 5, "dependencies": []},
-    {"type": "analyze_results", "query": "Analyze search results, Fitbit data, and memories to find correlations; filter out irrelevant content.", "priority": 6, "dependencies": [1,2,3,4,5]},
-    {"type": "synthesize", "query": "Combine all findings into a coherent summary explaining likely mechanisms with evidence weight.", "priority": 7, "dependencies": [6]},
-    {"type": "memory_store", "query": "Key Insight: relationship between training load, RHR, and sleep efficiency.", "priority": 8, "dependencies": [7]},
-    {"type": "formulate_response", "query": "Create a comprehensive, evidence-based response with actionable guidance.", "priority": 9, "dependencies": [7]}
-  ]
-}`;
-            
-            // Optional environment override for JSON Executor system prompt
-            if (ENV_PROMPTS.jsonExecutorSystem) {
-                executorSystemPrompt = renderPrompt(ENV_PROMPTS.jsonExecutorSystem, { originalQuery: textToAnalyze });
-            }
-            
-            // Create the user prompt for JSON conversion
-            const jsonUserPrompt = `Breakdown Steps to Convert:\n${breakdownSteps}\n\nConvert these steps into JSON actions.`;
-
-            // Optional JSON schema to strictly guide output
-            const actionsJsonSchema = {
-                type: 'object',
-                additionalProperties: false,
-                properties: {
-                    actions: {
-                        type: 'array',
-                        items: {
-                            oneOf: [
-                                {
-                                    type: 'object',
-                                    additionalProperties: false,
-                                    properties: {
-                                        type: { type: 'string', enum: ['google_search','analyze_results','synthesize','formulate_response','memory_search','memory_store'] },
-                                        query: { type: 'string' },
-                                        priority: { type: 'integer', minimum: 1, maximum: 10 },
-                                        dependencies: { type: 'array', items: { type: 'integer' } }
-                                    },
-                                    required: ['type','query','priority','dependencies']
-                                },
-                                {
-                                    type: 'object',
-                                    additionalProperties: false,
-                                    properties: {
-                                        type: { type: 'string', enum: ['get_fitbit_data','get_fitbit_sleep'] },
-                                        priority: { type: 'integer', minimum: 1, maximum: 10 },
-                                        dependencies: { type: 'array', items: { type: 'integer' } }
-                                    },
-                                    required: ['type','priority','dependencies']
-                                }
-                            ]
-                        }
-                    }
-                },
-                required: ['actions']
-            };
+// ============================================================================
+// PLAN VALIDATION AND DRY RUN HELPERS
+// ============================================================================
+// Every plan is validated before it runs. The estimate is used by
+// POST /process-and-save with mode: "plan" to inspect what the planner would do
+// without spending any search, Fitbit or synthesis calls.
+
+// Run a plan through the validator (see lib/planValidator.js), save the readable
+// report as *_plan_validation.md and announce the outcome on the event stream.
+// Returns { plan, report } - plan is null if the plan was rejected.
+async function validateAndSavePlan(jobId, folderPath, plan, options = {}) {
+    const result = validatePlan(plan, {
+        allowedTypes: actionRegistry.types(),
+        queryTypes: actionRegistry.queryTypes(),
+        autoRepair: PLAN_AUTO_REPAIR,
+        ...options
+    });
+    const { report } = result;
+
+    const reportFilename = `${Date.now()}_plan_validation.md`;
+    await fs.writeFile(path.join(folderPath, reportFilename), formatValidationReport(report, result.plan));
+    emitJobEvent(folderPath, jobId, 'plan_validated', {
+        stage: report.stage,
+        valid: report.valid,
+        repairs: report.repairs.length,
+        errors: report.errors,
+        file: reportFilename
+    });
 
-            // Make API call to OpenRouter JSON models
-            const jsonExec = await callOpenRouterJSONWithFallback(jsonUserPrompt, executorSystemPrompt, jobId, 'JSON Executor', actionsJsonSchema);
+    if (report.rejected) {
+        console.warn(`[Job ${jobId}] ${report.stage} plan rejected by validator: ${report.errors.join('; ')}`);
+    } else if (report.repairs.length > 0) {
+        console.log(`[Job ${jobId}] ${report.stage} plan repaired: ${report.repairs.join('; ')}`);
+    }
+    return result;
+}
 
-            if (!jsonExec.success) {
-                throw new Error(jsonExec.error || 'OpenRouter JSON Executor failed');
-            }
+// Estimate the outbound calls a plan would make if executed.
+// "expected" assumes every call succeeds first time; "worstCase" assumes every
+// action uses all its retries and every LLM call walks the whole fallback list
+// it uses (JSON calls once per structured-output repair round), counted as the
+// job will see it: local entries only for a local-only job.
+function estimatePlanCost(plan, { hasUserProfile = false, localOnly = false } = {}) {
+    const actions = Array.isArray(plan?.actions) ? plan.actions : [];
+    const jsonModels = jsonModelChain();
+    const fallbackModelCount = {
+        text: llmProviders.chainFor(textModelChain(), { localOnly }).length,
+        json: llmProviders.chainFor(jsonModels.length > 0 ? jsonModels : textModelChain(), { localOnly }).length
+    };
+    const attemptsPerLlmCall = (action) => actionRegistry.get(action?.type)?.llmChain === 'json'
+        ? fallbackModelCount.json * (1 + STRUCTURED_OUTPUT_MAX_REPAIRS)
+        : fallbackModelCount.text;
+
+    // Per-action call counts come from each action's registry estimate
+    const expected = actionRegistry.estimateCalls(actions, { hasUserProfile });
+
+    const worstCase = {
+        searchCalls: expected.searchCalls * JSON_ACTION_MAX_RETRIES,
+        fitbitCalls: expected.fitbitCalls * JSON_ACTION_MAX_RETRIES,
+        llmCalls: actions.reduce((sum, action) =>
+            sum + actionRegistry.estimateCalls([action]).llmCalls * JSON_ACTION_MAX_RETRIES * attemptsPerLlmCall(action), 0),
+        embeddingCalls: expected.embeddingCalls * JSON_ACTION_MAX_RETRIES
+    };
 
-            // Use parsed JSON directly
-            executionPlan = JSON.stringify(jsonExec.json, null, 2);
-            console.log(`[Job ${jobId}] OpenRouter JSON Executor generated execution plan (model: ${jsonExec.model})`);
+    const notes = [...new Set(actions.map(a => actionRegistry.get(a?.type)?.estimateNote).filter(Boolean))];
 
-            // Save the execution plan to file
-            const executionFilename = `${Date.now()}_execution_plan.json`;
-            const executionFilePath = path.join(folderPath, executionFilename);
-            await fs.writeFile(executionFilePath, executionPlan);
-            console.log(`[Job ${jobId}] Execution plan saved to ${executionFilename}`);
+    return {
+        totalActions: actions.length,
+        expected,
+        worstCase,
+        // The breakdown and JSON Executor calls already made to produce this plan
+        planningLlmCalls: 2,
+        fallbackModelCount,
+        maxRetriesPerAction: JSON_ACTION_MAX_RETRIES,
+        notes
+    };
+}
 
-            // Parse the JSON to validate it
-            try {
-                parsedPlan = JSON.parse(executionPlan);
-                parsedPlan.executed = true;
-                console.log(`[Job ${jobId}] Execution plan parsed successfully:`, parsedPlan.actions?.length || 0, 'actions');
-                
-                // =================================================================
-                // STEP 3: EXECUTE JSON ACTIONS
-                // =================================================================
-                await executeJsonActions(jobId, folderPath, parsedPlan, textToAnalyze, fitbitData, normalizedUserContext);
-                
-            } catch (parseError) {
-                console.error(`[Job ${jobId}] Failed to parse execution plan JSON:`, parseError.message);
-                parsedPlan = { actions: [], error: 'Invalid JSON format', executed: false };
-            }
-            break; // Exit the retry loop since we succeeded
-        } else {
-            console.log(`[Job ${jobId}] Magic phrase not found - retrying (attempt ${retryCount + 1}/${maxRetries})...`);
-            
-            // If this is not the last retry, make another API call
-            if (retryCount < maxRetries - 1) {
-                console.log(`[Job ${jobId}] Making OpenRouter API call for Task Breakdown AI retry ${retryCount + 1}...`);
-                const retryResponse = await callOpenRouterWithFallback(
-                    breakdownPrompt,
-                    ENV_PROMPTS.breakdownSystem,
-                    jobId,
-                    'Task Breakdown AI'
-                );
-                
-                if (!retryResponse.success) {
-                    const errorText = retryResponse.error;
-                    console.error(`[Job ${jobId}] Task Breakdown AI retry ${retryCount + 1} failed: ${errorText}`);
-                    // Continue to next retry
-                } else {
-                    currentResponse = retryResponse.content;
-                    console.log(`[Job ${jobId}] Task Breakdown AI retry ${retryCount + 1} response received. Length: ${currentResponse.length} characters`);
+// ============================================================================
+// PLAN APPROVAL
+// ============================================================================
+// In approval mode the pipeline stops once a plan is ready (kind "initial") or
+// when check_and_update_plan proposes a replacement (kind "update"). The proposal
+// is saved to pending_plan.json and POST /jobs/:jobId/plan records the decision.
+
+const PENDING_PLAN_FILENAME = 'pending_plan.json';
+
+// plan must already be validated; details carries its report and the id prefix
+// an edited version should use
+async function requestPlanApproval(jobId, folderPath, kind, plan, details = {}) {
+    const proposedAt = new Date().toISOString();
+    await fs.writeFile(path.join(folderPath, PENDING_PLAN_FILENAME), JSON.stringify({
+        kind,
+        plan,
+        validation: details.validation || null,
+        idPrefix: details.idPrefix || DEFAULT_ID_PREFIX,
+        knownIds: details.knownIds || [],
+        proposedAt
+    }, null, 2));
+    updateJobManifest(folderPath, {
+        currentAction: null,
+        pendingApproval: { kind, proposedAt, actions: plan?.actions?.length || 0 }
+    });
+    transitionJob(folderPath, 'awaiting_approval', { reason: kind === 'update' ? 'Replacement plan proposed' : 'Execution plan ready' });
+    emitJobEvent(folderPath, jobId, 'approval_required', { kind, actions: plan?.actions || [] });
+}
+
+// Swap an approved replacement plan into a paused job's checkpoint, the same way
+// executeJsonActions replaces the remaining queue when approval is off
+function applyReplacementPlan(checkpoint, plan) {
+    const newActions = [...(plan.actions || [])].sort((a, b) => (a.priority || 5) - (b.priority || 5));
+    const completedCount = checkpoint.completedCount || 0;
+    return {
+        ...checkpoint,
+        queue: newActions.map((action, i) => ({ index: completedCount + i + 1, action })),
+        totalActions: completedCount + newActions.length,
+        attemptCounts: [],
+        failedIds: []
+    };
+}
+
+// Work out where an interrupted job can pick up again:
+// 1) an execution checkpoint (resume after the last completed action), or
+// 2) a saved *_execution_plan.json (planning finished, nothing executed yet).
+// Returns null if the job has to start from the beginning.
+async function loadResumePoint(jobId, folderPath) {
+    try {
+        const checkpointPath = path.join(folderPath, EXECUTION_CHECKPOINT_FILENAME);
+        if (await fs.pathExists(checkpointPath)) {
+            const checkpoint = await fs.readJson(checkpointPath);
+            return { checkpoint, plan: { actions: checkpoint.queue.map(entry => entry.action) } };
+        }
+
+        const planFiles = (await fs.readdir(folderPath)).filter(f => f.endsWith('_execution_plan.json')).sort();
+        if (planFiles.length > 0) {
+            const plan = await fs.readJson(path.join(folderPath, planFiles[planFiles.length - 1]));
+            return { checkpoint: null, plan };
+        }
+    } catch (e) {
+        console.warn(`[Job ${jobId}] Could not load resume point, starting over:`, e.message);
+    }
+    return null;
+}
+
+// Build the starting checkpoint for a rerun of a saved plan.
+// Steps before fromStep are treated as done and their outputs are copied from the
+// source run; with reuseCached, google_search and Fitbit steps that the source run
+// completed are also reused instead of calling the APIs again.
+function buildRerunCheckpoint(plan, sourceCheckpoint, { fromStep = 1, reuseCached = false } = {}) {
+    // Same validation the original run did, so steps get the same ids
+    const validated = validatePlan(plan, {
+        allowedTypes: actionRegistry.types(),
+        queryTypes: actionRegistry.queryTypes(),
+        autoRepair: PLAN_AUTO_REPAIR
+    }).plan || { actions: [] };
+    const sortedActions = [...validated.actions].sort((a, b) => (a.priority || 5) - (b.priority || 5));
+    const source = sourceCheckpoint?.executionResults || null;
+    const sourceProvenance = source?.provenance || {};
+    const sourceCompleted = new Set((sourceCheckpoint?.completedActions || []).map(a => a.index));
+
+    const seeded = {
+        searchResults: [],
+        analysisResults: [],
+        synthesisResults: [],
+        sourcePassages: [],
+        provenance: { searchResults: [], analysisResults: [], synthesisResults: [], sourcePassages: [] },
+    };
+    for (const key of actionRegistry.resultKeys()) {
+        seeded[key] = null;
+        seeded[`${key}Step`] = null;
+    }
+
+    const queue = [];
+    const completedActions = [];
+    const completedIds = [];
+    const skippedSteps = [];
+    const reusedSteps = [];
+
+    // Copy everything the source run produced at this step
+    const copyStepOutputs = (index) => {
+        for (const key of SHARED_RESULT_ARRAYS) {
+            (sourceProvenance[key] || []).forEach((step, i) => {
+                if (step === index && source[key][i] !== undefined) {
+                    seeded[key].push(source[key][i]);
+                    seeded.provenance[key].push(index);
                 }
-            } else {
-                console.log(`[Job ${jobId}] Maximum retries reached. Skipping execution - magic phrase not found in AI response`);
+            });
+        }
+        for (const key of actionRegistry.resultKeys()) {
+            if (source?.[`${key}Step`] === index) {
+                seeded[key] = source[key];
+                seeded[`${key}Step`] = index;
             }
-            retryCount++;
         }
-    }
-    console.log(`[Job ${jobId}] SUCCESS! JSON Action Plan executed.`);
-} catch (error) {
-    // If any step fails, log the error and save it to a file
-    console.error(`[Job ${jobId}] ERROR during processing:`, error);
-    const errorFilePath = path.join(folderPath, 'error.txt');
-    await fs.writeFile(errorFilePath, `Error occurred during processing:\n\n${error.toString()}\n\nStack trace:\n${error.stack}`);
+    };
+
+    sortedActions.forEach((action, i) => {
+        const index = i + 1;
+        const cacheable = actionRegistry.reusableTypes().includes(action.type);
+        const skip = index < fromStep;
+        const reuse = !skip && reuseCached && cacheable && !!source && sourceCompleted.has(index);
+
+        if (skip || reuse) {
+            if (source) copyStepOutputs(index);
+            completedActions.push({ index, type: action.type, query: action.query });
+            completedIds.push(action.id);
+            (skip ? skippedSteps : reusedSteps).push(index);
+        } else {
+            queue.push({ index, action });
+        }
+    });
+
+    return {
+        checkpoint: {
+            totalActions: sortedActions.length,
+            completedCount: completedActions.length,
+            completedIds,
+            completedActions,
+            attemptCounts: [],
+            queue,
+            executionResults: seeded
+        },
+        skippedSteps,
+        reusedSteps
+    };
 }
+
+// Save a summary of whatever a cancelled job managed to produce.
+// Written once: the executor writes the detailed version if it was running,
+// otherwise processAndCritique writes this minimal one.
+async function saveCancellationSummary(jobId, folderPath, details = {}) {
+    const summaryFilePath = path.join(folderPath, 'cancellation_summary.json');
+    if (await fs.pathExists(summaryFilePath)) return;
+
+    const executionResults = details.executionResults || null;
+    const summary = {
+        jobId,
+        reason: details.reason || 'Cancelled',
+        cancelledAt: new Date().toISOString(),
+        stateAtCancel: readJobManifest(folderPath)?.state || null,
+        completedActions: details.completedActions || [],
+        pendingActions: (details.pendingActions || []).map(a => ({ type: a.type, query: a.query, priority: a.priority })),
+        partialResults: executionResults ? {
+            searchResultsFound: executionResults.searchResults.length,
+            analysesCompleted: executionResults.analysisResults.length,
+            synthesesCompleted: executionResults.synthesisResults.length,
+            finalResponseGenerated: !!executionResults.finalResponse,
+            fitbitDataRetrieved: !!executionResults.fitbitData,
+            fitbitSleepDataRetrieved: !!executionResults.fitbitSleepData,
+            diaryEntriesRetrieved: executionResults.diaryEntries?.count || 0,
+            fitbitTrendRetrieved: !!executionResults.fitbitTrend,
+            sourcesFetched: executionResults.sourcePassages?.length || 0,
+            latestSynthesis: executionResults.synthesisResults[executionResults.synthesisResults.length - 1]?.progressAnalysis || null
+        } : null,
+        artifacts: (await fs.readdir(folderPath)).filter(f => f !== 'cancellation_summary.json')
+    };
+
+    await fs.writeFile(summaryFilePath, JSON.stringify(summary, null, 2));
+    console.log(`[Job ${jobId}] Cancellation summary saved to cancellation_summary.json`);
 }
 
 // ============================================================================
@@ -1463,9 +2175,42 @@ EXAMPLE OUTPUT:
 // ============================================================================
 // This function executes the JSON action plan generated by Ollama
 
-async function executeJsonActions(jobId, folderPath, parsedPlan, originalQuery, preFetchedFitbitData = null, userContext = {}) {
+// Executor progress is saved here after every step so an interrupted job can resume
+const EXECUTION_CHECKPOINT_FILENAME = 'execution_checkpoint.json';
+
+async function saveExecutionCheckpoint(folderPath, checkpoint) {
+    const checkpointPath = path.join(folderPath, EXECUTION_CHECKPOINT_FILENAME);
+    const tmpPath = `${checkpointPath}.tmp`;
+    await fs.writeFile(tmpPath, JSON.stringify({ ...checkpoint, savedAt: new Date().toISOString() }, null, 2));
+    await fs.rename(tmpPath, checkpointPath);
+}
+
+// Ids a replacement plan may depend on: the steps the last checkpoint has as
+// completed, plus the ones in flight (the executor lets those finish before it
+// swaps a new plan in)
+async function knownStepIds(folderPath) {
+    const checkpointPath = path.join(folderPath, EXECUTION_CHECKPOINT_FILENAME);
+    const completedIds = (await fs.pathExists(checkpointPath))
+        ? ((await fs.readJson(checkpointPath)).completedIds || [])
+        : [];
+    const runningIds = (readJobManifest(folderPath)?.runningActions || []).map(a => a.id).filter(Boolean);
+    return [...new Set([...completedIds, ...runningIds])];
+}
+
+async function executeJsonActions(jobId, folderPath, parsedPlan, originalQuery, preFetchedFitbitData = null, userContext = {}, options = {}) {
     console.log(`[Job ${jobId}] --- Starting JSON Action Execution ---`);
+    transitionJob(folderPath, 'executing');
     
+    // Fresh plans are validated first: ids assigned, dependencies resolved, repairs applied
+    // (a checkpoint's queue was validated when its plan was)
+    if (!options.checkpoint) {
+        const { plan: validatedPlan, report } = await validateAndSavePlan(jobId, folderPath, parsedPlan, { stage: 'initial' });
+        if (!validatedPlan) {
+            throw new Error(`Execution plan failed validation: ${report.errors.join('; ')}`);
+        }
+        parsedPlan = validatedPlan;
+    }
+
     if (!parsedPlan.actions || parsedPlan.actions.length === 0) {
         console.log(`[Job ${jobId}] No actions to execute`);
         return;
@@ -1473,181 +2218,329 @@ async function executeJsonActions(jobId, folderPath, parsedPlan, originalQuery,
     
     // Sort actions by priority (LOWER numbers = HIGHER priority)
     const sortedActions = parsedPlan.actions.sort((a, b) => (a.priority || 5) - (b.priority || 5));
+
+    // Position of each action in the current plan, reported as the job's current action index
+    let actionIndexes = new Map(sortedActions.map((a, i) => [a, i + 1]));
+    let completedCount = 0;
+    let totalActions = sortedActions.length;
     
     // Track execution results - initialize with pre-fetched Fitbit data if available
-    const executionResults = {
+    let executionResults = {
         searchResults: [],
         analysisResults: [],
         synthesisResults: [],
+        sourcePassages: [], // Passages extracted by fetch_source
         finalResponse: null,
         planUpdateTriggered: false,
         updatedPlan: null,
         fitbitData: preFetchedFitbitData, // Initialize with pre-fetched data
-        fitbitSleepData: null // Initialize sleep data as null
+        fitbitSleepData: null, // Initialize sleep data as null
+        diaryEntries: null, // Filled by get_diary_entries
+        fitbitTrend: null, // Filled by get_fitbit_trend
+        // Which plan step produced each entry of the result arrays above (used by reruns)
+        provenance: { searchResults: [], analysisResults: [], synthesisResults: [], sourcePassages: [] },
+        fitbitDataStep: null,
+        fitbitSleepDataStep: null
     };
     // Attach user context for memory operations
     executionResults.userProfileId = userContext?.userProfileId || null;
     executionResults.authUserId = userContext?.authUserId || null;
     
-    // Track completed actions by their priority numbers
-    const completedActions = new Set();
-    const attemptCounts = new Map(); // key: action priority (step number), value: attempts
-    
-    // Use a queue to support retries and deferrals due to dependencies
+    // Scheduler state. Actions are tracked by their validated id, which is also
+    // what their "dependencies" refer to.
+    let completedActions = new Set(); // ids that finished successfully
+    let failedIds = new Set(); // ids that failed or were blocked
+    let attemptCounts = new Map(); // key: action id, value: attempts
+    let blockedActions = []; // { index, type, query, blockedBy }
+
+    // Actions waiting to start (priority order) and the ones in flight
     let queue = [...sortedActions];
-    console.log(`[Job ${jobId}] Executing ${queue.length} actions with retry logic (max ${JSON_ACTION_MAX_RETRIES} retries per action)`);
-    
-    while (queue.length > 0) {
-        const action = queue.shift();
-        const stepNum = action.priority;
-        const attempts = attemptCounts.get(stepNum) || 0;
-        
-        console.log(`[Job ${jobId}] Considering action: ${action.type} (priority: ${action.priority}) attempt ${attempts + 1}/${JSON_ACTION_MAX_RETRIES}`);
-        
-        // Check dependencies before executing action
-        if (action.dependencies && Array.isArray(action.dependencies)) {
-            const unmetDependencies = action.dependencies.filter(dep => !completedActions.has(dep));
-            if (unmetDependencies.length > 0) {
-                if (attempts < JSON_ACTION_MAX_RETRIES) {
-                    attemptCounts.set(stepNum, attempts + 1);
-                    console.log(`[Job ${jobId}] Deferring action ${action.type} due to unmet dependencies: ${unmetDependencies.join(', ')} (retry ${attempts + 1}/${JSON_ACTION_MAX_RETRIES})`);
-                    queue.push(action); // re-queue for later
-                    continue;
-                } else {
-                    console.warn(`[Job ${jobId}] Skipping action ${action.type} after ${JSON_ACTION_MAX_RETRIES} retries due to unmet dependencies: ${unmetDependencies.join(', ')}`);
-                    continue;
-                }
+    const running = new Map(); // key: action, value: promise resolving to { action, scope, error }
+
+    let completedTypes = []; // For the partial-results summary if the job is cancelled
+    let cancelled = false;
+
+    // Resuming after a restart: restore the executor exactly as it was checkpointed
+    const checkpoint = options.checkpoint;
+    if (checkpoint) {
+        queue = checkpoint.queue.map(entry => entry.action);
+        actionIndexes = new Map(checkpoint.queue.map((entry, i) => [queue[i], entry.index]));
+        completedCount = checkpoint.completedCount || 0;
+        totalActions = checkpoint.totalActions || completedCount + queue.length;
+        completedActions = new Set(checkpoint.completedIds || []);
+        failedIds = new Set(checkpoint.failedIds || []);
+        attemptCounts = new Map(checkpoint.attemptCounts || []);
+        completedTypes = checkpoint.completedActions || [];
+        blockedActions = checkpoint.blockedActions || [];
+        executionResults = { ...executionResults, ...checkpoint.executionResults };
+        console.log(`[Job ${jobId}] Restored checkpoint: ${completedCount} actions done, ${queue.length} remaining`);
+    }
+    updateJobManifest(folderPath, { totalActions, completedActions: completedCount });
+
+    // Snapshot of everything needed to continue from the current point. Actions
+    // still in flight count as not started, so a resumed job runs them again.
+    const checkpointState = () => ({
+        totalActions,
+        completedCount,
+        completedIds: [...completedActions],
+        failedIds: [...failedIds],
+        completedActions: completedTypes,
+        blockedActions,
+        attemptCounts: [...attemptCounts],
+        queue: [...running.keys(), ...queue].map(a => ({ index: actionIndexes.get(a), action: a })),
+        executionResults
+    });
+
+    // Synthesis and final response count as their own lifecycle phase
+    const updatePhase = () => {
+        const inFlight = [...running.keys()];
+        updateJobManifest(folderPath, {
+            runningActions: inFlight.map(a => ({ index: actionIndexes.get(a), id: a.id, type: a.type, priority: a.priority }))
+        });
+        if (inFlight.length === 0) return;
+        const synthesizing = inFlight.some(a => actionRegistry.get(a.type)?.phase === 'synthesizing');
+        transitionJob(folderPath, synthesizing ? 'synthesizing' : 'executing');
+    };
+
+    // Pull out waiting actions that can never run because a step they depend on
+    // failed, was blocked itself, or doesn't exist in the plan. Repeats until
+    // nothing changes so whole chains of dependents get blocked at once.
+    const blockUnrunnableActions = () => {
+        let changed = true;
+        while (changed) {
+            changed = false;
+            const outstanding = new Set([...running.keys(), ...queue].map(a => a.id));
+            for (const action of [...queue]) {
+                const blockedBy = (Array.isArray(action.dependencies) ? action.dependencies : [])
+                    .filter(dep => !completedActions.has(dep) && (failedIds.has(dep) || !outstanding.has(dep)));
+                if (blockedBy.length === 0) continue;
+
+                queue = queue.filter(a => a !== action);
+                failedIds.add(action.id);
+                blockedActions.push({ index: actionIndexes.get(action), id: action.id, type: action.type, query: action.query, blockedBy });
+                console.warn(`[Job ${jobId}] Blocking action ${action.type} (${action.id}) - dependencies did not complete: ${blockedBy.join(', ')}`);
+                emitJobEvent(folderPath, jobId, 'action_blocked', { index: actionIndexes.get(action), id: action.id, type: action.type, priority: action.priority, blockedBy });
+                changed = true;
             }
         }
-        
-        try {
-            switch (action.type) {
-                case 'google_search':
-                    await executeGoogleSearch(jobId, folderPath, action, executionResults);
-                    break;
-                case 'analyze_results':
-                    await executeAnalyzeResults(jobId, folderPath, action, executionResults, originalQuery);
-                    // Implicit memory write disabled. Use a separate 'memory_store' action instead.
-                    // if (executionResults.analysisInsights && executionResults.userProfileId) {
-                    //     await storeMemory(executionResults.userProfileId, {
-                    //         title: `AI Analysis Insight: ${originalQuery.substring(0, 50)}...`,
-                    //         content: executionResults.analysisInsights,
-                    //         memoryType: 'insight',
-                    //         sourceType: 'ai_analysis',
-                    //         sourceId: jobId,
-                    //         importance: 0.7
-                    //     });
-                    // }
-                    break;
-                case 'synthesize':
-                    await executeSynthesize(jobId, folderPath, action, executionResults, originalQuery);
-                    // Implicit memory write disabled. Use a separate 'memory_store' action instead.
-                    // if (executionResults.synthesisInsights && executionResults.userProfileId) {
-                    //     await storeMemory(executionResults.userProfileId, {
-                    //         title: `AI Synthesis Insight: ${originalQuery.substring(0, 50)}...`,
-                    //         content: executionResults.synthesisInsights,
-                    //         memoryType: 'insight',
-                    //         sourceType: 'ai_analysis',
-                    //         sourceId: jobId,
-                    //         importance: 0.8
-                    //     });
-                    // }
-                    break;
-                case 'formulate_response':
-                    await executeFormulateResponse(jobId, folderPath, action, executionResults, originalQuery);
-                    // Implicit memory write disabled. Use a separate 'memory_store' action instead.
-                    // if (executionResults.finalResponse) {
-                    //     const targetUserId = executionResults.userProfileId;
-                    //     if (targetUserId) {
-                    //         await storeMemory(targetUserId, {
-                    //             title: `AI Response: ${originalQuery.substring(0, 50)}...`,
-                    //             content: executionResults.finalResponse,
-                    //             memoryType: 'conversation',
-                    //             sourceType: 'ai_analysis',
-                    //             sourceId: jobId,
-                    //             importance: 0.6
-                    //         });
-                    //     }
-                    // }
-                    break;
-                case 'get_fitbit_data':
-                    await executeFitbitData(jobId, folderPath, action, executionResults);
-                    break;
-                case 'get_fitbit_sleep':
-                    await executeFitbitSleep(jobId, folderPath, action, executionResults);
-                    break;
-                case 'memory_search':
-                    if (executionResults.userProfileId) {
-                        try {
-                            const matches = await searchMemories(executionResults.userProfileId, action.query || '', 0.7, 5);
-                            executionResults.lastMemoryMatches = matches;
-                            console.log(`[Job ${jobId}] memory_search found ${matches?.length || 0} matches`);
-                        } catch (e) {
-                            console.warn(`[Job ${jobId}] Memory search (analysis) failed:`, e.message);
-                        }
-                    }
-                    break;
-                case 'memory_store':
-                    if (executionResults.userProfileId && action.query) {
-                        try {
-                            const contentToStore = String(action.query);
-                            const title = `AI Memory: ${contentToStore.slice(0, 50)}...`;
-                            await storeMemory(executionResults.userProfileId, {
-                                title,
-                                content: contentToStore,
-                                memoryType: 'insight',
-                                sourceType: 'ai_analysis',
-                                sourceId: jobId,
-                                importance: 0.7
-                            });
-                            console.log(`[Job ${jobId}] memory_store persisted ${contentToStore.length} chars`);
-                        } catch (e) {
-                            console.warn(`[Job ${jobId}] Memory store failed:`, e.message);
-                        }
-                    }
-                    break;
-                default:
-                    console.log(`[Job ${jobId}] Unknown action type: ${action.type}`);
-            }
+    };
+
+    // Start an action on its own copy of the result arrays (merged back on completion)
+    const startAction = (action) => {
+        const attempts = attemptCounts.get(action.id) || 0;
+        console.log(`[Job ${jobId}] Starting action: ${action.type} (${action.id}, priority: ${action.priority}) attempt ${attempts + 1}/${JSON_ACTION_MAX_RETRIES}`);
+        updateJobManifest(folderPath, {
+            currentAction: { index: actionIndexes.get(action), id: action.id, type: action.type, priority: action.priority, startedAt: new Date().toISOString() }
+        });
+        emitJobEvent(folderPath, jobId, 'action_started', { index: actionIndexes.get(action), id: action.id, type: action.type, query: action.query, priority: action.priority, attempt: attempts + 1 });
+
+        const scope = createActionScope(executionResults);
+        running.set(action, executeAction(jobId, folderPath, action, scope.results, originalQuery)
+            .then(() => ({ action, scope, error: null }), error => ({ action, scope, error })));
+        updatePhase();
+    };
+
+    // Record the outcome of a finished action: merge its results, or retry / fail it
+    const finishAction = ({ action, scope, error }) => {
+        running.delete(action);
+        const attempts = attemptCounts.get(action.id) || 0;
+
+        if (!error) {
+            mergeActionScope(executionResults, scope);
             // Mark action as completed
-            if (action.priority !== undefined) {
-                completedActions.add(action.priority);
-            }
-        } catch (actionError) {
+            completedActions.add(action.id);
+            updateJobManifest(folderPath, { completedActions: ++completedCount });
+            completedTypes.push({ index: actionIndexes.get(action), id: action.id, type: action.type, query: action.query });
+            recordStepProvenance(executionResults, action, actionIndexes.get(action));
+            emitJobEvent(folderPath, jobId, 'action_completed', { index: actionIndexes.get(action), id: action.id, type: action.type, priority: action.priority });
+        } else if (isJobCancelled(jobId)) {
+            // Aborted by cancellation - left for the partial-results summary
+            queue.unshift(action);
+        } else {
             const nextAttempts = attempts + 1;
             if (nextAttempts < JSON_ACTION_MAX_RETRIES) {
-                attemptCounts.set(stepNum, nextAttempts);
-                console.error(`[Job ${jobId}] Error executing action ${action.type}: ${actionError.message}. Retrying (${nextAttempts}/${JSON_ACTION_MAX_RETRIES})...`);
+                attemptCounts.set(action.id, nextAttempts);
+                console.error(`[Job ${jobId}] Error executing action ${action.type}: ${error.message}. Retrying (${nextAttempts}/${JSON_ACTION_MAX_RETRIES})...`);
+                emitJobEvent(folderPath, jobId, 'action_retry', { index: actionIndexes.get(action), type: action.type, error: error.message, attempt: nextAttempts + 1 });
                 queue.push(action);
-                continue;
             } else {
-                console.error(`[Job ${jobId}] Action ${action.type} failed after ${JSON_ACTION_MAX_RETRIES} attempts: ${actionError.message}`);
-                // Do not requeue
+                console.error(`[Job ${jobId}] Action ${action.type} failed after ${JSON_ACTION_MAX_RETRIES} attempts: ${error.message}`);
+                emitJobEvent(folderPath, jobId, 'action_failed', { index: actionIndexes.get(action), type: action.type, error: error.message });
+                // Do not requeue; its dependents get blocked
+                failedIds.add(action.id);
             }
         }
-        
-        // If plan update was triggered, replace remaining queue with new plan's actions
+        updatePhase();
+    };
+
+    // Budget: checked before anything new is scheduled. LLM and search calls are
+    // the job's running totals from the usage ledger, so calls made while planning
+    // count too.
+    const budget = options.budget || resolveBudget();
+    const budgetUsage = () => ({
+        planRewrites: executionResults.planRevision || 0,
+        ...jobUsageTotals(jobId),
+        elapsedMs: activeElapsedMs(readJobManifest(folderPath))
+    });
+
+    // A limit was hit: let in-flight actions finish, drop everything else (including
+    // any pending plan rewrite) and go straight to formulate_response. The final
+    // answer is the one call still allowed once the budget is spent.
+    const exhaustBudget = async (hit) => {
+        console.warn(`[Job ${jobId}] Budget limit ${hit.limit} reached (${hit.used}/${hit.max}) - skipping to the final response`);
+        (await Promise.all(running.values())).forEach(finishAction);
+
+        const note = `Research was cut short because the job hit its ${hit.limit} budget; answer with what was gathered and say that it is incomplete.`;
+        let finalAction = null;
+        if (!executionResults.finalResponse) {
+            finalAction = queue.filter(a => a.type === 'formulate_response').pop() || null;
+            if (finalAction) {
+                finalAction.query = `${finalAction.query} (${note})`;
+            } else {
+                finalAction = {
+                    id: 'budget-final-response',
+                    type: 'formulate_response',
+                    query: `Answer the original question using the findings gathered so far. ${note}`,
+                    priority: 0
+                };
+                actionIndexes.set(finalAction, completedCount + 1);
+            }
+            finalAction.dependencies = [];
+            allowLlmCalls(jobId, actionRegistry.estimateCalls([finalAction]).llmCalls);
+        }
+
+        const skipped = queue.filter(a => a !== finalAction);
+        executionResults.budgetExhausted = {
+            ...hit,
+            at: new Date().toISOString(),
+            skippedActions: skipped.map(a => ({ index: actionIndexes.get(a), id: a.id, type: a.type, query: a.query }))
+        };
+        executionResults.planUpdateTriggered = false;
+        executionResults.updatedPlan = null;
+        queue = finalAction ? [finalAction] : [];
+        totalActions = completedCount + queue.length;
+        updateJobManifest(folderPath, { totalActions, budgetExhausted: { ...hit, at: executionResults.budgetExhausted.at } });
+        emitJobEvent(folderPath, jobId, 'budget_exhausted', { ...hit, skipped: skipped.length });
+    };
+
+    console.log(`[Job ${jobId}] Executing ${queue.length} actions (up to ${JSON_ACTION_PARALLELISM} at once, max ${JSON_ACTION_MAX_RETRIES} attempts per action)`);
+
+    while (queue.length > 0 || running.size > 0) {
+        // Honour cancellation between actions
+        if (isJobCancelled(jobId)) {
+            console.log(`[Job ${jobId}] Cancellation requested - stopping with ${queue.length + running.size} actions left`);
+            cancelled = true;
+            // In-flight requests were aborted; wait for them to unwind
+            (await Promise.all(running.values())).forEach(finishAction);
+            break;
+        }
+
+        // Once the budget is spent only the final response still runs
+        if (!executionResults.budgetExhausted) {
+            const hit = checkBudget(budget, budgetUsage());
+            if (hit) {
+                await exhaustBudget(hit);
+                continue;
+            }
+        }
+
+        // A plan update replaces everything that hasn't started yet, so let the
+        // in-flight actions finish first
         if (executionResults.planUpdateTriggered && executionResults.updatedPlan) {
+            if (running.size > 0) {
+                finishAction(await Promise.race(running.values()));
+                continue;
+            }
+
+            // In approval mode the current queue is checkpointed as-is and the job pauses;
+            // the decision endpoint swaps in the replacement plan if it is approved
+            if (options.requireApproval) {
+                executionResults.planUpdateTriggered = false;
+                await saveExecutionCheckpoint(folderPath, checkpointState());
+                await requestPlanApproval(jobId, folderPath, 'update', executionResults.updatedPlan, {
+                    idPrefix: `rev${executionResults.planRevision}-step-`,
+                    knownIds: [...completedActions]
+                });
+                return { awaitingApproval: true };
+            }
             const newActions = (executionResults.updatedPlan.actions || []).sort((a, b) => (a.priority || 5) - (b.priority || 5));
             console.log(`[Job ${jobId}] Plan update detected! Replacing remaining actions with ${newActions.length} new actions`);
             queue = [...newActions];
+            actionIndexes = new Map(newActions.map((a, i) => [a, completedCount + i + 1]));
+            totalActions = completedCount + newActions.length;
+            updateJobManifest(folderPath, { totalActions });
             attemptCounts.clear();
+            failedIds.clear();
             executionResults.planUpdateTriggered = false;
         }
+
+        await saveExecutionCheckpoint(folderPath, checkpointState());
+
+        // Start everything whose dependencies are done, up to the parallelism limit.
+        // An action joins the batch only if the calls it and the running actions
+        // are expected to make still fit the budget; otherwise it waits for them,
+        // so parallel actions can't overshoot a limit together.
+        blockUnrunnableActions();
+        const ready = queue.filter(action =>
+            (Array.isArray(action.dependencies) ? action.dependencies : []).every(dep => completedActions.has(dep)));
+        for (const action of ready) {
+            if (running.size >= JSON_ACTION_PARALLELISM) break;
+            if (running.size > 0 && !executionResults.budgetExhausted) {
+                const expected = actionRegistry.estimateCalls([...running.keys(), action], { hasUserProfile: !!executionResults.userProfileId });
+                if (!fitsBudget(budget, jobUsageTotals(jobId), expected)) break;
+            }
+            queue = queue.filter(a => a !== action);
+            startAction(action);
+        }
+
+        if (running.size === 0) {
+            // Only reachable if the remaining actions wait on each other (the
+            // validator removes cycles, so this is a last line of defence)
+            if (queue.length > 0) {
+                for (const action of queue) {
+                    blockedActions.push({ index: actionIndexes.get(action), id: action.id, type: action.type, query: action.query, blockedBy: action.dependencies });
+                    emitJobEvent(folderPath, jobId, 'action_blocked', { index: actionIndexes.get(action), id: action.id, type: action.type, priority: action.priority, blockedBy: action.dependencies });
+                }
+                console.warn(`[Job ${jobId}] ${queue.length} actions wait on each other and can never start - blocking them`);
+                queue = [];
+            }
+            break;
+        }
+
+        // Wait for the next action to finish, then schedule again
+        finishAction(await Promise.race(running.values()));
+    }
+    updateJobManifest(folderPath, { runningActions: [] });
+    await saveExecutionCheckpoint(folderPath, checkpointState());
+
+    if (cancelled) {
+        await saveCancellationSummary(jobId, folderPath, {
+            reason: getCancelReason(jobId),
+            executionResults,
+            completedActions: completedTypes,
+            pendingActions: queue
+        });
     }
-    
-    // Small delay between actions to avoid rate limiting
-    await new Promise(resolve => setTimeout(resolve, 1000));
     
     // Save execution summary
     const executionSummary = {
-        totalActions: sortedActions.length,
+        cancelled,
+        totalActions,
+        blockedActions,
+        budget,
+        budgetExhausted: executionResults.budgetExhausted || null,
         searchResultsFound: executionResults.searchResults.length,
         analysisCompleted: executionResults.analysisResults.length > 0,
         synthesisCompleted: executionResults.synthesisResults.length > 0,
         finalResponseGenerated: !!executionResults.finalResponse,
         fitbitDataRetrieved: !!executionResults.fitbitData,
         fitbitSleepDataRetrieved: !!executionResults.fitbitSleepData,
+        diaryEntriesRetrieved: executionResults.diaryEntries?.count || 0,
+        fitbitTrendRetrieved: !!executionResults.fitbitTrend,
+        sourcesFetched: executionResults.sourcePassages.length,
+        searchCache: summarizeCacheLog(folderPath),
+        citationCheck: executionResults.citationCheck || null,
+        critique: executionResults.critique || null,
         timestamp: new Date().toISOString()
     };
     
@@ -1659,32 +2552,188 @@ async function executeJsonActions(jobId, folderPath, parsedPlan, originalQuery,
     console.log(`[Job ${jobId}] --- JSON Action Execution Complete ---`);
 }
 
-// Execute Google Search action
+// Run one plan action against the given results object. The handler comes from
+// the action registry. (Implicit memory writes after analysis, synthesis and the
+// final response stay disabled; plans use explicit memory_store actions.)
+async function executeAction(jobId, folderPath, action, executionResults, originalQuery) {
+    await actionRegistry.dispatch({
+        jobId,
+        folderPath,
+        action,
+        executionResults,
+        originalQuery,
+        signal: getJobSignal(jobId),
+        services: actionServices
+    });
+}
+
+// memory_search: look up long-term memories relevant to the action's query
+async function executeMemorySearch(jobId, action, executionResults) {
+    if (!executionResults.userProfileId) return;
+    try {
+        const matches = await searchMemories(executionResults.userProfileId, action.query || '', 0.7, 5, { signal: getJobSignal(jobId), jobId });
+        executionResults.lastMemoryMatches = matches;
+        console.log(`[Job ${jobId}] memory_search found ${matches?.length || 0} matches`);
+    } catch (e) {
+        console.warn(`[Job ${jobId}] Memory search (analysis) failed:`, e.message);
+    }
+}
+
+// memory_store: persist the action's query text as an insight
+async function executeMemoryStore(jobId, action, executionResults) {
+    if (!executionResults.userProfileId || !action.query) return;
+    try {
+        const contentToStore = String(action.query);
+        const title = `AI Memory: ${contentToStore.slice(0, 50)}...`;
+        await storeMemory(executionResults.userProfileId, {
+            title,
+            content: contentToStore,
+            memoryType: 'insight',
+            sourceType: 'ai_analysis',
+            sourceId: jobId,
+            importance: 0.7
+        }, { signal: getJobSignal(jobId), jobId });
+        console.log(`[Job ${jobId}] memory_store persisted ${contentToStore.length} chars`);
+    } catch (e) {
+        console.warn(`[Job ${jobId}] Memory store failed:`, e.message);
+    }
+}
+
+// Concurrent actions each work on a copy of the shared result arrays so their
+// outputs (and the provenance recorded for reruns) can't get mixed up. What an
+// action added or changed is merged back once it finishes.
+const SHARED_RESULT_ARRAYS = ['searchResults', 'analysisResults', 'synthesisResults', 'sourcePassages'];
+
+function createActionScope(executionResults) {
+    const base = { ...executionResults };
+    const results = { ...executionResults };
+    for (const key of SHARED_RESULT_ARRAYS) {
+        base[key] = executionResults[key].length; // only the length matters for the merge
+        results[key] = [...executionResults[key]];
+    }
+    return { base, results };
+}
+
+function mergeActionScope(executionResults, { base, results }) {
+    for (const key of Object.keys(results)) {
+        if (key === 'searchResults') {
+            // Searches running side by side can't see each other's results, so
+            // pages found by both are de-duplicated here
+            const seen = new Set(executionResults.searchResults.map(result => canonicalUrl(result.link)));
+            executionResults.searchResults.push(...dedupeByUrl(results.searchResults.slice(base.searchResults), seen).unique);
+        } else if (SHARED_RESULT_ARRAYS.includes(key)) {
+            executionResults[key].push(...results[key].slice(base[key]));
+        } else if (results[key] !== base[key]) {
+            executionResults[key] = results[key];
+        }
+    }
+}
+
+// Remember which plan step produced each new search/analysis/synthesis entry and
+// each action's resultKey (Fitbit data, diary entries, ...), so a rerun can reuse
+// exactly the outputs of the steps it skips
+function recordStepProvenance(executionResults, action, stepIndex) {
+    const provenance = executionResults.provenance || (executionResults.provenance = {});
+    for (const key of SHARED_RESULT_ARRAYS) {
+        provenance[key] = provenance[key] || [];
+        while (provenance[key].length < executionResults[key].length) {
+            provenance[key].push(stepIndex);
+        }
+    }
+    const resultKey = actionRegistry.get(action.type)?.resultKey;
+    if (resultKey && executionResults[resultKey]) executionResults[`${resultKey}Step`] = stepIndex;
+}
+
+// Execute a google_search action through the configured search providers
 async function executeGoogleSearch(jobId, folderPath, action, executionResults) {
-    console.log(`[Job ${jobId}] Searching Google for: "${action.query}"`);
-    
-    // Get Google API credentials
-    const googleApiKey = process.env.GOOGLE_API_KEY;
-    const googleCseId = process.env.GOOGLE_CSE_ID;
+    console.log(`[Job ${jobId}] Searching the web for: "${action.query}"`);
     
-    if (!googleApiKey || !googleCseId) {
-        console.log(`[Job ${jobId}] Google Search not configured - skipping`);
+    // Local-only jobs may only search the local index
+    const localOnly = isLocalOnlyJob(jobId);
+    const providerNames = searchProviders.usable({ localOnly });
+    if (providerNames.length === 0) {
+        console.log(`[Job ${jobId}] No ${localOnly ? 'local ' : ''}search provider configured (SEARCH_PROVIDERS=${searchProviders.names.join(',')}) - skipping`);
         return;
     }
+
+    // A query any job ran within the TTL is served from the search cache, from
+    // the first provider in the chain that has it. Local index results aren't
+    // cached; reading them again is free.
+    const useCache = searchCache.enabled && cassette.mode === 'off';
+    let cached = null;
+    let provider = null;
+    for (const name of useCache ? providerNames : []) {
+        cached = searchCache.get(name, action.query);
+        if (cached) {
+            provider = name;
+            break;
+        }
+    }
     
     try {
-        const searchResults = await performGoogleSearch(action.query, googleApiKey, googleCseId);
+        let rawResults;
+        let attempts = [];
+        if (cached) {
+            rawResults = cached.results;
+            console.log(`[Job ${jobId}] Search cache hit for "${action.query}" from ${provider} (cached ${cached.ageSeconds}s ago)`);
+        } else {
+            ({ provider, results: rawResults, attempts } = await searchProviders.search(action.query, { signal: getJobSignal(jobId), jobId, localOnly }));
+            if (useCache && provider && provider !== 'local') searchCache.set(provider, action.query, rawResults);
+        }
+
+        // Rate each result against the source policy: blocklisted (and, in drop
+        // mode, low-credibility) results go no further, the rest are ranked
+        const { kept: rankedResults, dropped } = sourcePolicy.apply(rawResults);
+
+        // Keep one copy of each page across all of this job's searches
+        const seen = new Set(executionResults.searchResults.map(result => canonicalUrl(result.link)));
+        const { unique: searchResults, duplicates } = dedupeByUrl(rankedResults, seen);
         executionResults.searchResults.push(...searchResults);
+
+        appendCacheLog(folderPath, {
+            provider,
+            attempts,
+            query: action.query,
+            normalizedQuery: normalizeQuery(action.query),
+            status: cached ? 'hit' : (useCache ? 'miss' : 'bypass'),
+            cachedAt: cached?.cachedAt || null,
+            ageSeconds: cached?.ageSeconds ?? null,
+            results: rawResults.length,
+            duplicatesRemoved: duplicates.length
+        });
         
         // Save search results for this specific query
         const searchFilename = `${Date.now()}_search_${action.query.replace(/[^a-zA-Z0-9]/g, '_').substring(0, 30)}.md`;
         const searchFilePath = path.join(folderPath, searchFilename);
-        const searchContent = `# Search Results: ${action.query}\n\n${searchResults.map((result, index) => 
-            `**Result ${index + 1}:** ${result.title}\n${result.snippet}\nSource: ${result.link}`
+        const failures = attempts.filter(attempt => attempt.error).map(attempt => `${attempt.provider}: ${attempt.error}`);
+        let searchContent = `# Search Results: ${action.query}\n\nProvider: ${provider || 'none'}${cached ? ' (cached)' : ''}${failures.length > 0 ? `\nFailed providers: ${failures.join('; ')}` : ''}\n\n${searchResults.map((result, index) => 
+            `**Result ${index + 1}:** ${result.title}\n${result.snippet}\nSource: ${result.link}\nCredibility: ${credibilityLabel(result)} - ${result.credibility.reason}`
         ).join('\n')}`;
+        if (dropped.length > 0) {
+            searchContent += `\n\n## Dropped by source policy (${sourcePolicy.mode} mode)\n\n${dropped.map(result =>
+                `- ${result.title} - ${result.link} (${result.credibility.reason})`
+            ).join('\n')}`;
+        }
+        if (duplicates.length > 0) {
+            searchContent += `\n\n## Already found by an earlier search\n\n${duplicates.map(result =>
+                `- ${result.title} - ${result.link}`
+            ).join('\n')}`;
+        }
         await fs.writeFile(searchFilePath, searchContent);
         
-        console.log(`[Job ${jobId}] Found ${searchResults.length} results for: "${action.query}"`);
+        console.log(`[Job ${jobId}] Found ${rawResults.length} results for: "${action.query}" from ${provider || 'no provider'}${cached ? ' (cached)' : ''} (${dropped.length} dropped by source policy, ${duplicates.length} duplicates)`);
+
+        if (SOURCE_FETCH_AFTER_SEARCH && searchResults.length > 0) {
+            await actionRegistry.dispatch({
+                jobId,
+                folderPath,
+                action: { type: 'fetch_source', query: action.query, urls: searchResults.map(result => result.link) },
+                executionResults,
+                originalQuery: action.query,
+                signal: getJobSignal(jobId),
+                services: actionServices
+            });
+        }
     } catch (error) {
         console.error(`[Job ${jobId}] Google search failed for "${action.query}":`, error.message);
     }
@@ -1707,7 +2756,7 @@ async function check_and_update_plan(jobId, folderPath, action, executionResults
     try {
         if (executionResults.userProfileId) {
             const memoryQuery = `${originalQuery} ${action.query}`.trim();
-            analysisMemMatches = await searchMemories(executionResults.userProfileId, memoryQuery, 0.7, 5);
+            analysisMemMatches = await searchMemories(executionResults.userProfileId, memoryQuery, 0.7, 5, { signal: getJobSignal(jobId), jobId });
             // Save memory matches to file
             const memFile = `${Date.now()}_memories_for_${action.query.replace(/[^a-zA-Z0-9]/g, '_').substring(0, 30)}.json`;
             await fs.writeFile(path.join(folderPath, memFile), JSON.stringify(analysisMemMatches, null, 2));
@@ -1725,18 +2774,23 @@ CURRENT PROGRESS ANALYSIS:
 - Previous Analyses: ${executionResults.analysisResults.length}
 - Syntheses Completed: ${executionResults.synthesisResults.length}
 
-SEARCH RESULTS SUMMARY:
-${executionResults.searchResults.slice(0, 5).map((result, index) => 
-    `${index + 1}. ${result.title}: ${result.snippet}`
+SEARCH RESULTS SUMMARY (most credible first, [credibility tier, score]):
+${rankByCredibility(executionResults.searchResults).slice(0, 5).map((result, index) => 
+    `${index + 1}. [${credibilityLabel(result)}] ${result.title}: ${result.snippet}`
 ).join('\n')}
 
+SOURCE PASSAGES (extracted from fetched pages, most relevant first):
+${formatSourcePassages(executionResults.sourcePassages)}
+
 CURRENT INSTRUCTION: ${action.query}
 
 FITBIT DATA AVAILABLE: 
 - Activity Data: ${executionResults.fitbitData ? 'Available' : 'Not Available'}
 - Sleep Data: ${executionResults.fitbitSleepData ? 'Available' : 'Not Available'}
+- Trend vs Personal Baseline: ${executionResults.fitbitTrend ? `${executionResults.fitbitTrend.startDate} to ${executionResults.fitbitTrend.targetDate}, flags: ${executionResults.fitbitTrend.flags.join('; ') || 'none'}` : 'Not Available'}
+- Diary Entries: ${executionResults.diaryEntries ? `${executionResults.diaryEntries.count} entries (${executionResults.diaryEntries.startDate} to ${executionResults.diaryEntries.endDate}), average ratings ${JSON.stringify(executionResults.diaryEntries.averages)}` : 'Not Available'}
 
-Use get_fitbit_data() for activity data or get_fitbit_sleep() for sleep data if relevant to analysis.
+Use get_fitbit_data() for activity data, get_fitbit_sleep() for sleep data, get_fitbit_trend() for days compared with the user's baseline or get_diary_entries() for the user's own mood, energy, stress and sleep-quality journal if relevant to analysis.
 
 RELEVANT LONG-TERM MEMORIES:
 ${formatMemoriesForContext(analysisMemMatches)}
@@ -1757,7 +2811,7 @@ Current analysis task: ${action.query}
 
 Based on the AI system's research data provided below, you must:
 
-1. **EVALUATE SEARCH RESULT QUALITY**: Critically assess the relevance and quality of Google search results. Identify any irrelevant content (gaming, entertainment, unrelated topics) that should be filtered out.
+1. **EVALUATE SEARCH RESULT QUALITY**: Critically assess the relevance and quality of Google search results. Each result is labelled with its credibility tier and score (blocklisted sites are already removed); weigh peer-reviewed and government sources above health news, and treat forum or low-credibility results with caution. Identify any irrelevant content (gaming, entertainment, unrelated topics) that should be filtered out.
 
 2. **ANALYZE RELIABLE RESEARCH**: Focus on the most trustworthy information:
    - Personal health data (Fitbit activity/sleep) as primary evidence
@@ -1770,77 +2824,44 @@ Based on the AI system's research data provided below, you must:
 
 5. **RECOMMEND NEXT ACTION**: Should the system proceed to formulate the final response focusing on reliable data, or do we need additional targeted research with better search terms?
 
-If you determine that additional research is needed, respond with the magic phrase "## UPDATED BREAKDOWN STEPS:" followed by new breakdown steps in this EXACT format:
-
-## UPDATED BREAKDOWN STEPS:
-1) [New step 1]
-2) [New step 2] 
-3) [New step 3]
-...
-N) Formulate comprehensive response combining all findings
-
-## PROGRESS CHECK:
-After steps 1-3, evaluate if enough information gathered.
-Always ensure final step synthesizes everything into user response.
-
-## EXECUTOR SYSTEM PROMPT:
-You are a health-focused AI task executor. Convert the breakdown steps above into a JSON array of actions with high-quality search queries. Each action should have:
-- "type": the action type - MUST be one of: google_search, analyze_results, synthesize, formulate_response, get_fitbit_data, get_fitbit_sleep, memory_search, memory_store
-- "query": the specific search query or instruction
-- "priority": number from 1-10 (lower = higher priority)
-- "dependencies": array of step numbers this depends on
-
-SEARCH QUALITY REQUIREMENTS:
-- Use specific medical/health terminology when appropriate
-- Include terms like "medical", "health", "research", "study", "clinical" to improve results
-- Avoid generic terms that return irrelevant content (gaming, entertainment)
-- Focus on evidence-based, scientific sources
-
-SUPPORTED ACTION TYPES ONLY:
-- google_search: Search Google for targeted health/medical information
-- analyze_results: Analyze search results and filter out irrelevant content
-- synthesize: Combine reliable information from multiple sources  
-- formulate_response: Create evidence-based final user response
-- get_fitbit_data: Get user's Fitbit activity data
-- get_fitbit_sleep: Get user's Fitbit sleep data
-- memory_search: Search long-term memories for context
-- memory_store: Store important insights to long-term memory
-
-MEMORY AWARENESS:
-- Long-term memory functions exist (storeMemory, searchMemories). Do NOT create memory action types.
-- When prior memories would help, add a note in the action's "query" text (e.g., "consult relevant prior memories about [X]") so the system can incorporate memories internally.
-
-Return ONLY valid JSON in this format:
-{
-  "actions": [
-    {"type": "google_search", "query": "medical causes chronic fatigue research studies", "priority": 1, "dependencies": []},
-    {"type": "google_search", "query": "exercise induced fatigue recovery medical research", "priority": 2, "dependencies": []},
-    {"type": "get_fitbit_data", "query": "retrieve activity data", "priority": 3, "dependencies": []},
-    {"type": "analyze_results", "query": "identify relevant medical information and filter out irrelevant content", "priority": 4, "dependencies": [1,2,3]},
-    {"type": "synthesize", "query": "combine medical research with personal activity data", "priority": 5, "dependencies": [4]},
-    {"type": "formulate_response", "query": "create evidence-based health recommendations", "priority": 6, "dependencies": [5]}
-  ]
-}
+If you determine that additional research is needed, set "needsMoreResearch" to true and give the new breakdown steps in "updatedSteps". The steps should use targeted medical/health research with better search terms, can use the actions ${actionRegistry.allowedList()}, and must end with a step that formulates a comprehensive response combining all findings.
 
-IMPORTANT:
-- Do NOT create new action types
-- Do NOT use action types like "get_current_time", "analyze_sleep_metrics", "find_actionable_strategies", or "synthesize_recovery_plan"
-- ONLY use the 8 action types listed above
-- Use targeted medical/health search terms to avoid irrelevant results
-- Return ONLY the JSON, nothing else
+Otherwise, if current progress is sufficient, set "needsMoreResearch" to false and leave "updatedSteps" empty.`;
 
-Otherwise, if current progress is sufficient, just provide your analysis in natural language format.`;
+    // The reply format is fixed, so it is added to custom prompts as well
+    const progressReviewFormat = `OUTPUT FORMAT (STRICT):
+Return ONLY a JSON object with exactly these fields:
+- "assessment": your analysis in Markdown (search result quality, reliable findings, knowledge gaps, completeness)
+- "needsMoreResearch": true if more targeted research is needed before the final answer, otherwise false
+- "updatedSteps": when needsMoreResearch is true, the new breakdown steps in order, one string per step (no numbering); otherwise []
+- "rationale": one sentence explaining the decision
+Do NOT include markdown fences or any text outside the JSON object.`;
 
     try {
-        // Call the Progress Analyzer AI
-        const progressResponse = await callOpenRouterWithFallback(progressPrompt, contextSummary, jobId, 'Progress Analyzer AI');
-        const progressContent = progressResponse.content || progressResponse;
+        // Call the Progress Analyzer AI (unusable replies get a repair prompt)
+        const review = await requestStructuredOutput(
+            jobId,
+            'Progress Analyzer AI',
+            `${progressPrompt}\n\n${progressReviewFormat}`,
+            contextSummary,
+            PROGRESS_REVIEW_SCHEMA,
+            validateProgressReview
+        );
+        if (!review.success) {
+            throw new Error(review.error);
+        }
+        const progressContent = review.value.assessment;
         
         // Save the progress analysis
         const progressAnalysis = {
             originalQuery: originalQuery,
             actionInstruction: action.query,
             progressAssessment: progressContent,
+            needsMoreResearch: review.value.needsMoreResearch,
+            updatedSteps: review.value.updatedSteps,
+            rationale: review.value.rationale,
+            model: review.model,
+            repairs: review.repairs.map(r => ({ attempt: r.attempt, model: r.model, errors: r.errors })),
             dataAnalyzed: {
                 searchResults: executionResults.searchResults.length,
                 analyses: executionResults.analysisResults.length,
@@ -1862,56 +2883,61 @@ Otherwise, if current progress is sufficient, just provide your analysis in natu
         executionResults.analysisResults.push(progressAnalysis);
         console.log(`[Job ${jobId}] Progress analysis completed and saved to ${progressFilename}`);
 
-        // Check if the AI response contains the magic phrase for plan updates
-        if (progressContent.includes('## UPDATED BREAKDOWN STEPS:')) {
-            console.log(`[Job ${jobId}] Magic phrase detected! Plan update requested by Progress Analyzer AI`);
+        // More research requested: convert the new steps to a JSON plan on the local
+        // plan update chain (PLAN_UPDATE_MODEL_1..5, Ollama by default), against the
+        // same schema as the initial plan
+        if (review.value.needsMoreResearch) {
+            console.log(`[Job ${jobId}] Plan update requested by Progress Analyzer AI (${review.value.updatedSteps.length} new steps)`);
             
-            // Extract the breakdown steps and convert to JSON plan using Ollama
-            const ollamaPrompt = `${progressContent}
+            const planUpdateSystemPrompt = renderPrompt(ENV_PROMPTS.jsonExecutorSystem, { originalQuery });
+            const planUpdatePrompt = `Breakdown Steps to Convert:
+${formatSteps(review.value.updatedSteps)}
 
 IMPORTANT:
 - Do NOT create new action types
 - Do NOT use action types like "get_current_time", "analyze_sleep_metrics", "find_actionable_strategies", or "synthesize_recovery_plan"
-- ONLY use the 8 action types listed above
+- ONLY use the ${actionRegistry.types().length} action types listed above
 - Use targeted medical/health search terms to avoid irrelevant results
 - Return ONLY the JSON, nothing else
 
 `;
 
             try {
-                // Call Ollama to convert breakdown to JSON
-                const ollamaResponse = await fetch('http://localhost:11434/api/generate', {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json'
-                    },
-                    body: JSON.stringify({
-                        model: process.env.OLLAMA_MODEL || 'llama3.2:3b',
-                        prompt: ollamaPrompt,
-                        format: 'json',
-                        stream: false
-                    })
-                });
+                const planUpdate = await callOpenRouterJSONWithFallback(planUpdatePrompt, planUpdateSystemPrompt, jobId, 'Plan Update', actionRegistry.planSchema(), { models: planUpdateModelChain() });
 
-                if (ollamaResponse.ok) {
-                    const ollamaData = await ollamaResponse.json();
-                    const updatedPlan = JSON.parse(ollamaData.response);
+                if (planUpdate.success) {
+                    const rawUpdatedPlan = planUpdate.json;
                     
                     // Save the updated plan
                     const updatedPlanFilename = `${Date.now()}_updated_plan.json`;
                     const updatedPlanFilePath = path.join(folderPath, updatedPlanFilename);
-                    await fs.writeFile(updatedPlanFilePath, JSON.stringify(updatedPlan, null, 2));
+                    await fs.writeFile(updatedPlanFilePath, JSON.stringify(rawUpdatedPlan, null, 2));
                     
-                    // Set flags for plan update
-                    executionResults.planUpdateTriggered = true;
-                    executionResults.updatedPlan = updatedPlan;
-                    
-                    console.log(`[Job ${jobId}] Updated plan generated with ${updatedPlan.actions?.length || 0} actions`);
+                    // Validate the rewrite before it can replace anything; each revision
+                    // gets its own id prefix so its ids never clash with earlier steps
+                    const revision = (executionResults.planRevision || 0) + 1;
+                    const { plan: updatedPlan } = await validateAndSavePlan(jobId, folderPath, rawUpdatedPlan, {
+                        stage: 'update',
+                        idPrefix: `rev${revision}-step-`,
+                        knownIds: await knownStepIds(folderPath)
+                    });
+
+                    if (updatedPlan) {
+                        // Set flags for plan update
+                        executionResults.planRevision = revision;
+                        executionResults.planUpdateTriggered = true;
+                        executionResults.updatedPlan = updatedPlan;
+                        emitJobEvent(folderPath, jobId, 'plan_updated', { file: updatedPlanFilename, model: planUpdate.model, actions: updatedPlan.actions || [] });
+                        
+                        console.log(`[Job ${jobId}] Updated plan generated with ${updatedPlan.actions?.length || 0} actions (model: ${planUpdate.model})`);
+                    } else {
+                        console.log(`[Job ${jobId}] Updated plan rejected - keeping the current remaining actions`);
+                    }
                 } else {
-                    console.error(`[Job ${jobId}] Ollama plan update failed:`, await ollamaResponse.text());
+                    console.error(`[Job ${jobId}] Plan update failed - keeping the current remaining actions:`, planUpdate.error);
                 }
-            } catch (ollamaError) {
-                console.error(`[Job ${jobId}] Error calling Ollama for plan update:`, ollamaError.message);
+            } catch (planUpdateError) {
+                console.error(`[Job ${jobId}] Error generating plan update:`, planUpdateError.message);
             }
         } else {
             console.log(`[Job ${jobId}] Progress analysis completed - no plan update needed`);
@@ -1931,9 +2957,10 @@ async function basicAnalysis(jobId, folderPath, action, executionResults) {
     const analysis = {
         instruction: action.query,
         totalResults: executionResults.searchResults.length,
-        keyFindings: executionResults.searchResults.slice(0, 5).map(result => ({
+        keyFindings: rankByCredibility(executionResults.searchResults).slice(0, 5).map(result => ({
             title: result.title,
             snippet: result.snippet,
+            credibility: credibilityLabel(result),
             relevance: 'high'
         })),
         analysisType: 'basic_fallback',
@@ -1953,14 +2980,14 @@ async function basicAnalysis(jobId, folderPath, action, executionResults) {
 async function executeSynthesize(jobId, folderPath, action, executionResults, originalQuery) {
     console.log(`[Job ${jobId}] Synthesizing information with Progress Analyzer AI...`);
 
-    const localTime = new Date().toLocaleString('en-US', { timeZone: 'Asia/Singapore' });
+    const localTime = await promptLocalTime('Synthesis');
 
     // Optionally search long-term memories relevant to this step
     let synthMemMatches = [];
     try {
         if (executionResults.userProfileId) {
             const memoryQuery = `${originalQuery} ${action.query}`.trim();
-            synthMemMatches = await searchMemories(executionResults.userProfileId, memoryQuery, 0.7, 5);
+            synthMemMatches = await searchMemories(executionResults.userProfileId, memoryQuery, 0.7, 5, { signal: getJobSignal(jobId), jobId });
             const memFile = `${Date.now()}_memories_for_synthesis_${action.query.replace(/[^a-zA-Z0-9]/g, '_').substring(0, 30)}.json`;
             await fs.writeFile(path.join(folderPath, memFile), JSON.stringify(synthMemMatches, null, 2));
         }
@@ -1974,9 +3001,17 @@ async function executeSynthesize(jobId, folderPath, action, executionResults, or
         Original User Query: "${originalQuery}"
         Current Action Query: "${action.query}"
         
-        Search Results Found:
-        ${JSON.stringify(executionResults.searchResults, null, 2)}
+        Search Results Found (most credible first, each with its credibility tier):
+        ${JSON.stringify(rankByCredibility(executionResults.searchResults).map(result => ({
+            title: result.title,
+            snippet: result.snippet,
+            link: result.link,
+            credibility: credibilityLabel(result)
+        })), null, 2)}
         
+        Source Passages (extracted from fetched pages):
+        ${formatSourcePassages(executionResults.sourcePassages, { maxSources: 10, maxChars: 1200 })}
+
         Analysis Results:
         ${JSON.stringify(executionResults.analysisResults, null, 2)}
         
@@ -1986,6 +3021,12 @@ async function executeSynthesize(jobId, folderPath, action, executionResults, or
         Fitbit Sleep Data:
         ${JSON.stringify(executionResults.fitbitSleepData, null, 2)}
 
+        Fitbit Trend vs Personal Baseline:
+        ${JSON.stringify(trendForPrompt(executionResults.fitbitTrend), null, 2)}
+
+        Diary Entries (the user's own journal, ratings 1-10):
+        ${JSON.stringify(executionResults.diaryEntries, null, 2)}
+
         Relevant Long-Term Memories:
         ${JSON.stringify(synthMemMatches, null, 2)}
     `;
@@ -2004,7 +3045,7 @@ Current synthesis task: ${action.query}
 
 Based on the AI system's research data provided below, you must:
 
-1. **EVALUATE SEARCH QUALITY**: Critically assess the relevance and quality of Google search results. Identify any irrelevant content (gaming, entertainment, unrelated topics) that should be filtered out.
+1. **EVALUATE SEARCH QUALITY**: Critically assess the relevance and quality of Google search results. Each result and source page carries a credibility tier and score; weigh peer-reviewed and government sources above health news, and treat forum or low-credibility results with caution. Identify any irrelevant content (gaming, entertainment, unrelated topics) that should be filtered out.
 
 2. **ANALYZE RELIABLE DATA**: Focus on the most trustworthy information sources:
    - Personal health data (Fitbit activity/sleep) as primary evidence
@@ -2061,14 +3102,14 @@ At the end, add a short section titled "Key Insights to Remember" with 3-5 conci
 async function executeFormulateResponse(jobId, folderPath, action, executionResults, originalQuery) {
     console.log(`[Job ${jobId}] Formulating final response with AI...`);
 
-    const localTime = new Date().toLocaleString('en-US', { timeZone: 'Asia/Singapore' });
+    const localTime = await promptLocalTime('Final Response AI');
 
     // Optionally search long-term memories relevant to this step
     let finalMemMatches = [];
     try {
         if (executionResults.userProfileId) {
             const memoryQuery = `${originalQuery} ${action.query}`.trim();
-            finalMemMatches = await searchMemories(executionResults.userProfileId, memoryQuery, 0.7, 5);
+            finalMemMatches = await searchMemories(executionResults.userProfileId, memoryQuery, 0.7, 5, { signal: getJobSignal(jobId), jobId });
             const memFile = `${Date.now()}_memories_for_final_${action.query.replace(/[^a-zA-Z0-9]/g, '_').substring(0, 30)}.json`;
             await fs.writeFile(path.join(folderPath, memFile), JSON.stringify(finalMemMatches, null, 2));
         }
@@ -2076,16 +3117,29 @@ async function executeFormulateResponse(jobId, folderPath, action, executionResu
         console.warn(`[Job ${jobId}] Memory search (final) failed:`, e.message);
     }
 
+    // Number every piece of evidence so the answer can cite it as [n]
+    const evidence = buildEvidence({
+        fitbitData: executionResults.fitbitData,
+        fitbitSleepData: executionResults.fitbitSleepData,
+        fitbitTrend: executionResults.fitbitTrend,
+        diaryEntries: executionResults.diaryEntries,
+        sourcePassages: executionResults.sourcePassages,
+        searchResults: executionResults.searchResults,
+        memories: finalMemMatches
+    });
+
     // Consolidate all gathered data for the final response AI
     const contextForFinalResponse = `
         Current Date and Time: ${localTime}
         Original User Query: ${originalQuery}
-        Fitbit Activity Data: ${JSON.stringify(executionResults.fitbitData, null, 2)}
-        Fitbit Sleep Data: ${JSON.stringify(executionResults.fitbitSleepData, null, 2)}
-        Search Results: ${JSON.stringify(executionResults.searchResults, null, 2)}
-        Analysis Results: ${JSON.stringify(executionResults.analysisResults, null, 2)}
-        Progress Synthesis: ${JSON.stringify(executionResults.synthesisResults, null, 2)}
-        Relevant Long-Term Memories: ${JSON.stringify(finalMemMatches, null, 2)}
+
+        EVIDENCE:
+${formatEvidenceForPrompt(evidence)}
+
+        Analysis Results (notes from earlier steps, not evidence): ${JSON.stringify(executionResults.analysisResults, null, 2)}
+        Progress Synthesis (notes from earlier steps, not evidence): ${JSON.stringify(executionResults.synthesisResults, null, 2)}
+
+${CITATION_RULES}
     `;
 
     const finalResponsePrompt = ENV_PROMPTS.finalResponseSystem
@@ -2095,10 +3149,12 @@ async function executeFormulateResponse(jobId, folderPath, action, executionResu
 IMPORTANT GUIDELINES:
 - The search results were gathered by an AI research system and may contain irrelevant or low-quality information
 - Critically evaluate all search results - ignore irrelevant content (gaming, entertainment, unrelated topics)
+- Each EVIDENCE item from the web shows its credibility tier; prefer peer-reviewed and government sources and say when a point rests only on health news or forums
 - Focus on medically accurate, evidence-based information from reputable sources
 - If search results are poor quality or irrelevant, acknowledge this limitation explicitly
 - Prioritize personal health data (Fitbit) as the most reliable source for individual analysis
 - Do not invent information - only use what's provided in the data
+- Cite the evidence for every factual claim with its [n] number, following the CITATIONS rules
 - Be transparent about data gaps and limitations
  - End with a short section titled "Key Insights to Remember" summarizing 3-5 durable, generally useful insights that should be stored for future reference.
 
@@ -2109,19 +3165,48 @@ Synthesize the relevant data—filtering out irrelevant search results, focusing
     try {
         // Call the AI to generate the final response
         const finalAnswerResponse = await callOpenRouterWithFallback(finalResponsePrompt, contextForFinalResponse, jobId, 'Final Response AI');
-        const finalAnswer = finalAnswerResponse.content || finalAnswerResponse;
+        let answerBody = stripModelReferences(finalAnswerResponse.content || finalAnswerResponse);
+
+        // Optional review against the evidence, with at most one revision
+        if (finalAnswerResponse.success && isCriticEnabled(jobId)) {
+            answerBody = await runCriticPass(jobId, folderPath, {
+                originalQuery,
+                draft: answerBody,
+                evidence,
+                finalResponsePrompt,
+                contextForFinalResponse,
+                executionResults
+            });
+        }
+
+        // Post-check the citations, then add the references section
+        const citationCheck = checkCitations(answerBody, evidence);
+        const finalAnswer = appendReferences(answerBody, evidence, citationCheck);
+        await fs.writeFile(path.join(folderPath, 'citation_check.md'), formatCitationReport(citationCheck, evidence));
+        if (!citationCheck.ok) {
+            console.warn(`[Job ${jobId}] Citation check: ${citationCheck.uncitedClaims.length} uncited claims, unknown citations: ${citationCheck.unknownCitations.join(', ') || 'none'}`);
+        }
 
         executionResults.finalResponse = finalAnswer;
+        executionResults.citationCheck = {
+            ok: citationCheck.ok,
+            evidenceCount: citationCheck.evidenceCount,
+            citedIds: citationCheck.citedIds,
+            unknownCitations: citationCheck.unknownCitations,
+            uncitedClaims: citationCheck.uncitedClaims.length
+        };
 
         // Save the final answer as a Markdown file
         const responseFilename = `final_answer.md`;
         const responseFilePath = path.join(folderPath, responseFilename);
         await fs.writeFile(responseFilePath, finalAnswer);
         console.log(`[Job ${jobId}] Final answer generated and saved to ${responseFilename}`);
+        emitJobEvent(folderPath, jobId, 'final_answer', { file: responseFilename, model: finalAnswerResponse.model, content: finalAnswer, citations: executionResults.citationCheck });
 
-        // Extract and store Key Insights from final response
+        // Extract and store Key Insights from final response (citation numbers
+        // only mean something within this job, so they're dropped)
         try {
-            const finalInsights = parseKeyInsightsFromText(finalAnswer);
+            const finalInsights = parseKeyInsightsFromText(answerBody).replace(/\s*\[\d+(?:\s*[,;]\s*\d+)*\]/g, '');
             if (finalInsights && executionResults.userProfileId) {
                 await storeMemory(executionResults.userProfileId, {
                     title: `AI Final Insights: ${originalQuery.substring(0, 50)}...`,
@@ -2130,7 +3215,7 @@ Synthesize the relevant data—filtering out irrelevant search results, focusing
                     sourceType: 'ai_analysis',
                     sourceId: jobId,
                     importance: 0.75
-                });
+                }, { signal: getJobSignal(jobId), jobId });
             }
         } catch (memErr) {
             console.warn(`[Job ${jobId}] Storing final insights failed:`, memErr.message);
@@ -2141,20 +3226,107 @@ Synthesize the relevant data—filtering out irrelevant search results, focusing
     }
 }
 
-// Fitbit Data Retrieval Function (callable by JSON actions)
-async function executeFitbitData(jobId, folderPath, action, executionResults) {
-    console.log(`[Job ${jobId}] Retrieving Fitbit activity data...`);
-    
+// Whether the final answer gets a critic pass: the job's "critic" option, else
+// CRITIC_PASS
+function isCriticEnabled(jobId) {
+    const critic = jobId ? readJobManifest(path.join(OUTPUTS_DIR, String(jobId)))?.critic : undefined;
+    return typeof critic === 'boolean' ? critic : CRITIC_PASS;
+}
+
+// Critic pass (see lib/critic.js): the critic model reviews the draft against the
+// evidence; if it asks for changes the answering model revises the draft once.
+// Saves critique.md, and for a revision final_answer_draft.md and
+// final_answer.diff. Returns the answer to use - the draft whenever the critic or
+// the revision fails.
+async function runCriticPass(jobId, folderPath, { originalQuery, draft, evidence, finalResponsePrompt, contextForFinalResponse, executionResults }) {
+    console.log(`[Job ${jobId}] Critic reviewing the draft answer...`);
+    const unsupportedNumbers = findUnsupportedNumbers(draft, evidence);
+    const critiquePrompt = buildCritiquePrompt({
+        originalQuery,
+        evidenceText: formatEvidenceForPrompt(evidence),
+        draft,
+        unsupportedNumbers,
+        citationCheck: checkCitations(draft, evidence)
+    });
+    const review = await requestStructuredOutput(jobId, 'Critic AI', critiquePrompt, ENV_PROMPTS.criticSystem, CRITIQUE_SCHEMA, validateCritique);
+
+    const finish = async (outcome, answer, details = {}) => {
+        await fs.writeFile(path.join(folderPath, 'critique.md'), formatCritiqueReport({
+            critique: review.value || null,
+            outcome,
+            model: review.model,
+            unsupportedNumbers,
+            warnings: review.warnings || [],
+            ...details
+        }));
+        executionResults.critique = {
+            outcome,
+            verdict: review.value?.verdict || null,
+            issues: review.value?.issues.length ?? null,
+            majorIssues: review.value ? review.value.issues.filter(issue => issue.severity === 'major').length : null,
+            unsupportedNumbers: unsupportedNumbers.length
+        };
+        emitJobEvent(folderPath, jobId, 'critique_complete', { file: 'critique.md', ...executionResults.critique });
+        console.log(`[Job ${jobId}] Critic pass: ${outcome}`);
+        return answer;
+    };
+
+    if (!review.success) {
+        console.warn(`[Job ${jobId}] Critic failed, keeping the draft: ${review.error}`);
+        return finish('critic unavailable', draft, { error: review.error });
+    }
+    if (review.value.verdict === 'approve') {
+        return finish('approved', draft);
+    }
+
+    throwIfCancelled(jobId);
+    const revision = await callOpenRouterWithFallback(
+        `${finalResponsePrompt}\n\n${buildRevisionRequest(draft, review.value)}`,
+        contextForFinalResponse,
+        jobId,
+        'Revision AI'
+    );
+    if (!revision.success || !revision.content?.trim()) {
+        console.warn(`[Job ${jobId}] Revision failed, keeping the draft: ${revision.error}`);
+        return finish('revision failed', draft, { error: revision.error });
+    }
+
+    const revised = stripModelReferences(revision.content);
+    await fs.writeFile(path.join(folderPath, 'final_answer_draft.md'), draft);
+    await fs.writeFile(path.join(folderPath, 'final_answer.diff'), diffLines(draft, revised, { fromLabel: 'final_answer_draft.md', toLabel: 'final_answer.md' }));
+    return finish('revised', revised, { revisionModel: revision.model });
+}
+
+// The parts of a get_fitbit_trend result the prompts need: the comparison for the
+// target day and the week before it, not every day of the baseline window
+function trendForPrompt(trend) {
+    if (!trend) return null;
+    const { targetDate, startDate, baselineDays, deviationThreshold, target, recent, flags } = trend;
+    return { targetDate, startDate, baselineDays, deviationThreshold, flags, target, recent };
+}
+
+// Day a Fitbit step asks for: its "date" field, else a "date:YYYY-MM-DD" in an
+// older plan's query (schema repair may have dropped the query), else today
+function fitbitDateFor(action) {
+    if (typeof action.date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(action.date.trim())) return action.date.trim();
+    if (typeof action.query === 'string' && action.query.includes('date:')) {
+        return action.query.split('date:')[1].trim().split(' ')[0];
+    }
+    return new Date().toISOString().split('T')[0];
+}
+
+// Fitbit Data Retrieval Function (callable by JSON actions)
+async function executeFitbitData(jobId, folderPath, action, executionResults) {
+    console.log(`[Job ${jobId}] Retrieving Fitbit activity data...`);
+    
     try {
         const accessToken = await getFitbitAccessToken();
         
         if (accessToken) {
             // Default to today's date for the activity data
-            const date = action.query.includes('date:') ? 
-                action.query.split('date:')[1].trim().split(' ')[0] : 
-                new Date().toISOString().split('T')[0];
+            const date = fitbitDateFor(action);
             
-            const fitbitData = await getFitbitDailySummary(accessToken, date);
+            const fitbitData = await getFitbitDailySummary(accessToken, date, { signal: getJobSignal(jobId), jobId });
             
             if (fitbitData && fitbitData.summary) {
                 const activitySummary = {
@@ -2199,11 +3371,9 @@ async function executeFitbitSleep(jobId, folderPath, action, executionResults) {
         
         if (accessToken) {
             // Default to today's date for the sleep data
-            const date = action.query.includes('date:') ? 
-                action.query.split('date:')[1].trim().split(' ')[0] : 
-                new Date().toISOString().split('T')[0];
+            const date = fitbitDateFor(action);
             
-            const fitbitSleepData = await getFitbitSleepData(accessToken, date);
+            const fitbitSleepData = await getFitbitSleepData(accessToken, date, { signal: getJobSignal(jobId), jobId });
             
             if (fitbitSleepData && fitbitSleepData.sleep && fitbitSleepData.sleep.length > 0) {
                 const mainSleep = fitbitSleepData.sleep[0]; // Get the main sleep period
@@ -2290,6 +3460,534 @@ router.get('/jobs', (req, res) => {
     }
 });
 
+// --- JOB STATUS ---
+// Visit: GET /jobs/[jobId]/status
+// Reports the job's lifecycle state from its job.json manifest
+// (registered before the file route so "status" isn't treated as a filename)
+router.get('/jobs/:jobId/status', (req, res) => {
+    try {
+        const { jobId } = req.params;
+        const jobPath = path.join(OUTPUTS_DIR, jobId);
+
+        if (!fs.existsSync(jobPath)) {
+            return res.status(404).json({
+                error: 'Job not found'
+            });
+        }
+
+        const manifest = readJobManifest(jobPath);
+        if (manifest) {
+            return res.json({
+                ...describeJob(manifest),
+                queuePosition: jobQueue.position(jobId)
+            });
+        }
+
+        // Jobs created before manifests existed: infer what we can from the files
+        const files = fs.readdirSync(jobPath);
+        const state = files.includes('final_answer.md') ? 'completed'
+            : files.includes('error.txt') ? 'failed'
+            : 'unknown';
+        res.json({
+            jobId,
+            state,
+            legacy: true,
+            files
+        });
+    } catch (error) {
+        res.status(500).json({
+            error: 'Failed to read job status',
+            message: error.message
+        });
+    }
+});
+
+// --- CANCEL A JOB ---
+// Send POST request to /jobs/[jobId]/cancel with optional JSON body: {"reason": "..."}
+// Aborts in-flight model/search/Fitbit requests; the executor stops before the next
+// action and the job ends in the "cancelled" state with a cancellation_summary.json
+router.post('/jobs/:jobId/cancel', async (req, res) => {
+    try {
+        const { jobId } = req.params;
+        const jobPath = path.join(OUTPUTS_DIR, jobId);
+        const reason = req.body?.reason || 'Cancelled by user';
+
+        if (!fs.existsSync(jobPath)) {
+            return res.status(404).json({
+                error: 'Job not found'
+            });
+        }
+
+        const manifest = readJobManifest(jobPath);
+        if (manifest && TERMINAL_STATES.has(manifest.state)) {
+            return res.status(409).json({
+                error: 'Job already finished',
+                state: manifest.state
+            });
+        }
+
+        if (cancelJob(jobId, reason)) {
+            return res.status(202).json({
+                message: 'Cancellation requested. The job will stop before its next action.',
+                jobId
+            });
+        }
+
+        // Still waiting in the queue, or left behind by a restart: mark it directly
+        jobQueue.remove(jobId);
+        if (!manifest) {
+            return res.status(409).json({
+                error: 'Job is not running'
+            });
+        }
+        await saveCancellationSummary(jobId, jobPath, { reason });
+        transitionJob(jobPath, 'cancelled', { reason });
+        res.json({
+            message: 'Job cancelled',
+            jobId,
+            state: 'cancelled'
+        });
+    } catch (error) {
+        res.status(500).json({
+            error: 'Failed to cancel job',
+            message: error.message
+        });
+    }
+});
+
+// --- RE-RUN A JOB FROM ITS SAVED EXECUTION PLAN ---
+// Send POST request to /jobs/[jobId]/rerun with optional JSON body:
+//   {"fromStep": 5, "reuseCached": true}
+// Creates a new job that executes the source job's *_execution_plan.json directly,
+// skipping the Task Breakdown AI and JSON Executor calls.
+// - fromStep: 1-based position in the priority-sorted plan; earlier steps are not
+//   re-run and their outputs are copied from the source job
+// - reuseCached: reuse the source job's google_search and Fitbit outputs
+router.post('/jobs/:jobId/rerun', async (req, res) => {
+    try {
+        const sourceJobId = req.params.jobId;
+        const sourcePath = path.join(OUTPUTS_DIR, sourceJobId);
+        const fromStep = Math.max(1, parseInt(req.body?.fromStep || '1', 10) || 1);
+        const reuseCached = req.body?.reuseCached === true;
+
+        let budget;
+        try {
+            budget = resolveBudget(req.body?.budget);
+        } catch (error) {
+            if (!(error instanceof BudgetValidationError)) throw error;
+            return res.status(400).json({
+                error: 'Invalid budget',
+                message: error.message
+            });
+        }
+
+        if (!fs.existsSync(sourcePath)) {
+            return res.status(404).json({
+                error: 'Job not found'
+            });
+        }
+
+        const planFiles = fs.readdirSync(sourcePath).filter(f => f.endsWith('_execution_plan.json')).sort();
+        if (planFiles.length === 0) {
+            return res.status(409).json({
+                error: 'Job has no saved execution plan to re-run'
+            });
+        }
+        const planFilename = planFiles[planFiles.length - 1];
+        const plan = await fs.readJson(path.join(sourcePath, planFilename));
+
+        const sourceManifest = readJobManifest(sourcePath);
+        const queryText = sourceManifest?.query || req.body?.text;
+        if (!queryText) {
+            return res.status(409).json({
+                error: 'Original query for this job is unknown; pass it as "text"'
+            });
+        }
+        const userContext = req.body?.userId
+            ? { userProfileId: req.body.userId, authUserId: req.body.authUserId || 'dev-local-user' }
+            : (sourceManifest?.userContext || { userProfileId: null, authUserId: 'dev-local-user' });
+
+        // Outputs of the source run, if it got far enough to checkpoint
+        const sourceCheckpointPath = path.join(sourcePath, EXECUTION_CHECKPOINT_FILENAME);
+        const sourceCheckpoint = fs.existsSync(sourceCheckpointPath) ? await fs.readJson(sourceCheckpointPath) : null;
+
+        const { checkpoint, skippedSteps, reusedSteps } = buildRerunCheckpoint(plan, sourceCheckpoint, { fromStep, reuseCached });
+
+        const jobId = Date.now().toString();
+        const jobFolderPath = path.join(OUTPUTS_DIR, jobId);
+        fs.ensureDirSync(jobFolderPath);
+        createJobManifest(jobFolderPath, jobId, { query: queryText, userContext });
+        updateJobManifest(jobFolderPath, { rerunOf: sourceJobId, budget });
+        // A local-only job stays local when re-run, unless the request says otherwise
+        if (req.body?.localOnly ?? sourceManifest?.localOnly) {
+            updateJobManifest(jobFolderPath, { localOnly: true });
+        }
+        const critic = typeof req.body?.critic === 'boolean' ? req.body.critic : sourceManifest?.critic;
+        if (typeof critic === 'boolean') {
+            updateJobManifest(jobFolderPath, { critic });
+        }
+
+        // Keep the plan alongside the new job (so it can be re-run again), plus a note of
+        // what was skipped or reused. The pre-built checkpoint makes the queue start the
+        // job directly at execution.
+        await fs.writeFile(path.join(jobFolderPath, `${Date.now()}_execution_plan.json`), JSON.stringify(plan, null, 2));
+        await fs.writeFile(path.join(jobFolderPath, 'rerun.json'), JSON.stringify({
+            sourceJobId,
+            sourcePlanFile: planFilename,
+            fromStep,
+            reuseCached,
+            skippedSteps,
+            reusedSteps,
+            sourceOutputsAvailable: !!sourceCheckpoint,
+            createdAt: new Date().toISOString()
+        }, null, 2));
+        await saveExecutionCheckpoint(jobFolderPath, checkpoint);
+
+        const queuePosition = jobQueue.enqueue(jobId, { text: queryText, userContext }, { resume: true });
+
+        res.status(202).json({
+            message: 'Re-run accepted. The saved execution plan will be executed under a new job.',
+            jobId,
+            rerunOf: sourceJobId,
+            fromStep,
+            reuseCached,
+            skippedSteps,
+            reusedSteps,
+            queuePosition
+        });
+    } catch (error) {
+        res.status(500).json({
+            error: 'Failed to re-run job',
+            message: error.message
+        });
+    }
+});
+
+// --- PLAN APPROVAL ---
+// Visit: GET /jobs/[jobId]/plan to see the plan waiting for approval
+// POST /jobs/[jobId]/plan with {"decision": "approve" | "edit" | "reject"}.
+// "edit" takes the corrected plan as "actions". Rejecting the first plan cancels
+// the job; rejecting a replacement plan keeps the original remaining actions.
+router.get('/jobs/:jobId/plan', async (req, res) => {
+    try {
+        const jobPath = path.join(OUTPUTS_DIR, req.params.jobId);
+        const pendingPath = path.join(jobPath, PENDING_PLAN_FILENAME);
+
+        if (!fs.existsSync(jobPath)) {
+            return res.status(404).json({
+                error: 'Job not found'
+            });
+        }
+        if (!fs.existsSync(pendingPath)) {
+            return res.status(404).json({
+                error: 'No plan is awaiting approval'
+            });
+        }
+
+        res.json({
+            jobId: req.params.jobId,
+            ...(await fs.readJson(pendingPath))
+        });
+    } catch (error) {
+        res.status(500).json({
+            error: 'Failed to read pending plan',
+            message: error.message
+        });
+    }
+});
+
+router.post('/jobs/:jobId/plan', async (req, res) => {
+    try {
+        const { jobId } = req.params;
+        const jobPath = path.join(OUTPUTS_DIR, jobId);
+        const pendingPath = path.join(jobPath, PENDING_PLAN_FILENAME);
+        const { decision, actions, reason } = req.body || {};
+
+        if (!fs.existsSync(jobPath)) {
+            return res.status(404).json({
+                error: 'Job not found'
+            });
+        }
+
+        const manifest = readJobManifest(jobPath);
+        if (manifest?.state !== 'awaiting_approval' || !fs.existsSync(pendingPath)) {
+            return res.status(409).json({
+                error: 'Job is not awaiting plan approval',
+                state: manifest?.state || null
+            });
+        }
+
+        if (!['approve', 'edit', 'reject'].includes(decision)) {
+            return res.status(400).json({
+                error: 'decision must be "approve", "edit" or "reject"'
+            });
+        }
+
+        const pending = await fs.readJson(pendingPath);
+        let approvedPlan = pending.plan;
+        if (decision === 'edit') {
+            // Edits may depend on steps that already ran (replacement plans)
+            const knownIds = pending.kind === 'update'
+                ? pending.knownIds || await knownStepIds(jobPath)
+                : [];
+            const { plan: validatedPlan, report } = await validateAndSavePlan(jobId, jobPath, { actions }, {
+                stage: 'edit',
+                idPrefix: pending.idPrefix,
+                knownIds
+            });
+            if (!validatedPlan) {
+                return res.status(400).json({
+                    error: 'Edited plan is invalid',
+                    validation: report
+                });
+            }
+            approvedPlan = validatedPlan;
+        }
+
+        // Keep a record of the decision next to the job's other artifacts
+        await fs.writeFile(path.join(jobPath, `${Date.now()}_plan_decision.json`), JSON.stringify({
+            kind: pending.kind,
+            decision,
+            reason: reason || null,
+            proposedPlan: pending.plan,
+            approvedPlan: decision === 'reject' ? null : approvedPlan,
+            decidedAt: new Date().toISOString()
+        }, null, 2));
+        await fs.remove(pendingPath);
+        updateJobManifest(jobPath, { pendingApproval: null });
+        emitJobEvent(jobPath, jobId, 'plan_decision', { kind: pending.kind, decision, ...(reason ? { reason } : {}) });
+
+        if (decision === 'reject' && pending.kind === 'initial') {
+            const rejectReason = reason ? `Plan rejected: ${reason}` : 'Plan rejected';
+            transitionJob(jobPath, 'cancelled', { reason: rejectReason });
+            return res.json({
+                message: 'Plan rejected. The job has been cancelled.',
+                jobId,
+                state: 'cancelled'
+            });
+        }
+
+        if (pending.kind === 'initial') {
+            // The job resumes from the newest *_execution_plan.json, so an edit is saved as one
+            if (decision === 'edit') {
+                await fs.writeFile(path.join(jobPath, `${Date.now()}_execution_plan.json`), JSON.stringify(approvedPlan, null, 2));
+            }
+        } else if (decision !== 'reject') {
+            const checkpointPath = path.join(jobPath, EXECUTION_CHECKPOINT_FILENAME);
+            const checkpoint = await fs.readJson(checkpointPath);
+            await saveExecutionCheckpoint(jobPath, applyReplacementPlan(checkpoint, approvedPlan));
+        }
+
+        transitionJob(jobPath, 'queued', { reason: `Plan ${decision === 'reject' ? 'update rejected' : decision === 'edit' ? 'edited and approved' : 'approved'}` });
+        const queuePosition = jobQueue.enqueue(jobId, { text: manifest.query, userContext: manifest.userContext }, { resume: true });
+
+        res.status(202).json({
+            message: decision === 'reject'
+                ? 'Replacement plan rejected. The job continues with its remaining actions.'
+                : 'Plan approved. The job has been queued for execution.',
+            jobId,
+            decision,
+            queuePosition
+        });
+    } catch (error) {
+        res.status(500).json({
+            error: 'Failed to record plan decision',
+            message: error.message
+        });
+    }
+});
+
+// --- LIVE JOB PROGRESS (SERVER-SENT EVENTS) ---
+// Visit: GET /jobs/[jobId]/events
+// Replays every event the job has already emitted, then streams new ones as they
+// happen. The stream closes once the job reaches a terminal state.
+// Reconnecting clients can send Last-Event-ID to skip events they've seen.
+router.get('/jobs/:jobId/events', (req, res) => {
+    const { jobId } = req.params;
+    const jobPath = path.join(OUTPUTS_DIR, jobId);
+
+    if (!fs.existsSync(jobPath)) {
+        return res.status(404).json({
+            error: 'Job not found'
+        });
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+    });
+    res.flushHeaders();
+
+    const writeEvent = (event) => {
+        res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify({ ...event.data, at: event.at })}\n\n`);
+    };
+
+    // Subscribe before replaying so nothing emitted in between is lost;
+    // ids let us drop anything the replay already covered
+    const lastSeenId = parseInt(req.get('Last-Event-ID') || '0', 10) || 0;
+    let highestSentId = lastSeenId;
+    const buffered = [];
+    let replaying = true;
+
+    const finish = () => {
+        clearInterval(keepAlive);
+        unsubscribe();
+        res.end();
+    };
+
+    const handleEvent = (event) => {
+        if (replaying) {
+            buffered.push(event);
+            return;
+        }
+        if (res.writableEnded || event.id <= highestSentId) return;
+        highestSentId = event.id;
+        writeEvent(event);
+        if (event.type === 'state' && event.data.terminal) finish();
+    };
+
+    const unsubscribe = subscribeJobEvents(jobId, handleEvent);
+    // Comment lines keep proxies from closing an idle connection
+    const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+    req.on('close', () => {
+        clearInterval(keepAlive);
+        unsubscribe();
+    });
+
+    for (const event of readJobEvents(jobPath)) {
+        if (event.id <= highestSentId) continue;
+        highestSentId = event.id;
+        writeEvent(event);
+    }
+    replaying = false;
+    buffered.forEach(handleEvent);
+
+    // Nothing more will come for a job that has already finished
+    const manifest = readJobManifest(jobPath);
+    if (!res.writableEnded && (!manifest || TERMINAL_STATES.has(manifest.state))) {
+        finish();
+    }
+});
+
+// --- JOB USAGE ---
+// Visit: GET /jobs/[jobId]/usage
+// Every LLM, embedding, search and Fitbit call the job made (from its usage.jsonl),
+// with totals per kind, model and task
+router.get('/jobs/:jobId/usage', (req, res) => {
+    try {
+        const { jobId } = req.params;
+        const jobPath = path.join(OUTPUTS_DIR, jobId);
+
+        if (!fs.existsSync(jobPath)) {
+            return res.status(404).json({
+                error: 'Job not found'
+            });
+        }
+
+        const entries = readUsage(jobPath);
+        res.json({
+            jobId,
+            summary: summarizeUsage(entries),
+            entries
+        });
+    } catch (error) {
+        res.status(500).json({
+            error: 'Failed to read job usage',
+            message: error.message
+        });
+    }
+});
+
+// --- USAGE ACROSS JOBS ---
+// Visit: GET /usage?from=2025-01-01&to=2025-01-31
+// Aggregates the usage ledgers of every job; from/to (optional, any date string
+// Date can parse) filter by when each call was made
+router.get('/usage', (req, res) => {
+    try {
+        const from = req.query.from ? new Date(req.query.from) : null;
+        const to = req.query.to ? new Date(req.query.to) : null;
+        if ((from && isNaN(from)) || (to && isNaN(to))) {
+            return res.status(400).json({
+                error: 'Invalid date range',
+                message: 'from and to must be valid dates (e.g. 2025-01-31 or an ISO timestamp)'
+            });
+        }
+        // A bare date for "to" means the whole of that day
+        if (to && /^\d{4}-\d{2}-\d{2}$/.test(req.query.to)) {
+            to.setUTCDate(to.getUTCDate() + 1);
+            to.setUTCMilliseconds(-1);
+        }
+
+        const allEntries = [];
+        const jobs = [];
+        const jobFolders = fs.existsSync(OUTPUTS_DIR)
+            ? fs.readdirSync(OUTPUTS_DIR).filter(item => fs.statSync(path.join(OUTPUTS_DIR, item)).isDirectory())
+            : [];
+
+        for (const jobId of jobFolders) {
+            const entries = readUsage(path.join(OUTPUTS_DIR, jobId)).filter(entry => {
+                const at = new Date(entry.at);
+                return (!from || at >= from) && (!to || at <= to);
+            });
+            if (entries.length === 0) continue;
+            allEntries.push(...entries);
+            jobs.push({ jobId, ...summarizeUsage(entries).total });
+        }
+
+        res.json({
+            from: from ? from.toISOString() : null,
+            to: to ? to.toISOString() : null,
+            jobCount: jobs.length,
+            summary: summarizeUsage(allEntries),
+            jobs: jobs.sort((a, b) => b.costUsd - a.costUsd)
+        });
+    } catch (error) {
+        res.status(500).json({
+            error: 'Failed to aggregate usage',
+            message: error.message
+        });
+    }
+});
+
+// --- MODEL HEALTH ---
+// Visit: GET /models/health
+// Success rate, latency, rate limits and circuit state of every model called since
+// the server started, plus the order the text and JSON chains would be tried in now
+router.get('/models/health', (req, res) => {
+    try {
+        const describeChain = (entries) => {
+            const { targets, skipped, allOpen } = modelHealth.plan(llmProviders.chainFor(entries));
+            return {
+                order: targets.map(target => target.entry),
+                skipped: skipped.map(({ target, openUntil, probing }) => (probing ? { model: target.entry, probeInFlight: true } : { model: target.entry, openUntil })),
+                allOpen
+            };
+        };
+        const jsonModels = jsonModelChain();
+
+        res.json({
+            config: {
+                windowSize: modelHealth.config.windowSize,
+                failureThreshold: modelHealth.config.failureThreshold,
+                cooldownSeconds: modelHealth.config.cooldownMs / 1000,
+                maxCooldownSeconds: modelHealth.config.maxCooldownMs / 1000,
+                retryDelayMs: LLM_RETRY_DELAY_MS
+            },
+            chains: {
+                text: describeChain(textModelChain()),
+                json: describeChain(jsonModels.length > 0 ? jsonModels : textModelChain())
+            },
+            models: modelHealth.snapshot()
+        });
+    } catch (error) {
+        res.status(500).json({
+            error: 'Failed to read model health',
+            message: error.message
+        });
+    }
+});
+
 // --- DOWNLOAD A SPECIFIC FILE FROM A JOB ---
 // Visit: GET /jobs/[jobId]/[filename]
 // This lets users download and read specific files from completed jobs
@@ -2327,49 +4025,190 @@ router.get('/jobs/:jobId/:filename', (req, res) => {
 // ============================================================================
 // OPENROUTER MODEL FALLBACK SYSTEM
 // ============================================================================
-// Universal fallback system for handling rate limits and model availability
+// Universal fallback system for handling rate limits and model availability.
+// Each chain entry may name its provider ("ollama:llama3.2:3b"); OpenRouter and
+// local OpenAI-compatible servers take the same request (see llmProviders.js).
+
+// Whether a job's LLM calls must stay on local providers
+function isLocalOnlyJob(jobId) {
+    if (llmProviders.localOnly) return true;
+    if (!jobId) return false;
+    return !!readJobManifest(path.join(OUTPUTS_DIR, String(jobId)))?.localOnly;
+}
 
+// The chain in the order model health suggests, without models whose circuit
+// is open (unless every one is)
+function planModelChain(chain, jobId, taskName) {
+    const { targets, skipped, allOpen } = modelHealth.plan(chain);
+    if (skipped.length > 0) {
+        console.log(`[Job ${jobId}] ${taskName} - Skipping ${skipped.length} model(s) with an open circuit: ${skipped.map(({ target, openUntil, probing }) => `${target.entry} (${probing ? 'probe in flight' : `until ${openUntil}`})`).join(', ')}`);
+    }
+    if (allOpen) {
+        console.warn(`[Job ${jobId}] ${taskName} - Every model's circuit is open; trying them anyway, soonest to reopen first`);
+    }
+    return targets;
+}
+
+// The pause between fallback attempts; ends early if the job is cancelled
+function waitBeforeNextModel(signal) {
+    if (LLM_RETRY_DELAY_MS === 0 || signal?.aborted) return Promise.resolve();
+    return new Promise(resolve => {
+        const onAbort = () => {
+            clearTimeout(timer);
+            resolve();
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, LLM_RETRY_DELAY_MS);
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+// Both entry points go through the cassette (see CASSETTE_MODE): only successful
+// calls are recorded, and a replay miss looks like every model failing
 async function callOpenRouterWithFallback(messages, systemContent, jobId, taskName = 'AI Task') {
+    try {
+        return await cassette.run('llm', taskName, { messages, systemContent },
+            () => requestOpenRouterWithFallback(messages, systemContent, jobId, taskName),
+            { shouldRecord: result => result.success });
+    } catch (error) {
+        console.error(`[Job ${jobId}] ${taskName} - ${error.message}`);
+        return { success: false, error: error.message, attempts: 0 };
+    }
+}
+
+async function callOpenRouterJSONWithFallback(messages, systemContent, jobId, taskName = 'AI JSON Task', jsonSchema = null, options = {}) {
+    try {
+        return await cassette.run('llm', taskName, { messages, systemContent, jsonSchema },
+            () => requestOpenRouterJSONWithFallback(messages, systemContent, jobId, taskName, jsonSchema, options),
+            { shouldRecord: result => result.success });
+    } catch (error) {
+        console.error(`[Job ${jobId}] ${taskName} - ${error.message}`);
+        return { success: false, error: error.message, attempts: 0 };
+    }
+}
+
+// Ask for a JSON reply matching `schema` and check it with `validate` (which returns
+// { value, errors, warnings }). A reply that isn't JSON or fails the check is sent
+// back with a repair prompt listing what was wrong, up to STRUCTURED_OUTPUT_MAX_REPAIRS
+// times, instead of starting over. Returns { success, value, model, warnings, repairs }.
+async function requestStructuredOutput(jobId, taskName, userPrompt, systemContent, schema, validate) {
+    const repairs = [];
+    let prompt = userPrompt;
+
+    for (let attempt = 0; attempt <= STRUCTURED_OUTPUT_MAX_REPAIRS; attempt++) {
+        const reply = await callOpenRouterJSONWithFallback(prompt, systemContent, jobId, taskName, schema, { returnInvalid: true });
+
+        let errors;
+        if (reply.success) {
+            const checked = validate(reply.json);
+            if (checked.value) {
+                return { success: true, value: checked.value, model: reply.model, warnings: checked.warnings, repairs };
+            }
+            errors = checked.errors;
+        } else if (reply.invalidJson) {
+            errors = reply.schemaErrors || [`Reply was not valid JSON (${reply.error})`];
+        } else {
+            // No usable answer from any model - nothing to repair
+            return { success: false, error: reply.error, repairs };
+        }
+
+        repairs.push({ attempt: attempt + 1, model: reply.model, errors, reply: reply.raw });
+        const willRepair = attempt < STRUCTURED_OUTPUT_MAX_REPAIRS;
+        console.warn(`[Job ${jobId}] ${taskName} - reply unusable: ${errors.join('; ')}${willRepair ? ' - asking for a repair' : ''}`);
+        prompt = buildRepairPrompt(userPrompt, reply.raw, errors);
+    }
+
+    const lastErrors = repairs[repairs.length - 1].errors;
+    return {
+        success: false,
+        error: `${taskName} reply still unusable after ${STRUCTURED_OUTPUT_MAX_REPAIRS} repair attempts: ${lastErrors.join('; ')}`,
+        repairs
+    };
+}
+
+// One ledger entry per model attempt, so failed fallbacks show up too. OpenRouter
+// reports an actual cost in usage.cost when usage accounting is enabled; otherwise
+// the ledger estimates it from USAGE_PRICES. Every attempt is also reported to
+// the model health registry.
+function recordLlmUsage(jobId, taskName, target, attempt, startedAt, { success, usage, status, error, retryAfterMs = null, invalidOutput = false }) {
+    modelHealth.record(target, { success, latencyMs: Date.now() - startedAt, status, retryAfterMs, invalidOutput, error });
+    recordUsage(jobId, {
+        kind: 'llm',
+        provider: target.provider.name,
+        ...(target.provider.local ? { local: true } : {}),
+        task: taskName,
+        model: target.model,
+        attempt,
+        success,
+        ...(status ? { status } : {}),
+        ...(retryAfterMs !== null ? { retryAfterMs } : {}),
+        latencyMs: Date.now() - startedAt,
+        tokensIn: usage?.prompt_tokens ?? null,
+        tokensOut: usage?.completion_tokens ?? null,
+        ...(typeof usage?.cost === 'number' ? { costUsd: usage.cost } : {}),
+        ...(error ? { error: String(error).slice(0, 300) } : {})
+    });
+}
+
+async function requestOpenRouterWithFallback(messages, systemContent, jobId, taskName = 'AI Task') {
     // Define fallback models from environment variables or defaults
-    const fallbackModels = [
-        process.env.OPENROUTER_MODEL_1 || 'qwen/qwen3-30b-a3b:free',
-        process.env.OPENROUTER_MODEL_2 || 'microsoft/phi-3-mini-128k-instruct:free',
-        process.env.OPENROUTER_MODEL_3 || 'meta-llama/llama-3.1-8b-instruct:free',
-        process.env.OPENROUTER_MODEL_4 || 'google/gemma-2-9b-it:free',
-        process.env.OPENROUTER_MODEL_5 || 'mistralai/mistral-7b-instruct:free'
-    ].filter(model => model && model !== 'undefined'); // Remove any undefined models
+    const localOnly = isLocalOnlyJob(jobId);
+    const fallbackModels = planModelChain(llmProviders.chainFor(textModelChain(), { localOnly }), jobId, taskName);
     
-    console.log(`[Job ${jobId}] ${taskName} - Available fallback models: ${fallbackModels.length}`);
+    console.log(`[Job ${jobId}] ${taskName} - Available fallback models: ${fallbackModels.length}${localOnly ? ' (local only)' : ''}`);
+    if (fallbackModels.length === 0) {
+        return { success: false, error: 'No local model in the fallback chain for a local-only job', attempts: 0 };
+    }
+    const signal = getJobSignal(jobId);
     
     for (let i = 0; i < fallbackModels.length; i++) {
-        const model = fallbackModels[i];
+        // Don't burn through the rest of the chain for a cancelled job
+        if (signal?.aborted) {
+            console.log(`[Job ${jobId}] ${taskName} - Job cancelled, not trying remaining models`);
+            return { success: false, cancelled: true, error: 'Job cancelled', attempts: i };
+        }
+        // Wait between attempts to avoid rapid-fire requests
+        if (i > 0) {
+            console.log(`[Job ${jobId}] ${taskName} - Waiting ${LLM_RETRY_DELAY_MS}ms before next attempt...`);
+            await waitBeforeNextModel(signal);
+            if (signal?.aborted) return { success: false, cancelled: true, error: 'Job cancelled', attempts: i };
+        }
+        // Every attempt counts against the job's maxLlmCalls, fallbacks included
+        const overBudget = llmBudgetHit(jobId);
+        if (overBudget) {
+            console.warn(`[Job ${jobId}] ${taskName} - Budget limit ${overBudget.limit} reached (${overBudget.used}/${overBudget.max}), not calling another model`);
+            return { success: false, budgetExceeded: overBudget, error: `Job budget ${overBudget.limit} reached`, attempts: i };
+        }
+        const target = fallbackModels[i];
+        const model = target.entry;
+        // A half-open model takes one probe at a time; skip it while another call probes it
+        if (!modelHealth.claim(target)) {
+            console.log(`[Job ${jobId}] ${taskName} - Skipping ${model}: another call is probing it`);
+            continue;
+        }
         console.log(`[Job ${jobId}] ${taskName} - Attempting model ${i + 1}/${fallbackModels.length}: ${model}`);
+        const startedAt = Date.now();
         
         try {
-            const response = await fetch('https://openrouter.ai/api/v1/chat/completions', {
-                method: 'POST',
-                headers: { 
-                    'Authorization': `Bearer ${process.env.OPENROUTER_API_KEY}`, 
-                    'Content-Type': 'application/json' 
-                },
-                body: JSON.stringify({
-                    model: model,
-                    messages: [
-                        { 
-                            role: 'system', 
-                            content: systemContent 
-                        },
-                        { 
-                            role: 'user', 
-                            content: messages 
-                        }
-                    ]
-                })
-            });
+            const response = await fetch(...llmProviders.buildRequest(target, {
+                messages: [
+                    { 
+                        role: 'system', 
+                        content: systemContent 
+                    },
+                    { 
+                        role: 'user', 
+                        content: messages 
+                    }
+                ]
+            }, signal));
 
             if (response.ok) {
                 const data = await response.json();
                 const aiAnswer = data.choices[0].message.content;
+                recordLlmUsage(jobId, taskName, target, i + 1, startedAt, { success: true, usage: data.usage });
                 console.log(`[Job ${jobId}] ${taskName} - SUCCESS with model: ${model}`);
                 return {
                     success: true,
@@ -2379,6 +4218,8 @@ async function callOpenRouterWithFallback(messages, systemContent, jobId, taskNa
                 };
             } else {
                 const errorText = await response.text(); 
+                const retryAfterMs = parseRetryAfter(response.headers.get('retry-after'));
+                recordLlmUsage(jobId, taskName, target, i + 1, startedAt, { success: false, status: response.status, error: errorText, retryAfterMs });
                 console.log(`[Job ${jobId}] ${taskName} - Model ${model} failed: ${response.status} ${errorText}`);
                 
                 // If it's a rate limit (429) or server error (5xx), try next model
@@ -2392,15 +4233,16 @@ async function callOpenRouterWithFallback(messages, systemContent, jobId, taskNa
                 continue;
             }
         } catch (fetchError) {
+            // A cancelled job aborts the request; that says nothing about the model
+            if (signal?.aborted) {
+                console.log(`[Job ${jobId}] ${taskName} - Job cancelled during request to ${model}`);
+                modelHealth.release(target);
+                return { success: false, cancelled: true, error: 'Job cancelled', attempts: i + 1 };
+            }
+            recordLlmUsage(jobId, taskName, target, i + 1, startedAt, { success: false, error: fetchError.message });
             console.error(`[Job ${jobId}] ${taskName} - Network error with model ${model}:`, fetchError.message);
             continue;
         }
-        
-        // Add delay between attempts to avoid rapid-fire requests
-        if (i < fallbackModels.length - 1) {
-            console.log(`[Job ${jobId}] ${taskName} - Waiting 2 seconds before next attempt...`);
-            await new Promise(resolve => setTimeout(resolve, 2000));
-        }
     }
     
     // If all models failed
@@ -2412,108 +4254,210 @@ async function callOpenRouterWithFallback(messages, systemContent, jobId, taskNa
     };
 }
 
+// Raw and repaired replies of one JSON call, saved as *_<task>_json_output.json
+// when any reply needed repairs, a re-prompt or was unusable
+function saveJsonOutputArtifact(jobId, taskName, replies, outcome) {
+    if (!jobId || !replies.some(reply => !reply.accepted || reply.repairs.length > 0)) return;
+    const folderPath = path.join(OUTPUTS_DIR, String(jobId));
+    if (!fs.existsSync(folderPath)) return;
+    const slug = taskName.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+    try {
+        fs.writeFileSync(path.join(folderPath, `${Date.now()}_${slug}_json_output.json`), JSON.stringify({ task: taskName, outcome, replies }, null, 2));
+    } catch (e) {
+        console.warn(`[Job ${jobId}] ${taskName} - Failed to save JSON output artifact:`, e.message);
+    }
+}
+
+// One chat completion from one model: { ok: true, data, content } or
+// { ok: false, status?, error, retryAfterMs? }
+async function requestJsonReply(target, userContent, systemContent, jsonSchema, signal) {
+    const body = {
+        messages: [
+            { role: 'system', content: systemContent },
+            { role: 'user', content: userContent }
+        ]
+    };
+
+    // Prefer native JSON output when supported
+    if (jsonSchema && typeof jsonSchema === 'object') {
+        body.response_format = {
+            type: 'json_schema',
+            json_schema: {
+                name: 'response',
+                schema: jsonSchema,
+                strict: true
+            }
+        };
+    } else {
+        body.response_format = { type: 'json_object' };
+    }
+
+    try {
+        const response = await fetch(...llmProviders.buildRequest(target, body, signal));
+        if (!response.ok) {
+            const errorText = await response.text();
+            return { ok: false, status: response.status, error: errorText, retryAfterMs: parseRetryAfter(response.headers.get('retry-after')) };
+        }
+        const data = await response.json();
+        const rawContent = data?.choices?.[0]?.message?.content;
+        return { ok: true, data, content: typeof rawContent === 'string' ? rawContent.trim() : JSON.stringify(rawContent || '') };
+    } catch (fetchError) {
+        return { ok: false, error: fetchError.message };
+    }
+}
+
 // JSON-specific OpenRouter fallback (native JSON when supported)
-async function callOpenRouterJSONWithFallback(messages, systemContent, jobId, taskName = 'AI JSON Task', jsonSchema = null) {
-    // Read JSON-capable model list from env
-    let jsonFallbackModels = [
-        process.env.OPENROUTER_JSON_MODEL_1,
-        process.env.OPENROUTER_JSON_MODEL_2,
-        process.env.OPENROUTER_JSON_MODEL_3,
-        process.env.OPENROUTER_JSON_MODEL_4,
-        process.env.OPENROUTER_JSON_MODEL_5
-    ].filter(model => model && model !== 'undefined');
+// Each reply is parsed leniently (fences, surrounding prose and common syntax
+// defects are repaired) and validated against jsonSchema (see jsonOutput.js). A
+// reply that still doesn't fit is sent back to the same model once, quoting the
+// errors, before the next model is tried. If no reply fits, the call fails like
+// any other (with the closest reply's schemaErrors) so the caller falls back.
+// options.returnInvalid: hand back a reply that can't be used (as invalidJson, with
+// schemaErrors if it parsed) without the re-prompt, so the caller can run its own
+// repair loop instead of moving on to the next model
+async function requestOpenRouterJSONWithFallback(messages, systemContent, jobId, taskName = 'AI JSON Task', jsonSchema = null, options = {}) {
+    // Read JSON-capable model list from env, unless the caller names its own chain
+    let jsonModels = options.models || jsonModelChain();
 
     // If none provided, fall back to the general list (best-effort)
-    if (jsonFallbackModels.length === 0) {
+    if (jsonModels.length === 0) {
         console.warn(`[Job ${jobId}] ${taskName} - No JSON model list found in env; using general fallback list`);
-        jsonFallbackModels = [
-            process.env.OPENROUTER_MODEL_1 || 'qwen/qwen3-30b-a3b:free',
-            process.env.OPENROUTER_MODEL_2 || 'microsoft/phi-3-mini-128k-instruct:free',
-            process.env.OPENROUTER_MODEL_3 || 'meta-llama/llama-3.1-8b-instruct:free',
-            process.env.OPENROUTER_MODEL_4 || 'google/gemma-2-9b-it:free',
-            process.env.OPENROUTER_MODEL_5 || 'mistralai/mistral-7b-instruct:free'
-        ].filter(model => model && model !== 'undefined');
+        jsonModels = textModelChain();
     }
+    const localOnly = isLocalOnlyJob(jobId);
+    const jsonFallbackModels = planModelChain(llmProviders.chainFor(jsonModels, { localOnly }), jobId, taskName);
 
-    console.log(`[Job ${jobId}] ${taskName} - JSON fallback models: ${jsonFallbackModels.length}`);
+    console.log(`[Job ${jobId}] ${taskName} - JSON fallback models: ${jsonFallbackModels.length}${localOnly ? ' (local only)' : ''}`);
+    if (jsonFallbackModels.length === 0) {
+        return { success: false, error: 'No local model in the JSON fallback chain for a local-only job', attempts: 0 };
+    }
+    const signal = getJobSignal(jobId);
+    // The re-prompt is skipped when the caller repairs replies itself
+    const maxRounds = options.returnInvalid ? 1 : 2;
+    const replies = [];
+    let closest = null; // parseable reply with the fewest schema errors, reported on failure
 
     for (let i = 0; i < jsonFallbackModels.length; i++) {
-        const model = jsonFallbackModels[i];
+        if (signal?.aborted) {
+            console.log(`[Job ${jobId}] ${taskName} - Job cancelled, not trying remaining models`);
+            return { success: false, cancelled: true, error: 'Job cancelled', attempts: i };
+        }
+        if (i > 0) {
+            console.log(`[Job ${jobId}] ${taskName} - Waiting ${LLM_RETRY_DELAY_MS}ms before next attempt...`);
+            await waitBeforeNextModel(signal);
+            if (signal?.aborted) return { success: false, cancelled: true, error: 'Job cancelled', attempts: i };
+        }
+        // Every attempt counts against the job's maxLlmCalls, fallbacks included
+        const overBudget = llmBudgetHit(jobId);
+        if (overBudget) {
+            console.warn(`[Job ${jobId}] ${taskName} - Budget limit ${overBudget.limit} reached (${overBudget.used}/${overBudget.max}), not calling another model`);
+            return { success: false, budgetExceeded: overBudget, error: `Job budget ${overBudget.limit} reached`, attempts: i };
+        }
+        const target = jsonFallbackModels[i];
+        const model = target.entry;
+        // A half-open model takes one probe at a time; skip it while another call probes it
+        if (!modelHealth.claim(target)) {
+            console.log(`[Job ${jobId}] ${taskName} - Skipping ${model}: another call is probing it`);
+            continue;
+        }
         console.log(`[Job ${jobId}] ${taskName} - Attempting JSON model ${i + 1}/${jsonFallbackModels.length}: ${model}`);
+        let prompt = messages;
+
+        for (let round = 1; round <= maxRounds; round++) {
+            // The re-prompt is a model call like any other
+            const overBudget = round > 1 ? llmBudgetHit(jobId) : null;
+            if (overBudget) {
+                console.warn(`[Job ${jobId}] ${taskName} - Budget limit ${overBudget.limit} reached (${overBudget.used}/${overBudget.max}), not re-prompting`);
+                saveJsonOutputArtifact(jobId, taskName, replies, 'budget exhausted');
+                return { success: false, budgetExceeded: overBudget, error: `Job budget ${overBudget.limit} reached`, attempts: i + 1 };
+            }
+            const startedAt = Date.now();
+            const reply = await requestJsonReply(target, prompt, systemContent, jsonSchema, signal);
+
+            if (!reply.ok) {
+                // A cancelled job aborts the request; that says nothing about the model
+                if (signal?.aborted) {
+                    console.log(`[Job ${jobId}] ${taskName} - Job cancelled during request to ${model}`);
+                    modelHealth.release(target);
+                    return { success: false, cancelled: true, error: 'Job cancelled', attempts: i + 1 };
+                }
+                recordLlmUsage(jobId, taskName, target, i + 1, startedAt, { success: false, status: reply.status, error: reply.error, retryAfterMs: reply.retryAfterMs ?? null });
+                if (!reply.status) {
+                    console.error(`[Job ${jobId}] ${taskName} - Network error with model ${model}:`, reply.error);
+                } else if (reply.status === 429 || reply.status >= 500) {
+                    console.log(`[Job ${jobId}] ${taskName} - Model ${model} failed: ${reply.status} ${reply.error}`);
+                    console.log(`[Job ${jobId}] ${taskName} - Rate limited/server error, trying next model...`);
+                } else {
+                    console.log(`[Job ${jobId}] ${taskName} - Model ${model} failed: ${reply.status} ${reply.error}`);
+                    console.log(`[Job ${jobId}] ${taskName} - Client error, trying next model anyway...`);
+                }
+                break;
+            }
 
-        try {
-            const body = {
-                model: model,
-                messages: [
-                    { role: 'system', content: systemContent },
-                    { role: 'user', content: messages }
-                ]
-            };
+            const checked = checkModelJson(reply.content, jsonSchema);
+            replies.push({
+                model,
+                attempt: i + 1,
+                round,
+                raw: reply.content,
+                ...(checked.repairs.length > 0 ? { repaired: checked.value !== undefined ? checked.value : checked.text } : {}),
+                repairs: checked.repairs,
+                errors: checked.errors,
+                accepted: checked.ok
+            });
 
-            // Prefer native JSON output when supported
-            if (jsonSchema && typeof jsonSchema === 'object') {
-                body.response_format = {
-                    type: 'json_schema',
-                    json_schema: {
-                        name: 'response',
-                        schema: jsonSchema,
-                        strict: true
-                    }
+            if (checked.ok) {
+                recordLlmUsage(jobId, taskName, target, i + 1, startedAt, { success: true, usage: reply.data.usage });
+                console.log(`[Job ${jobId}] ${taskName} - SUCCESS with model: ${model}${checked.repairs.length > 0 ? ` (repaired: ${checked.repairs.join(', ')})` : ''}${round > 1 ? ' after re-prompt' : ''}`);
+                saveJsonOutputArtifact(jobId, taskName, replies, 'accepted');
+                return {
+                    success: true,
+                    json: checked.value,
+                    model: model,
+                    attempt: i + 1,
+                    raw: reply.content,
+                    repairs: checked.repairs
                 };
-            } else {
-                body.response_format = { type: 'json_object' };
             }
 
-            const response = await fetch('https://openrouter.ai/api/v1/chat/completions', {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${process.env.OPENROUTER_API_KEY}`,
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify(body)
-            });
+            // Tokens were still spent on the unusable answer
+            recordLlmUsage(jobId, taskName, target, i + 1, startedAt, { success: false, usage: reply.data.usage, error: checked.errors.join('; '), invalidOutput: true });
+            const parsed = checked.value !== undefined;
+            if (parsed && (!closest || checked.errors.length < closest.errors.length)) {
+                closest = { errors: checked.errors, model };
+            }
 
-            if (response.ok) {
-                const data = await response.json();
-                const rawContent = data?.choices?.[0]?.message?.content;
-                const content = typeof rawContent === 'string' ? rawContent.trim() : JSON.stringify(rawContent || '');
-
-                try {
-                    const parsed = JSON.parse(content);
-                    console.log(`[Job ${jobId}] ${taskName} - SUCCESS with model: ${model}`);
-                    return {
-                        success: true,
-                        json: parsed,
-                        model: model,
-                        attempt: i + 1,
-                        raw: content
-                    };
-                } catch (parseErr) {
-                    console.log(`[Job ${jobId}] ${taskName} - Model ${model} returned non-JSON content, trying next model...`);
-                    // Try next model
-                    continue;
-                }
+            if (options.returnInvalid) {
+                console.log(`[Job ${jobId}] ${taskName} - Model ${model} returned ${parsed ? 'JSON that breaks the schema' : 'non-JSON content'}`);
+                saveJsonOutputArtifact(jobId, taskName, replies, 'returned to caller');
+                return {
+                    success: false,
+                    invalidJson: true,
+                    error: parsed ? checked.errors.join('; ') : checked.parseError,
+                    ...(parsed ? { schemaErrors: checked.errors } : {}),
+                    model: model,
+                    attempt: i + 1,
+                    raw: reply.content
+                };
+            }
+            if (round < maxRounds) {
+                console.log(`[Job ${jobId}] ${taskName} - Model ${model} reply unusable (${checked.errors.length} problem(s)), re-prompting it with the errors...`);
+                prompt = buildRepairPrompt(messages, reply.content, checked.errors);
             } else {
-                const errorText = await response.text();
-                console.log(`[Job ${jobId}] ${taskName} - Model ${model} failed: ${response.status} ${errorText}`);
-
-                if (response.status === 429 || response.status >= 500) {
-                    console.log(`[Job ${jobId}] ${taskName} - Rate limited/server error, trying next model...`);
-                    continue;
-                }
-
-                console.log(`[Job ${jobId}] ${taskName} - Client error, trying next model anyway...`);
-                continue;
+                console.log(`[Job ${jobId}] ${taskName} - Model ${model} reply still unusable after re-prompt, trying next model...`);
             }
-        } catch (fetchError) {
-            console.error(`[Job ${jobId}] ${taskName} - Network error with model ${model}:`, fetchError.message);
-            continue;
         }
+    }
 
-        if (i < jsonFallbackModels.length - 1) {
-            console.log(`[Job ${jobId}] ${taskName} - Waiting 2 seconds before next attempt...`);
-            await new Promise(resolve => setTimeout(resolve, 2000));
-        }
+    saveJsonOutputArtifact(jobId, taskName, replies, closest ? 'no reply fit the schema' : 'failed');
+    if (closest) {
+        console.error(`[Job ${jobId}] ${taskName} - No reply fit the schema after ${jsonFallbackModels.length} models (closest: ${closest.model}, ${closest.errors.length} problem(s))`);
+        return {
+            success: false,
+            error: `No reply from ${jsonFallbackModels.length} JSON fallback models fit the schema`,
+            schemaErrors: closest.errors,
+            attempts: jsonFallbackModels.length
+        };
     }
 
     console.error(`[Job ${jobId}] ${taskName} - ALL JSON MODELS FAILED after ${jsonFallbackModels.length} attempts`);
@@ -0,0 +1,206 @@
+// ============================================================================
+// ACTION REGISTRY
+// ============================================================================
+// Every action type the JSON action executor can run is registered here once:
+// its handler, the JSON schema for its fields, a one-line description for the
+// planner prompts and any planner guidance. The plan schema, the allowed-actions
+// lists in the prompts, the validator's type lists and the executor's dispatch
+// are all generated from the registry, so a new action is a single registration
+// (or a module in lib/actions/) instead of four edits that can drift apart.
+//
+// A definition looks like:
+//   {
+//     type: 'google_search',
+//     requiresQuery: true,          // needs a non-empty "query" (default true)
+//     schema: { properties: {...}, required: [...] }, // extra fields beyond type/query/priority/dependencies
+//     description: 'Search Google for targeted health/medical information',
+//     guidance: ['Use targeted medical/health terms ...'], // rules added to the planner prompts
+//     reusableOnRerun: true,        // a rerun with reuseCached may copy this step's output
+//     resultKey: 'fitbitData',      // executionResults field the handler fills, carried over by reruns
+//     phase: 'executing',           // job state while it runs ('executing' or 'synthesizing')
+//     estimate: { searchCalls: 1 }, // outbound calls per run, for plan-only cost estimates
+//     llmChain: 'json',             // model chain its LLM calls use ('text' or 'json', default 'text')
+//     estimateNote: '...',          // caveat added to the estimate when the plan uses this action
+//     handler: async ({ jobId, folderPath, action, executionResults, originalQuery, signal, services }) => {}
+//   }
+
+const fs = require('fs-extra');
+const path = require('path');
+
+const ESTIMATE_KEYS = ['searchCalls', 'fitbitCalls', 'llmCalls', 'embeddingCalls', 'profileEmbeddingCalls'];
+
+function createActionRegistry() {
+  const definitions = new Map(); // key: type, value: definition (in registration order)
+
+  function register(definition) {
+    const { type, handler } = definition || {};
+    if (typeof type !== 'string' || !/^[a-z][a-z0-9_]*$/.test(type)) {
+      throw new Error(`Action type must be a snake_case string, got "${type}"`);
+    }
+    if (definitions.has(type)) {
+      throw new Error(`Action type "${type}" is already registered`);
+    }
+    if (typeof handler !== 'function') {
+      throw new Error(`Action "${type}" needs a handler function`);
+    }
+    if (typeof definition.description !== 'string' || !definition.description.trim()) {
+      throw new Error(`Action "${type}" needs a description for the planner prompts`);
+    }
+    for (const key of Object.keys(definition.estimate || {})) {
+      if (!ESTIMATE_KEYS.includes(key)) {
+        throw new Error(`Action "${type}" has unknown estimate key "${key}" (expected ${ESTIMATE_KEYS.join(', ')})`);
+      }
+    }
+
+    definitions.set(type, {
+      requiresQuery: true,
+      schema: { properties: {}, required: [] },
+      guidance: [],
+      reusableOnRerun: false,
+      resultKey: null,
+      phase: 'executing',
+      llmChain: 'text',
+      estimate: {},
+      ...definition
+    });
+  }
+
+  // Register every action module in a directory. A module exports one
+  // definition or an array of them; files starting with "_" are skipped.
+  function loadDirectory(dirPath) {
+    if (!fs.existsSync(dirPath)) return [];
+    const loaded = [];
+    for (const file of fs.readdirSync(dirPath).filter(f => f.endsWith('.js') && !f.startsWith('_')).sort()) {
+      const exported = require(path.join(dirPath, file));
+      for (const definition of Array.isArray(exported) ? exported : [exported]) {
+        register(definition);
+        loaded.push(definition.type);
+      }
+    }
+    return loaded;
+  }
+
+  const get = (type) => definitions.get(type) || null;
+  const types = () => [...definitions.keys()];
+  const queryTypes = () => types().filter(type => definitions.get(type).requiresQuery);
+  const reusableTypes = () => types().filter(type => definitions.get(type).reusableOnRerun);
+  const resultKeys = () => [...definitions.values()].map(d => d.resultKey).filter(Boolean);
+
+  // "google_search, analyze_results, ..." for {ALLOWED_ACTIONS} and inline lists
+  const allowedList = () => types().join(', ');
+
+  // "- google_search: Search Google ..." one line per action
+  function describeActions() {
+    return [...definitions.values()].map(d => `- ${d.type}: ${d.description}`).join('\n');
+  }
+
+  // Which fields each action needs, for the executor prompts
+  function fieldRules() {
+    const withQuery = queryTypes();
+    const withoutQuery = types().filter(type => !withQuery.includes(type));
+    const lines = [];
+    if (withQuery.length > 0) {
+      lines.push(`- For actions of type ${withQuery.join(', ')} — include exactly these fields:`);
+      lines.push(`  - "type" (one of the ${definitions.size} types)`);
+      lines.push('  - "query" (string)');
+      lines.push('  - "priority" (integer 1-10)');
+      lines.push('  - "dependencies" (array of step numbers)');
+    }
+    if (withoutQuery.length > 0) {
+      const list = withoutQuery.length > 1
+        ? `${withoutQuery.slice(0, -1).join(', ')} and ${withoutQuery[withoutQuery.length - 1]}`
+        : withoutQuery[0];
+      lines.push(`- For ${list} — include:`);
+      lines.push('  - "type", "priority", "dependencies" (no "query" is required)');
+    }
+    for (const d of definitions.values()) {
+      for (const [name, spec] of Object.entries(d.schema.properties || {})) {
+        const required = (d.schema.required || []).includes(name) ? 'required' : 'optional';
+        lines.push(`- ${d.type} also takes "${name}" (${required}${spec.description ? `: ${spec.description}` : ''})`);
+      }
+    }
+    return lines.join('\n');
+  }
+
+  // Extra rules from each action's planner guidance, grouped by action
+  function plannerGuidance() {
+    return [...definitions.values()]
+      .filter(d => d.guidance.length > 0)
+      .map(d => `${d.type.toUpperCase()} REQUIREMENTS:\n${d.guidance.map(rule => `- ${rule}`).join('\n')}`)
+      .join('\n\n');
+  }
+
+  // JSON schema for a whole plan ({ actions: [...] }), one oneOf branch per action
+  function planSchema() {
+    return {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        actions: {
+          type: 'array',
+          items: {
+            oneOf: [...definitions.values()].map(d => ({
+              type: 'object',
+              additionalProperties: false,
+              properties: {
+                type: { type: 'string', enum: [d.type] },
+                ...(d.requiresQuery ? { query: { type: 'string' } } : {}),
+                priority: { type: 'integer', minimum: 1, maximum: 10 },
+                // step numbers; a rewrite may also name steps that already ran by id
+                dependencies: { type: 'array', items: { anyOf: [{ type: 'integer' }, { type: 'string' }] } },
+                ...(d.schema.properties || {})
+              },
+              required: ['type', ...(d.requiresQuery ? ['query'] : []), 'priority', 'dependencies', ...(d.schema.required || [])]
+            }))
+          }
+        }
+      },
+      required: ['actions']
+    };
+  }
+
+  // Outbound calls a plan would make, summed from each action's estimate
+  function estimateCalls(actions, { hasUserProfile = false } = {}) {
+    const totals = { searchCalls: 0, fitbitCalls: 0, llmCalls: 0, embeddingCalls: 0 };
+    for (const action of actions) {
+      const estimate = definitions.get(action?.type)?.estimate || {};
+      totals.searchCalls += estimate.searchCalls || 0;
+      totals.fitbitCalls += estimate.fitbitCalls || 0;
+      totals.llmCalls += estimate.llmCalls || 0;
+      totals.embeddingCalls += (estimate.embeddingCalls || 0) + (hasUserProfile ? estimate.profileEmbeddingCalls || 0 : 0);
+    }
+    return totals;
+  }
+
+  // Run an action's handler. Unknown types are logged and skipped, as the
+  // executor always did (the validator normally drops them first).
+  async function dispatch(context) {
+    const definition = definitions.get(context.action?.type);
+    if (!definition) {
+      console.log(`[Job ${context.jobId}] Unknown action type: ${context.action?.type}`);
+      return;
+    }
+    await definition.handler(context);
+  }
+
+  return {
+    register,
+    loadDirectory,
+    get,
+    types,
+    queryTypes,
+    reusableTypes,
+    resultKeys,
+    allowedList,
+    describeActions,
+    fieldRules,
+    plannerGuidance,
+    planSchema,
+    estimateCalls,
+    dispatch
+  };
+}
+
+module.exports = {
+  createActionRegistry
+};
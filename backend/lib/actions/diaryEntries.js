@@ -0,0 +1,157 @@
+// ============================================================================
+// DIARY ENTRIES ACTION
+// ============================================================================
+// get_diary_entries loads the user's own journal (de_entries) for a date range:
+// mood, energy, stress and sleep-quality ratings plus reflection notes, events
+// and challenges. This is the subjective half of a sleep diary, shown to the
+// analysis, synthesis and final-response prompts next to the Fitbit data.
+//
+// The range comes from the action's "days" ("last N days", ending today) or its
+// "startDate"/"endDate" (YYYY-MM-DD). A query like "last 14 days" also works, as
+// does "date: 2024-05-01" like the Fitbit actions. Defaults to the last 7 days.
+
+const fs = require('fs-extra');
+const path = require('path');
+
+const DEFAULT_DAYS = 7;
+const MAX_DAYS = 90;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const RATING_FIELDS = {
+  mood: 'de_mood_rating',
+  energy: 'de_energy_level',
+  stress: 'de_stress_level',
+  sleepQuality: 'de_sleep_quality'
+};
+
+const isDate = (value) => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value));
+const toDate = (ms) => new Date(ms).toISOString().split('T')[0];
+
+// Work out { startDate, endDate } (inclusive) from the action. Ranges longer
+// than MAX_DAYS keep their end date and lose the oldest days.
+function resolveRange(action, now = Date.now()) {
+  const query = typeof action.query === 'string' ? action.query : '';
+  let { startDate, endDate } = action;
+  let days = Number.isInteger(action.days) ? action.days : null;
+
+  if (days === null) {
+    const lastDays = query.match(/last\s+(\d+)\s+days?/i);
+    if (lastDays) days = Number(lastDays[1]);
+  }
+  if (!isDate(startDate) && !isDate(endDate) && query.includes('date:')) {
+    const single = query.split('date:')[1].trim().split(' ')[0];
+    if (isDate(single)) startDate = endDate = single;
+  }
+
+  if (!isDate(endDate)) endDate = toDate(now);
+  if (!isDate(startDate)) {
+    const span = Math.min(Math.max(days || DEFAULT_DAYS, 1), MAX_DAYS);
+    startDate = toDate(Date.parse(endDate) - (span - 1) * DAY_MS);
+  }
+  if (startDate > endDate) [startDate, endDate] = [endDate, startDate];
+  if ((Date.parse(endDate) - Date.parse(startDate)) / DAY_MS + 1 > MAX_DAYS) {
+    startDate = toDate(Date.parse(endDate) - (MAX_DAYS - 1) * DAY_MS);
+  }
+  return { startDate, endDate };
+}
+
+// Database row -> the shape the prompts see
+function formatEntry(row) {
+  return {
+    date: row.de_entry_date,
+    mood: row.de_mood_rating ?? null,
+    energy: row.de_energy_level ?? null,
+    stress: row.de_stress_level ?? null,
+    sleepQuality: row.de_sleep_quality ?? null,
+    reflectionNotes: row.de_reflection_notes || '',
+    significantEvents: row.de_significant_events || [],
+    emotionalState: row.de_emotional_state || [],
+    gratitude: row.de_gratitude_items || [],
+    challenges: row.de_challenges_faced || [],
+    accomplishments: row.de_accomplishments || []
+  };
+}
+
+// Mean of each 1-10 rating over the entries that have it
+function averageRatings(entries) {
+  const averages = {};
+  for (const name of Object.keys(RATING_FIELDS)) {
+    const values = entries.map(e => e[name]).filter(v => typeof v === 'number');
+    averages[name] = values.length > 0
+      ? Math.round((values.reduce((sum, v) => sum + v, 0) / values.length) * 10) / 10
+      : null;
+  }
+  return averages;
+}
+
+async function fetchEntries(supabase, userProfileId, { startDate, endDate }, signal) {
+  let request = supabase
+    .from('de_entries')
+    .select(['de_entry_date', ...Object.values(RATING_FIELDS), 'de_reflection_notes', 'de_significant_events',
+      'de_emotional_state', 'de_gratitude_items', 'de_challenges_faced', 'de_accomplishments'].join(', '))
+    .eq('usr_prof_id', userProfileId)
+    .gte('de_entry_date', startDate)
+    .lte('de_entry_date', endDate)
+    .order('de_entry_date', { ascending: true });
+  if (signal) request = request.abortSignal(signal);
+
+  const { data, error } = await request;
+  if (error) throw new Error(`Supabase diary query error: ${error.message}`);
+  return data || [];
+}
+
+module.exports = {
+  type: 'get_diary_entries',
+  requiresQuery: false,
+  resultKey: 'diaryEntries',
+  description: "Get the user's own diary entries (mood, energy, stress and sleep-quality ratings, reflection notes, events, challenges) for a date range",
+  // All three are required but nullable, as strict JSON schema mode expects
+  schema: {
+    properties: {
+      days: { type: ['integer', 'null'], description: `last N days ending today, or null (default ${DEFAULT_DAYS})` },
+      startDate: { type: ['string', 'null'], description: 'first day as YYYY-MM-DD, or null' },
+      endDate: { type: ['string', 'null'], description: 'last day as YYYY-MM-DD, or null for today' }
+    },
+    required: ['days', 'startDate', 'endDate']
+  },
+  guidance: [
+    'Use get_diary_entries whenever mood, energy, stress, subjective sleep quality or daily events could explain the question, e.g. alongside get_fitbit_sleep.',
+    `Set "days" (e.g. 14) or "startDate"/"endDate"; ranges are capped at ${MAX_DAYS} days.`
+  ],
+  handler: async ({ jobId, folderPath, action, executionResults, signal, services }) => {
+    if (!executionResults.userProfileId) {
+      console.log(`[Job ${jobId}] No user profile - skipping diary entries`);
+      return null;
+    }
+
+    const range = resolveRange(action);
+    console.log(`[Job ${jobId}] Retrieving diary entries ${range.startDate} to ${range.endDate}...`);
+
+    try {
+      // Recorded like the Fitbit calls so offline replays see the same journal.
+      // Keyed by user too, so a replay never serves someone else's entries.
+      const rows = await services.cassette.run('supabase', 'diary_entries', { userProfileId: executionResults.userProfileId, ...range }, () =>
+        fetchEntries(services.supabase, executionResults.userProfileId, range, signal)
+      );
+      const entries = rows.map(formatEntry);
+
+      const diary = {
+        ...range,
+        count: entries.length,
+        averages: averageRatings(entries),
+        entries,
+        timestamp: new Date().toISOString()
+      };
+      executionResults.diaryEntries = diary;
+
+      const diaryFilename = `${Date.now()}_diary_entries.json`;
+      await fs.writeFile(path.join(folderPath, diaryFilename), JSON.stringify(diary, null, 2));
+      console.log(`[Job ${jobId}] ${entries.length} diary entries retrieved and saved to ${diaryFilename}`);
+
+      return diary;
+    } catch (error) {
+      console.error(`[Job ${jobId}] Diary entries retrieval error:`, error.message);
+      return null;
+    }
+  }
+};
@@ -0,0 +1,170 @@
+// ============================================================================
+// FETCH SOURCE ACTION
+// ============================================================================
+// fetch_source downloads the pages behind search results (or the URLs the plan
+// names), extracts their readable text and keeps only the passages most similar
+// to the action's query. Those passages are what analysis, synthesis and the
+// final response read, instead of two-line search snippets.
+//
+// Passages are ranked by Jina embedding similarity to the query, all chunks of
+// all pages in one request; if embeddings aren't available, by keyword overlap.
+// With SOURCE_FETCH_AFTER_SEARCH=true it also runs automatically after every
+// google_search on that search's results. URLs go through the source policy
+// first: dropped ones aren't fetched and the most credible are fetched first.
+//
+// Configuration (env):
+//   SOURCE_FETCH_MAX_PAGES        pages fetched per action (default 3)
+//   SOURCE_PASSAGES_PER_PAGE      passages kept from each page (default 3)
+//   SOURCE_FETCH_TIMEOUT_MS       per-request timeout (default 10000)
+//   SOURCE_FETCH_MAX_BYTES        bytes read from a page before it is cut off (default 2 MB)
+//   SOURCE_FETCH_RESPECT_ROBOTS   "false" to ignore robots.txt (default true)
+//   SOURCE_FETCH_FIXTURES_DIR     serve pages from this directory instead of the network
+
+const fs = require('fs-extra');
+const path = require('path');
+const {
+  SourceSkipError,
+  createSourceFetcher,
+  chunkText,
+  cosineSimilarity,
+  lexicalScore
+} = require('../sourceFetcher.js');
+const { canonicalUrl } = require('../searchCache.js');
+
+const readInt = (name, fallback) => {
+  const value = parseInt(process.env[name] || '', 10);
+  return Number.isInteger(value) && value > 0 ? value : fallback;
+};
+
+const MAX_PAGES = readInt('SOURCE_FETCH_MAX_PAGES', 3);
+const PASSAGES_PER_PAGE = readInt('SOURCE_PASSAGES_PER_PAGE', 3);
+const CHUNK_CHARS = 600;       // about a paragraph or two, so a page yields several candidate passages
+const MAX_CHUNKS_PER_PAGE = 40; // keeps the embedding request bounded on very long pages
+
+const fetcher = createSourceFetcher({
+  timeoutMs: readInt('SOURCE_FETCH_TIMEOUT_MS', 10000),
+  maxBytes: readInt('SOURCE_FETCH_MAX_BYTES', 2 * 1024 * 1024),
+  respectRobots: process.env.SOURCE_FETCH_RESPECT_ROBOTS !== 'false',
+  fixturesDir: process.env.SOURCE_FETCH_FIXTURES_DIR || null
+});
+
+// Fetch one page through the cassette. Pages that can't be used come back as
+// { ok: false, reason } rather than throwing, so one bad link doesn't sink the rest.
+async function fetchThroughCassette(url, { jobId, signal, services }) {
+  return services.cassette.run('source', 'page', { url }, async () => {
+    const startedAt = Date.now();
+    try {
+      const page = await fetcher.fetchPage(url, { signal });
+      services.recordUsage(jobId, { kind: 'fetch', provider: fetcher.mode, task: 'fetch_source', url, success: true, bytes: page.bytes, latencyMs: Date.now() - startedAt });
+      return { ok: true, ...page };
+    } catch (error) {
+      if (!(error instanceof SourceSkipError)) throw error;
+      services.recordUsage(jobId, { kind: 'fetch', provider: fetcher.mode, task: 'fetch_source', url, success: false, status: error.status ?? null, latencyMs: Date.now() - startedAt, error: error.reason });
+      return { ok: false, url, reason: error.reason };
+    }
+  });
+}
+
+// Score every chunk against the query: embeddings when Jina answers, keyword
+// overlap otherwise
+async function scoreChunks(query, chunks, { jobId, signal, services }) {
+  const embeddings = await services.generateJinaEmbeddings([query, ...chunks.map(c => c.text)], { signal, jobId, task: 'source_passages' });
+  if (embeddings) {
+    const [queryEmbedding, ...chunkEmbeddings] = embeddings;
+    return { method: 'embedding', scores: chunkEmbeddings.map(e => cosineSimilarity(queryEmbedding, e)) };
+  }
+  return { method: 'keyword', scores: chunks.map(c => lexicalScore(query, c.text)) };
+}
+
+module.exports = {
+  type: 'fetch_source',
+  description: 'Download the top search result pages (or the given URLs) and extract the passages most relevant to the query, so analysis works from page text rather than snippets',
+  // Required but nullable, as strict JSON schema mode expects
+  schema: {
+    properties: {
+      urls: { type: ['array', 'null'], items: { type: 'string' }, description: 'pages to fetch, or null for the top results of earlier google_search steps' }
+    },
+    required: ['urls']
+  },
+  guidance: [
+    'Add a fetch_source after the google_search steps it depends on whenever the answer needs more than search snippets; its "query" says what the passages should be about.',
+    `At most ${MAX_PAGES} pages are fetched per fetch_source; pages already fetched in this job are skipped.`
+  ],
+  reusableOnRerun: true,
+  estimate: { embeddingCalls: 1 },
+  handler: async ({ jobId, folderPath, action, executionResults, originalQuery, signal, services }) => {
+    const relevanceQuery = (action.query || originalQuery || '').trim();
+    const alreadyFetched = new Set(executionResults.sourcePassages.map(source => canonicalUrl(source.url)));
+    const candidates = Array.isArray(action.urls) && action.urls.length > 0
+      ? action.urls
+      : executionResults.searchResults.map(result => result.link);
+    const rated = [...new Set(candidates.filter(url => typeof url === 'string' && url && !alreadyFetched.has(canonicalUrl(url))))]
+      .map(url => ({ url, ...services.sourcePolicy.rate(url) }));
+    const blocked = rated.filter(rating => rating.action === 'drop')
+      .map(({ url, reason }) => ({ url, reason: `source policy: ${reason}` }));
+    // Stable sort, so equally credible pages keep the plan's / search's order
+    const urls = rated.filter(rating => rating.action !== 'drop')
+      .sort((a, b) => b.score - a.score)
+      .slice(0, MAX_PAGES)
+      .map(rating => rating.url);
+    const credibilityOf = (url) => {
+      const { action: policyAction, ...credibility } = rated.find(rating => rating.url === url);
+      return { ...credibility, downweighted: policyAction === 'downweight' };
+    };
+
+    if (urls.length === 0) {
+      console.log(`[Job ${jobId}] fetch_source: no new pages to fetch${blocked.length > 0 ? ` (${blocked.length} dropped by source policy)` : ''}`);
+      return null;
+    }
+    console.log(`[Job ${jobId}] Fetching ${urls.length} source pages for: "${relevanceQuery}"`);
+
+    try {
+      const pages = await Promise.all(urls.map(url => fetchThroughCassette(url, { jobId, signal, services })));
+      const fetched = pages.filter(page => page.ok);
+
+      const chunks = [];
+      fetched.forEach((page, pageIndex) => {
+        chunkText(page.text, { chunkChars: CHUNK_CHARS, maxChunks: MAX_CHUNKS_PER_PAGE })
+          .forEach((text, chunkIndex) => chunks.push({ pageIndex, chunkIndex, text }));
+      });
+      const { method, scores } = chunks.length > 0
+        ? await scoreChunks(relevanceQuery, chunks, { jobId, signal, services })
+        : { method: null, scores: [] };
+
+      const sources = fetched.map((page, pageIndex) => {
+        const searchResult = executionResults.searchResults.find(result => result.link === page.url);
+        const passages = chunks
+          .map((chunk, i) => ({ ...chunk, score: Math.round(scores[i] * 1000) / 1000 }))
+          .filter(chunk => chunk.pageIndex === pageIndex)
+          .sort((a, b) => b.score - a.score)
+          .slice(0, PASSAGES_PER_PAGE)
+          .map(({ chunkIndex, text, score }) => ({ chunk: chunkIndex, score, text }));
+        return {
+          url: page.url,
+          finalUrl: page.finalUrl,
+          title: page.title || searchResult?.title || page.url,
+          query: relevanceQuery,
+          credibility: credibilityOf(page.url),
+          method,
+          chars: page.text.length,
+          truncated: page.truncated,
+          passages,
+          fetchedAt: new Date().toISOString()
+        };
+      });
+      const skipped = [...blocked, ...pages.filter(page => !page.ok).map(({ url, reason }) => ({ url, reason }))];
+
+      executionResults.sourcePassages.push(...sources.filter(source => source.passages.length > 0));
+
+      const slug = relevanceQuery.replace(/[^a-zA-Z0-9]/g, '_').substring(0, 30);
+      const sourcesFilename = `${Date.now()}_sources_${slug}.json`;
+      await fs.writeFile(path.join(folderPath, sourcesFilename), JSON.stringify({ query: relevanceQuery, mode: fetcher.mode, sources, skipped }, null, 2));
+      console.log(`[Job ${jobId}] Fetched ${sources.length}/${urls.length} source pages (${skipped.length} skipped) and saved to ${sourcesFilename}`);
+
+      return sources;
+    } catch (error) {
+      console.error(`[Job ${jobId}] fetch_source failed:`, error.message);
+      return null;
+    }
+  }
+};
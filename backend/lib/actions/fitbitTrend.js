@@ -0,0 +1,200 @@
+// ============================================================================
+// FITBIT TREND ACTION
+// ============================================================================
+// get_fitbit_trend pulls a date range of sleep, activity and resting heart rate
+// and compares days against the user's own baseline: the mean and standard
+// deviation of the baselineDays before each day (a rolling window). The target
+// day and the week leading up to it are flagged where they deviate, which is
+// what questions like "why am I so tired this week" need - context across days
+// rather than the single-day snapshot get_fitbit_data / get_fitbit_sleep return.
+
+const fs = require('fs-extra');
+const path = require('path');
+
+const DEFAULT_BASELINE_DAYS = 28;
+const MAX_BASELINE_DAYS = 90;  // plus the recent week, stays under Fitbit's 100-day sleep range limit
+const RECENT_DAYS = 7;         // days up to and including the target that get their own flags
+const MIN_BASELINE_POINTS = 5; // fewer days with data than this and no comparison is made
+const DEVIATION_Z = 1.5;       // |z| at or above this is flagged
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Metric -> how it's labelled in flags
+const METRICS = {
+  minutesAsleep: 'sleep duration (min)',
+  sleepEfficiency: 'sleep efficiency (%)',
+  steps: 'steps',
+  activeMinutes: 'active minutes',
+  restingHeartRate: 'resting heart rate (bpm)'
+};
+
+const isDate = (value) => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value));
+const toDate = (ms) => new Date(ms).toISOString().split('T')[0];
+const addDays = (date, days) => toDate(Date.parse(date) + days * DAY_MS);
+const round = (value, places = 1) => Math.round(value * 10 ** places) / 10 ** places;
+
+// Fitbit time series ([{ dateTime, value }]) -> { date: number }. Step and
+// activity counts of 0 mean the tracker wasn't worn, so they count as missing.
+function seriesByDate(series, { zeroIsMissing = false } = {}) {
+  const byDate = {};
+  for (const point of series || []) {
+    const value = Number(point.value);
+    if (!Number.isFinite(value) || (zeroIsMissing && value === 0)) continue;
+    byDate[point.dateTime] = value;
+  }
+  return byDate;
+}
+
+// One row per day with every metric (null where there's no data)
+function buildDaily({ sleep, steps, veryActive, fairlyActive, heart }, dates) {
+  const sleepByDate = {};
+  for (const log of sleep?.sleep || []) {
+    const day = (sleepByDate[log.dateOfSleep] = sleepByDate[log.dateOfSleep] || { minutesAsleep: 0, efficiency: null });
+    day.minutesAsleep += log.minutesAsleep || 0;
+    if (log.isMainSleep || day.efficiency === null) day.efficiency = log.efficiency ?? day.efficiency;
+  }
+  const stepsByDate = seriesByDate(steps?.['activities-steps'], { zeroIsMissing: true });
+  const veryByDate = seriesByDate(veryActive?.['activities-minutesVeryActive']);
+  const fairlyByDate = seriesByDate(fairlyActive?.['activities-minutesFairlyActive']);
+  const heartByDate = {};
+  for (const point of heart?.['activities-heart'] || []) {
+    if (point.value?.restingHeartRate) heartByDate[point.dateTime] = point.value.restingHeartRate;
+  }
+
+  return dates.map(date => ({
+    date,
+    minutesAsleep: sleepByDate[date]?.minutesAsleep || null,
+    sleepEfficiency: sleepByDate[date]?.efficiency ?? null,
+    steps: stepsByDate[date] ?? null,
+    // Only meaningful on days the tracker was worn
+    activeMinutes: stepsByDate[date] !== undefined ? (veryByDate[date] || 0) + (fairlyByDate[date] || 0) : null,
+    restingHeartRate: heartByDate[date] ?? null
+  }));
+}
+
+// Mean / standard deviation of a metric over the baselineDays before index i
+function baselineAt(daily, i, metric, baselineDays) {
+  const values = daily.slice(Math.max(0, i - baselineDays), i)
+    .map(day => day[metric])
+    .filter(value => typeof value === 'number');
+  if (values.length < MIN_BASELINE_POINTS) return { mean: null, std: null, n: values.length };
+  const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+  const variance = values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (values.length - 1);
+  return { mean: round(mean), std: round(Math.sqrt(variance)), n: values.length };
+}
+
+// How one day's value compares with its baseline
+function compare(value, baseline) {
+  if (typeof value !== 'number') return { value: null, ...baseline, zScore: null, deviation: 'no_data' };
+  if (baseline.mean === null) return { value, ...baseline, zScore: null, deviation: 'insufficient_baseline' };
+  // A baseline that never varied has no SD to measure against; any change from it counts
+  if (!(baseline.std > 0)) {
+    const deviation = value === baseline.mean ? 'normal' : (value > baseline.mean ? 'above' : 'below');
+    return { value, ...baseline, zScore: value === baseline.mean ? 0 : null, deviation };
+  }
+  const zScore = round((value - baseline.mean) / baseline.std, 2);
+  let deviation = 'normal';
+  if (zScore >= DEVIATION_Z) deviation = 'above';
+  else if (zScore <= -DEVIATION_Z) deviation = 'below';
+  return { value, ...baseline, zScore, deviation };
+}
+
+function describeFlag(date, metric, result) {
+  const size = result.zScore === null ? '' : `${Math.abs(result.zScore)} SD `;
+  return `${date}: ${METRICS[metric]} ${result.value} is ${size}${result.deviation} baseline ${result.mean} ± ${result.std}`;
+}
+
+// Compare the target day and the recent days before it, each against its own
+// rolling baseline
+function analyzeTrend(daily, baselineDays) {
+  const recent = [];
+  const flags = [];
+  for (let i = Math.max(0, daily.length - RECENT_DAYS); i < daily.length; i++) {
+    const day = { date: daily[i].date, metrics: {} };
+    for (const metric of Object.keys(METRICS)) {
+      const result = compare(daily[i][metric], baselineAt(daily, i, metric, baselineDays));
+      day.metrics[metric] = result;
+      if (result.deviation === 'above' || result.deviation === 'below') flags.push(describeFlag(day.date, metric, result));
+    }
+    recent.push(day);
+  }
+  return { target: recent[recent.length - 1], recent, flags };
+}
+
+module.exports = {
+  type: 'get_fitbit_trend',
+  requiresQuery: false,
+  resultKey: 'fitbitTrend',
+  reusableOnRerun: true,
+  description: "Get a date range of the user's Fitbit sleep, activity and resting heart rate, compared with their own rolling baseline, with deviations flagged for the target day and the week before it",
+  // Both are required but nullable, as strict JSON schema mode expects
+  schema: {
+    properties: {
+      targetDate: { type: ['string', 'null'], description: 'day to compare as YYYY-MM-DD, or null for today' },
+      baselineDays: { type: ['integer', 'null'], description: `days before each day used as its baseline, or null (default ${DEFAULT_BASELINE_DAYS}, max ${MAX_BASELINE_DAYS})` }
+    },
+    required: ['targetDate', 'baselineDays']
+  },
+  guidance: [
+    'Use get_fitbit_trend for questions about changes over days or weeks ("this week", "lately", "recently"); use get_fitbit_data / get_fitbit_sleep for a single day.'
+  ],
+  // Sleep, steps, very + fairly active minutes and heart rate ranges
+  estimate: { fitbitCalls: 5 },
+  handler: async ({ jobId, folderPath, action, executionResults, signal, services }) => {
+    console.log(`[Job ${jobId}] Retrieving Fitbit trend data...`);
+
+    try {
+      const accessToken = await services.getFitbitAccessToken();
+      if (!accessToken) {
+        console.log(`[Job ${jobId}] Fitbit trend data not available`);
+        return null;
+      }
+
+      const targetDate = isDate(action.targetDate) ? action.targetDate : toDate(Date.now());
+      const baselineDays = Number.isInteger(action.baselineDays)
+        ? Math.min(Math.max(action.baselineDays, MIN_BASELINE_POINTS), MAX_BASELINE_DAYS)
+        : DEFAULT_BASELINE_DAYS;
+      // Enough history for the earliest recent day to have a full baseline
+      const startDate = addDays(targetDate, -(baselineDays + RECENT_DAYS - 1));
+      const dates = [];
+      for (let date = startDate; date <= targetDate; date = addDays(date, 1)) dates.push(date);
+
+      const options = { signal, jobId };
+      const fetchRange = (resource) => services.getFitbitRange(accessToken, resource, startDate, targetDate, options);
+      const [sleep, steps, veryActive, fairlyActive, heart] = await Promise.all([
+        fetchRange('sleep'),
+        fetchRange('activities/steps'),
+        fetchRange('activities/minutesVeryActive'),
+        fetchRange('activities/minutesFairlyActive'),
+        fetchRange('activities/heart')
+      ]);
+      if (!sleep && !steps && !heart) {
+        console.log(`[Job ${jobId}] Fitbit trend data not available`);
+        return null;
+      }
+
+      const daily = buildDaily({ sleep, steps, veryActive, fairlyActive, heart }, dates);
+      const { target, recent, flags } = analyzeTrend(daily, baselineDays);
+      const trend = {
+        targetDate,
+        startDate,
+        baselineDays,
+        deviationThreshold: DEVIATION_Z,
+        target,
+        recent,
+        flags,
+        daily,
+        timestamp: new Date().toISOString()
+      };
+      executionResults.fitbitTrend = trend;
+
+      const trendFilename = `${Date.now()}_fitbit_trend.json`;
+      await fs.writeFile(path.join(folderPath, trendFilename), JSON.stringify(trend, null, 2));
+      console.log(`[Job ${jobId}] Fitbit trend (${dates.length} days, ${flags.length} flags) saved to ${trendFilename}`);
+
+      return trend;
+    } catch (error) {
+      console.error(`[Job ${jobId}] Fitbit trend retrieval error:`, error.message);
+      return null;
+    }
+  }
+};
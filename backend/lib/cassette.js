@@ -0,0 +1,119 @@
+// ============================================================================
+// RECORD / REPLAY CASSETTES
+// ============================================================================
+// Lets the whole pipeline run offline. In "record" mode every outbound call
+// (OpenRouter, Ollama, Jina, Google, Fitbit) is made for real and its response is
+// saved to a cassette file, keyed by call kind, task name and a hash of the
+// request. In "replay" mode the responses are served from that file and nothing
+// touches the network, so no API keys or quota are needed.
+
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+
+const CASSETTE_MODES = ['off', 'record', 'replay'];
+
+// Thrown in replay mode when the cassette has nothing recorded for a call
+class CassetteMissError extends Error {
+  constructor(kind, name, hash) {
+    super(`No recorded ${kind} response for "${name}" (${hash}) in cassette`);
+    this.name = 'CassetteMissError';
+  }
+}
+
+function hashRequest(request) {
+  return crypto.createHash('sha256').update(JSON.stringify(request)).digest('hex').slice(0, 16);
+}
+
+function createCassette({ mode = 'off', filePath, looseMatch = false }) {
+  if (!CASSETTE_MODES.includes(mode)) {
+    console.warn(`[Cassette] Unknown CASSETTE_MODE "${mode}" - recording and replay disabled`);
+    mode = 'off';
+  }
+
+  let entries = mode === 'off' ? [] : loadEntries();
+  const played = new Set(); // indexes of entries already served in this process
+
+  if (mode !== 'off') {
+    console.log(`[Cassette] ${mode} mode using ${filePath} (${entries.length} recorded calls)`);
+  }
+
+  function loadEntries() {
+    try {
+      const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      return Array.isArray(data.entries) ? data.entries : [];
+    } catch (e) {
+      return [];
+    }
+  }
+
+  // Write via temp file + rename so an interrupted run can't corrupt the cassette
+  function persist() {
+    fs.ensureDirSync(path.dirname(filePath));
+    const tmp = `${filePath}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ version: 1, entries }, null, 2));
+    fs.renameSync(tmp, filePath);
+  }
+
+  // Pick the entry to replay. Identical requests are served in recorded order
+  // (the same prompt can legitimately be sent twice); once those run out the
+  // last match is reused. A changed request is a miss, unless looseMatch is on:
+  // then the next unplayed entry for the same task is used instead (for prompts
+  // that embed today's date).
+  function findEntry(kind, name, hash) {
+    const sameCall = [];
+    const sameTask = [];
+    entries.forEach((entry, index) => {
+      if (entry.kind !== kind || entry.name !== name) return;
+      if (entry.hash === hash) sameCall.push(index);
+      sameTask.push(index);
+    });
+
+    let index = sameCall.find(i => !played.has(i));
+    if (index === undefined && sameCall.length > 0) index = sameCall[sameCall.length - 1];
+    if (index === undefined && looseMatch) {
+      index = sameTask.find(i => !played.has(i));
+      if (index !== undefined) {
+        console.log(`[Cassette] Request for ${kind} "${name}" changed since recording - replaying next recorded response`);
+      }
+    }
+    if (index === undefined) return null;
+    played.add(index);
+    return entries[index];
+  }
+
+  // Run an outbound call through the cassette.
+  // live() performs the real call; shouldRecord(response) can skip responses not
+  // worth keeping (failures, cancellations). Responses must be JSON-serialisable.
+  async function run(kind, name, request, live, { shouldRecord = () => true } = {}) {
+    if (mode === 'off') return live();
+
+    const hash = hashRequest(request);
+    if (mode === 'replay') {
+      const entry = findEntry(kind, name, hash);
+      if (!entry) throw new CassetteMissError(kind, name, hash);
+      return JSON.parse(JSON.stringify(entry.response));
+    }
+
+    const response = await live();
+    if (shouldRecord(response)) {
+      entries.push({ kind, name, hash, request, response, recordedAt: new Date().toISOString() });
+      persist();
+    }
+    return response;
+  }
+
+  return {
+    mode,
+    filePath,
+    looseMatch,
+    run,
+    isReplaying: () => mode === 'replay'
+  };
+}
+
+module.exports = {
+  CASSETTE_MODES,
+  CassetteMissError,
+  createCassette
+};
@@ -0,0 +1,218 @@
+// ============================================================================
+// CITATIONS
+// ============================================================================
+// Every piece of evidence the final response can draw on - the user's Fitbit
+// data, diary entries, fetched source pages, search results and long-term
+// memories - gets a numbered citation id. The final response prompt lists the
+// evidence under those ids and requires inline [n] references; afterwards the
+// answer is checked for claims without a citation and citations that point at
+// nothing, and a references section is appended.
+//
+// Ids are stable within a job: personal data first, then fetched sources, then
+// search results, then memories, each in the order they were gathered. A URL
+// gets one id however many times it was found.
+
+const { credibilityLabel } = require('./sourcePolicy.js');
+const { canonicalUrl } = require('./searchCache.js');
+
+const MAX_CONTENT_CHARS = 1500; // per evidence item in the prompt
+const MIN_CLAIM_WORDS = 8;      // shorter sentences aren't treated as claims
+
+const compactJson = (value) => JSON.stringify(value);
+const clip = (text, max = MAX_CONTENT_CHARS) => (text.length > max ? `${text.slice(0, max)}…` : text);
+
+// Build the numbered evidence list. Each item is
+//   { id, kind, label, url?, credibility?, content }
+// where content is the text shown to the model and credibility the source
+// policy's tier label for web sources.
+function buildEvidence({ fitbitData, fitbitSleepData, fitbitTrend, diaryEntries, sourcePassages = [], searchResults = [], memories = [] }) {
+  const evidence = [];
+  const add = (item) => {
+    const entry = { id: evidence.length + 1, ...item };
+    evidence.push(entry);
+    return entry;
+  };
+
+  if (fitbitData) {
+    add({ kind: 'fitbit', label: `Fitbit activity summary (${fitbitData.date || 'today'})`, content: compactJson(fitbitData) });
+  }
+  if (fitbitSleepData) {
+    add({ kind: 'fitbit', label: `Fitbit sleep data (${fitbitSleepData.date || 'last night'})`, content: compactJson(fitbitSleepData) });
+  }
+  if (fitbitTrend) {
+    const { targetDate, startDate, baselineDays, flags, target, recent } = fitbitTrend;
+    add({ kind: 'fitbit', label: `Fitbit trend vs personal baseline (${startDate} to ${targetDate})`, content: compactJson({ baselineDays, flags, target, recent }) });
+  }
+  if (diaryEntries) {
+    add({ kind: 'diary', label: `Diary entries (${diaryEntries.startDate} to ${diaryEntries.endDate}, ${diaryEntries.count} entries)`, content: compactJson({ averages: diaryEntries.averages, entries: diaryEntries.entries }) });
+  }
+
+  // Fetched pages and plain search results share one id per URL; a fetched
+  // page's passages replace its snippet
+  const byUrl = new Map();
+  for (const source of sourcePassages) {
+    const key = canonicalUrl(source.url);
+    const text = source.passages.map(p => p.text.replace(/\s+/g, ' ')).join(' … ');
+    if (byUrl.has(key)) {
+      const existing = byUrl.get(key);
+      existing.content = clip(`${existing.content} … ${text}`);
+      continue;
+    }
+    byUrl.set(key, add({ kind: 'source', label: source.title, url: source.url, credibility: credibilityLabel(source), content: clip(text) }));
+  }
+  for (const result of searchResults) {
+    const key = canonicalUrl(result.link);
+    if (!result.link || byUrl.has(key)) continue;
+    byUrl.set(key, add({ kind: 'search', label: result.title, url: result.link, credibility: credibilityLabel(result), content: clip(result.snippet || '') }));
+  }
+
+  for (const memory of memories) {
+    add({ kind: 'memory', label: `Long-term memory: ${memory.title || '(untitled)'}`, content: clip((memory.content || '').replace(/\s+/g, ' '), 600) });
+  }
+  return evidence;
+}
+
+// The evidence block for the final response context
+function formatEvidenceForPrompt(evidence) {
+  if (evidence.length === 0) return 'No evidence was gathered.';
+  return evidence.map(item =>
+    `[${item.id}] ${item.label}${item.url ? ` — ${item.url}` : ''} (${item.kind}${item.credibility ? `, ${item.credibility}` : ''})\n${item.content}`
+  ).join('\n\n');
+}
+
+// Citation rules appended to the final response instructions
+const CITATION_RULES = `CITATIONS:
+- The EVIDENCE section lists every source you may use, each with a number.
+- Put the number in square brackets right after each factual claim, e.g. "Your sleep efficiency was 78% [2]." or "Sleep debt impairs attention [4][5]."
+- Only cite numbers from the EVIDENCE list. Analysis and synthesis notes are not evidence; cite the items they rely on.
+- If something is not supported by any evidence item, say so instead of citing.
+- Do not write a references or sources section; it is added automatically.`;
+
+const CITATION_PATTERN = /\[(\d+(?:\s*[,;]\s*\d+)*)\]/g;
+
+// Numbers cited in a piece of text, in order of first use
+function citedIds(text) {
+  const ids = [];
+  for (const match of text.matchAll(CITATION_PATTERN)) {
+    for (const part of match[1].split(/[,;]/)) {
+      const id = Number(part.trim());
+      if (!ids.includes(id)) ids.push(id);
+    }
+  }
+  return ids;
+}
+
+// A references section the model may write: a "## References" heading, or a
+// "**Sources:**" / "References:" line followed by a list
+const REFERENCE_HEADING = /^#{1,6}\s*(references|sources|citations)\s*:?\s*$/i;
+const REFERENCE_LABEL = /^(?:(\*\*|__|\*|_)(references|sources|citations)\s*:?\s*\1\s*:?|(references|sources|citations)\s*:)/i;
+const REFERENCE_ITEM = /^(?:[-*+]|\d+[.)]|\[\d+\])\s|^<?https?:\/\//;
+
+// Drop a references section the model wrote anyway, so it isn't listed twice.
+// A heading's section runs to the next heading; a label's to the end of the list
+// under it.
+function stripModelReferences(answer) {
+  const kept = [];
+  let skipping = null; // 'section' or 'list'
+  for (const line of answer.split('\n')) {
+    const trimmed = line.trim();
+    if (skipping === 'section' && !/^#{1,6}\s/.test(trimmed)) continue;
+    if (skipping === 'list' && (!trimmed || REFERENCE_ITEM.test(trimmed))) continue;
+    skipping = null;
+    if (REFERENCE_HEADING.test(trimmed)) {
+      skipping = 'section';
+    } else if (REFERENCE_LABEL.test(trimmed)) {
+      skipping = 'list';
+    } else {
+      kept.push(line);
+    }
+  }
+  return kept.join('\n').trimEnd();
+}
+
+// Sentences that state something: not headings, not questions, at least
+// MIN_CLAIM_WORDS words. The "Key Insights to Remember" summary restates the
+// answer and is skipped.
+function extractClaims(answer) {
+  const claims = [];
+  let inInsights = false;
+  for (const rawLine of answer.split('\n')) {
+    const line = rawLine.trim();
+    if (/^#{1,6}\s/.test(line)) {
+      inInsights = /key insights to remember/i.test(line);
+      continue;
+    }
+    if (inInsights || !line || /^(```|\|)/.test(line)) continue;
+    const text = line.replace(/^([-*+]|\d+[.)])\s+/, '').replace(/\*\*|__/g, '');
+    // Split after . ! ? (and any citations right after them) when a new sentence
+    // starts, so "3.5 hours" or "e.g. caffeine" stay in one piece
+    for (const sentence of text.split(/(?<=[.!?](?:\s*\[[\d,;\s]+\])*)\s+(?=[A-Z0-9"'(])/)) {
+      const trimmed = sentence.trim();
+      if (trimmed.endsWith('?')) continue;
+      if (trimmed.replace(CITATION_PATTERN, '').split(/\s+/).filter(Boolean).length < MIN_CLAIM_WORDS) continue;
+      claims.push(trimmed);
+    }
+  }
+  return claims;
+}
+
+// Post-check: which evidence was cited, which citations point at nothing and
+// which claims carry no citation
+function checkCitations(answer, evidence) {
+  const known = new Set(evidence.map(item => item.id));
+  const cited = citedIds(answer);
+  const claims = extractClaims(answer);
+  const uncitedClaims = claims.filter(claim => citedIds(claim).length === 0);
+  return {
+    evidenceCount: evidence.length,
+    citedIds: cited.filter(id => known.has(id)),
+    unknownCitations: cited.filter(id => !known.has(id)),
+    uncitedEvidence: evidence.filter(item => !cited.includes(item.id)).map(item => item.id),
+    claimCount: claims.length,
+    uncitedClaims,
+    ok: cited.every(id => known.has(id)) && uncitedClaims.length === 0
+  };
+}
+
+// The answer with a references section listing the cited evidence
+function appendReferences(answer, evidence, check) {
+  const lines = check.citedIds
+    .map(id => evidence.find(item => item.id === id))
+    .sort((a, b) => a.id - b.id)
+    .map(item => `[${item.id}] ${item.label}${item.url ? ` — ${item.url}` : ''}`);
+  const references = lines.length > 0 ? lines.join('\n') : '_No evidence was cited._';
+  return `${answer}\n\n## References\n\n${references}\n`;
+}
+
+// Markdown report of the post-check, for the job folder
+function formatCitationReport(check, evidence) {
+  const lines = ['# Citation Check', ''];
+  lines.push(`- Evidence items: ${check.evidenceCount}`);
+  lines.push(`- Cited: ${check.citedIds.length > 0 ? check.citedIds.map(id => `[${id}]`).join(' ') : 'none'}`);
+  lines.push(`- Claims checked: ${check.claimCount}, without a citation: ${check.uncitedClaims.length}`);
+  lines.push(`- Result: ${check.ok ? 'OK' : 'NEEDS REVIEW'}`);
+  if (check.unknownCitations.length > 0) {
+    lines.push('', '## Citations pointing at nothing', '');
+    check.unknownCitations.forEach(id => lines.push(`- [${id}]`));
+  }
+  if (check.uncitedClaims.length > 0) {
+    lines.push('', '## Claims without a citation', '');
+    check.uncitedClaims.forEach(claim => lines.push(`- ${claim}`));
+  }
+  lines.push('', '## Evidence', '');
+  evidence.forEach(item => {
+    lines.push(`- [${item.id}] ${item.label}${item.url ? ` — ${item.url}` : ''} (${item.kind}${item.credibility ? `, ${item.credibility}` : ''}${check.citedIds.includes(item.id) ? ', cited' : ''})`);
+  });
+  return lines.join('\n') + '\n';
+}
+
+module.exports = {
+  CITATION_RULES,
+  buildEvidence,
+  formatEvidenceForPrompt,
+  citedIds,
+  stripModelReferences,
+  checkCitations,
+  appendReferences,
+  formatCitationReport
+};
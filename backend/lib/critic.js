@@ -0,0 +1,306 @@
+// ============================================================================
+// CRITIC PASS
+// ============================================================================
+// An optional review of the final answer before it is saved. The critic model
+// gets the same numbered evidence the answer was written from, the draft, and
+// a few automatic checks, and replies with a verdict and a list of issues:
+//
+//   invented_number       a figure about the user that isn't in the Fitbit or
+//                         diary data (or can't be derived from it)
+//   unsupported_claim     a medical claim no evidence item backs
+//   memory_contradiction  something that contradicts a stored long-term memory
+//   missing_caveat        advice without the caveat it needs (see a doctor,
+//                         small sample, low-credibility source, ...)
+//   other                 anything else that makes the answer wrong or unsafe
+//
+// "approve" saves the draft as it is; "revise" asks the answering model for one
+// revision that fixes the listed issues. The revision is not critiqued again.
+// The critique goes to critique.md and the changes to final_answer.diff.
+
+const { citedIds } = require('./citations.js');
+
+const ISSUE_TYPES = ['invented_number', 'unsupported_claim', 'memory_contradiction', 'missing_caveat', 'other'];
+
+const CRITIQUE_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    verdict: { type: 'string', enum: ['approve', 'revise'] },
+    issues: {
+      type: 'array',
+      items: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+          type: { type: 'string', enum: ISSUE_TYPES },
+          severity: { type: 'string', enum: ['minor', 'major'] },
+          quote: { type: 'string' },
+          problem: { type: 'string' },
+          fix: { type: 'string' }
+        },
+        required: ['type', 'severity', 'quote', 'problem', 'fix']
+      }
+    },
+    summary: { type: 'string' }
+  },
+  required: ['verdict', 'issues', 'summary']
+};
+
+const CRITIC_SYSTEM_PROMPT = `You are a careful medical reviewer checking an AI-written health answer before the user sees it. You are given the numbered EVIDENCE the answer was written from and the DRAFT ANSWER.
+
+Check the draft for:
+- invented_number: any figure about the user (sleep minutes, steps, heart rate, scores, dates, averages) that is not in the Fitbit or diary evidence and cannot be derived from it (unit conversions and rounding are fine)
+- unsupported_claim: medical or scientific claims that no evidence item supports, or that cite an item which doesn't say it
+- memory_contradiction: statements that contradict a "Long-term memory" evidence item
+- missing_caveat: advice or conclusions without a needed caveat (see a doctor for worrying symptoms, one night of data, correlation is not causation, low-credibility sources)
+- other: anything else that is wrong, unsafe or misleading
+
+Quote the exact words from the draft for each issue and say how to fix it. Use "major" for issues that make the answer wrong or unsafe, "minor" for the rest.
+Reply "approve" if the draft can be shown as it is (minor issues only, or none), "revise" if it needs changes.
+Reply with only a JSON object: {"verdict": "approve" | "revise", "issues": [{"type", "severity", "quote", "problem", "fix"}], "summary": "one or two sentences"}.`;
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+
+// Same contract as the planner validators in structuredOutput.js:
+// { value, errors, warnings }, value null when there are errors. A draft
+// approved despite a major issue is revised anyway.
+function validateCritique(reply) {
+  const errors = [];
+  const warnings = [];
+  if (!reply || typeof reply !== 'object' || Array.isArray(reply)) {
+    return { value: null, errors: ['Reply must be a JSON object with "verdict", "issues" and "summary"'], warnings };
+  }
+  if (!['approve', 'revise'].includes(reply.verdict)) errors.push('"verdict" must be "approve" or "revise"');
+  if (!Array.isArray(reply.issues)) errors.push('"issues" must be an array (empty if there are none)');
+
+  const issues = [];
+  (Array.isArray(reply.issues) ? reply.issues : []).forEach((issue, i) => {
+    if (!issue || typeof issue !== 'object') {
+      errors.push(`"issues[${i}]" must be an object`);
+      return;
+    }
+    if (!isNonEmptyString(issue.problem)) {
+      errors.push(`"issues[${i}].problem" must say what is wrong`);
+      return;
+    }
+    issues.push({
+      type: ISSUE_TYPES.includes(issue.type) ? issue.type : 'other',
+      severity: issue.severity === 'major' ? 'major' : 'minor',
+      quote: isNonEmptyString(issue.quote) ? issue.quote.trim() : '',
+      problem: issue.problem.trim(),
+      fix: isNonEmptyString(issue.fix) ? issue.fix.trim() : ''
+    });
+  });
+  if (reply.verdict === 'revise' && Array.isArray(reply.issues) && reply.issues.length === 0) {
+    errors.push('"verdict" is "revise" but no issues are listed');
+  }
+  if (errors.length > 0) return { value: null, errors, warnings };
+
+  let verdict = reply.verdict;
+  if (verdict === 'approve' && issues.some(issue => issue.severity === 'major')) {
+    warnings.push('Approved despite a major issue; revising');
+    verdict = 'revise';
+  }
+  return {
+    value: { verdict, issues, summary: isNonEmptyString(reply.summary) ? reply.summary.trim() : '' },
+    errors,
+    warnings
+  };
+}
+
+// ----------------------------------------------------------------------------
+// Automatic checks handed to the critic
+// ----------------------------------------------------------------------------
+
+// "8,123" is a thousands separator, "7,5" a decimal comma
+const NUMBER_PATTERN = /(?<![\w.[])(?:\d{1,3}(?:,\d{3})+(?:\.\d+)?|\d+(?:[.,]\d+)?)(?![\w\]])/g;
+const toNumber = (text) => Number(/^\d{1,3}(,\d{3})+(\.\d+)?$/.test(text) ? text.replace(/,/g, '') : text.replace(',', '.'));
+
+// Every number in the evidence, plus the usual conversions of it (minutes to
+// hours, milliseconds to minutes and hours), so "7.5 hours" matches 450 minutes
+function evidenceNumbers(items) {
+  const numbers = new Set();
+  const add = (value) => {
+    if (!Number.isFinite(value)) return;
+    numbers.add(Math.round(value * 10) / 10);
+    numbers.add(Math.round(value));
+  };
+  for (const item of items) {
+    for (const match of item.content.matchAll(NUMBER_PATTERN)) {
+      const value = toNumber(match[0]);
+      add(value);
+      add(value / 60);
+      add(value / 60000);
+      add(value / 3600000);
+      add(value * 100); // ratios shown as percentages
+    }
+  }
+  return numbers;
+}
+
+// Numbers in sentences about the user ("you", "your" or a citation of Fitbit or
+// diary evidence) that don't appear in that evidence. Returns [{ number, sentence }].
+function findUnsupportedNumbers(answer, evidence) {
+  const personal = evidence.filter(item => item.kind === 'fitbit' || item.kind === 'diary');
+  const personalIds = new Set(personal.map(item => item.id));
+  const known = evidenceNumbers(personal);
+  const found = [];
+
+  for (const rawLine of answer.split('\n')) {
+    const line = rawLine.trim().replace(/^([-*+]|\d+[.)])\s+/, '');
+    if (!line || /^#{1,6}\s/.test(line)) continue;
+    for (const sentence of line.split(/(?<=[.!?])\s+(?=[A-Z0-9"'(])/)) {
+      const aboutUser = /\byou(r|rs)?\b/i.test(sentence) || citedIds(sentence).some(id => personalIds.has(id));
+      if (!aboutUser) continue;
+      for (const match of sentence.matchAll(NUMBER_PATTERN)) {
+        const value = toNumber(match[0]);
+        if (known.has(Number.isInteger(value) ? value : Math.round(value * 10) / 10)) continue;
+        found.push({ number: match[0], sentence: sentence.trim() });
+      }
+    }
+  }
+  return found;
+}
+
+// The critic's user message
+function buildCritiquePrompt({ originalQuery, evidenceText, draft, unsupportedNumbers, citationCheck }) {
+  const checks = [];
+  if (unsupportedNumbers.length > 0) {
+    checks.push('Numbers about the user that were not found in the Fitbit or diary evidence (check whether they are derived or invented):');
+    unsupportedNumbers.forEach(({ number, sentence }) => checks.push(`- ${number}: "${sentence}"`));
+  }
+  if (citationCheck && citationCheck.uncitedClaims.length > 0) {
+    checks.push('Sentences without a citation:');
+    citationCheck.uncitedClaims.forEach(claim => checks.push(`- "${claim}"`));
+  }
+  if (citationCheck && citationCheck.unknownCitations.length > 0) {
+    checks.push(`Citations that point at no evidence item: ${citationCheck.unknownCitations.map(id => `[${id}]`).join(' ')}`);
+  }
+
+  return `ORIGINAL QUESTION: ${originalQuery}
+
+EVIDENCE:
+${evidenceText}
+
+DRAFT ANSWER:
+${draft}
+
+AUTOMATIC CHECKS:
+${checks.length > 0 ? checks.join('\n') : 'Nothing flagged.'}
+
+Review the draft and reply with the JSON object.`;
+}
+
+// Appended to the final response instructions for the one revision
+function buildRevisionRequest(draft, critique) {
+  const issues = critique.issues.map((issue, i) =>
+    `${i + 1}. [${issue.severity}, ${issue.type}]${issue.quote ? ` "${issue.quote}"` : ''}: ${issue.problem}${issue.fix ? ` Fix: ${issue.fix}` : ''}`
+  );
+  return `A reviewer checked your draft answer against the evidence and found these problems:
+${issues.join('\n')}
+
+Your draft answer:
+${draft}
+
+Rewrite the complete answer so that every problem above is fixed. Remove or correct anything the evidence does not support rather than defending it. Keep everything else, including the [n] citations, the structure and the "Key Insights to Remember" section.`;
+}
+
+// ----------------------------------------------------------------------------
+// Saved output
+// ----------------------------------------------------------------------------
+
+// Line diff of two texts in unified style, with runs of more than 2x CONTEXT
+// unchanged lines collapsed
+const DIFF_CONTEXT = 3;
+
+function diffLines(before, after, { fromLabel = 'draft', toLabel = 'revised' } = {}) {
+  const a = before.split('\n');
+  const b = after.split('\n');
+  // Longest common subsequence table, filled from the end
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      lines.push(` ${a[i]}`);
+      i++;
+      j++;
+    } else if (i < a.length && (j >= b.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+      lines.push(`-${a[i]}`);
+      i++;
+    } else {
+      lines.push(`+${b[j]}`);
+      j++;
+    }
+  }
+
+  const output = [`--- ${fromLabel}`, `+++ ${toLabel}`];
+  let run = [];
+  const flush = (atEnd) => {
+    const head = output.length > 2 ? run.slice(0, DIFF_CONTEXT) : [];
+    const tail = atEnd ? [] : run.slice(-DIFF_CONTEXT);
+    if (run.length > head.length + tail.length) {
+      output.push(...head, `@@ ${run.length - head.length - tail.length} unchanged lines @@`, ...tail);
+    } else {
+      output.push(...run);
+    }
+    run = [];
+  };
+  for (const line of lines) {
+    if (line.startsWith(' ')) {
+      run.push(line);
+      continue;
+    }
+    flush(false);
+    output.push(line);
+  }
+  flush(true);
+  return output.join('\n') + '\n';
+}
+
+// critique.md for the job folder. outcome is "approved", "revised",
+// "revision failed" or "critic unavailable".
+function formatCritiqueReport({ critique, outcome, model, revisionModel, unsupportedNumbers, warnings = [], error = null }) {
+  const lines = ['# Critique', ''];
+  lines.push(`- Outcome: ${outcome}`);
+  if (model) lines.push(`- Critic model: ${model}`);
+  if (revisionModel) lines.push(`- Revision model: ${revisionModel}`);
+  if (error) lines.push(`- Error: ${error}`);
+  if (critique) {
+    lines.push(`- Verdict: ${critique.verdict}`);
+    lines.push(`- Issues: ${critique.issues.length} (${critique.issues.filter(issue => issue.severity === 'major').length} major)`);
+    if (critique.summary) lines.push('', critique.summary);
+  }
+  warnings.forEach(warning => lines.push(`- Warning: ${warning}`));
+
+  if (critique && critique.issues.length > 0) {
+    lines.push('', '## Issues', '');
+    critique.issues.forEach((issue, i) => {
+      lines.push(`${i + 1}. **${issue.type}** (${issue.severity})${issue.quote ? ` — "${issue.quote}"` : ''}`);
+      lines.push(`   ${issue.problem}`);
+      if (issue.fix) lines.push(`   Fix: ${issue.fix}`);
+    });
+  }
+  if (unsupportedNumbers.length > 0) {
+    lines.push('', '## Numbers not found in the Fitbit or diary data', '');
+    unsupportedNumbers.forEach(({ number, sentence }) => lines.push(`- ${number}: "${sentence}"`));
+  }
+  return lines.join('\n') + '\n';
+}
+
+module.exports = {
+  CRITIQUE_SCHEMA,
+  CRITIC_SYSTEM_PROMPT,
+  validateCritique,
+  findUnsupportedNumbers,
+  buildCritiquePrompt,
+  buildRevisionRequest,
+  diffLines,
+  formatCritiqueReport
+};
@@ -0,0 +1,122 @@
+// ============================================================================
+// PER-JOB BUDGETS
+// ============================================================================
+// Hard limits on how much work one job may do: plan rewrites, LLM calls, search
+// calls and wall-clock time. Defaults come from the environment and a request can
+// override any of them. executeJsonActions checks the budget between actions and
+// before adding an action to a parallel batch; once a limit is hit it stops
+// starting new actions and goes straight to formulate_response with what it has.
+// Inside an action (and while planning) the LLM fallback loops check maxLlmCalls
+// before every model attempt, and a timer interrupts in-flight work when
+// maxDurationSeconds runs out (see startJobBudget in api/index.js).
+
+// Limit name -> env var holding its default. A limit of null means unlimited.
+const BUDGET_LIMITS = {
+  maxPlanRewrites: 'JOB_MAX_PLAN_REWRITES',       // check_and_update_plan rewrites applied
+  maxLlmCalls: 'JOB_MAX_LLM_CALLS',               // every model attempt, including fallbacks
+  maxSearchCalls: 'JOB_MAX_SEARCH_CALLS',         // web searches (cached and local ones don't count)
+  maxDurationSeconds: 'JOB_MAX_DURATION_SECONDS'  // time spent running (not queued or awaiting approval)
+};
+
+const FALLBACK_DEFAULTS = {
+  maxPlanRewrites: 3,
+  maxLlmCalls: 40,
+  maxSearchCalls: 20,
+  maxDurationSeconds: 900
+};
+
+// Thrown for a per-request override that isn't a non-negative integer or null
+class BudgetValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'BudgetValidationError';
+  }
+}
+
+// Env values: a non-negative integer, or "off"/"none" for unlimited. Anything
+// else falls back to the built-in default.
+function readEnvLimit(name) {
+  const raw = process.env[BUDGET_LIMITS[name]];
+  if (raw === undefined || raw.trim() === '') return FALLBACK_DEFAULTS[name];
+  if (['off', 'none', 'unlimited'].includes(raw.trim().toLowerCase())) return null;
+  const value = Number(raw);
+  if (Number.isInteger(value) && value >= 0) return value;
+  console.warn(`[Budget] Ignoring invalid ${BUDGET_LIMITS[name]}="${raw}"`);
+  return FALLBACK_DEFAULTS[name];
+}
+
+function defaultBudget() {
+  const budget = {};
+  for (const name of Object.keys(BUDGET_LIMITS)) budget[name] = readEnvLimit(name);
+  return budget;
+}
+
+// Merge a request's overrides into the defaults. Unknown keys and invalid values
+// throw, so a typo doesn't silently leave a job unbounded.
+function resolveBudget(overrides) {
+  const budget = defaultBudget();
+  if (overrides === undefined || overrides === null) return budget;
+  if (typeof overrides !== 'object' || Array.isArray(overrides)) {
+    throw new BudgetValidationError('budget must be an object');
+  }
+  for (const [name, value] of Object.entries(overrides)) {
+    if (!(name in BUDGET_LIMITS)) {
+      throw new BudgetValidationError(`Unknown budget limit "${name}" (expected ${Object.keys(BUDGET_LIMITS).join(', ')})`);
+    }
+    if (value !== null && !(Number.isInteger(value) && value >= 0)) {
+      throw new BudgetValidationError(`${name} must be a non-negative integer, or null for unlimited`);
+    }
+    budget[name] = value;
+  }
+  return budget;
+}
+
+// Milliseconds the job has spent actually running, from its manifest history.
+// Waiting in the queue or for a plan decision doesn't count.
+function activeElapsedMs(manifest, now = Date.now()) {
+  const history = manifest?.history || [];
+  let total = 0;
+  history.forEach((entry, i) => {
+    if (entry.state === 'queued' || entry.state === 'awaiting_approval') return;
+    const start = Date.parse(entry.at);
+    const end = i + 1 < history.length ? Date.parse(history[i + 1].at) : now;
+    if (Number.isFinite(start) && Number.isFinite(end)) total += Math.max(0, end - start);
+  });
+  return total;
+}
+
+// Compare what the job has used against its budget. Returns the first limit hit
+// as { limit, used, max }, or null while everything is within budget.
+//   usage: { planRewrites, llmCalls, searchCalls, elapsedMs }
+function checkBudget(budget, usage) {
+  const checks = [
+    // A rewrite beyond the allowance has already been produced when this trips
+    ['maxPlanRewrites', usage.planRewrites, (used, max) => used > max],
+    ['maxLlmCalls', usage.llmCalls, (used, max) => used >= max],
+    ['maxSearchCalls', usage.searchCalls, (used, max) => used >= max],
+    ['maxDurationSeconds', Math.floor((usage.elapsedMs || 0) / 1000), (used, max) => used >= max]
+  ];
+  for (const [limit, used, exceeded] of checks) {
+    const max = budget[limit];
+    if (max === null || max === undefined) continue;
+    if (exceeded(used || 0, max)) return { limit, used: used || 0, max };
+  }
+  return null;
+}
+
+// Whether work expected to make `expected` more calls ({ llmCalls, searchCalls },
+// e.g. from actionRegistry.estimateCalls) stays within the call limits
+function fitsBudget(budget, usage, expected) {
+  const fits = (limit, used, more) =>
+    budget[limit] === null || budget[limit] === undefined || (used || 0) + (more || 0) <= budget[limit];
+  return fits('maxLlmCalls', usage.llmCalls, expected.llmCalls) && fits('maxSearchCalls', usage.searchCalls, expected.searchCalls);
+}
+
+module.exports = {
+  BUDGET_LIMITS,
+  BudgetValidationError,
+  resolveBudget,
+  activeElapsedMs,
+  checkBudget,
+  fitsBudget
+};
@@ -0,0 +1,94 @@
+// ============================================================================
+// JOB CANCELLATION CONTROL
+// ============================================================================
+// Each running job owns an AbortController. Its signal is handed to every
+// outbound request the job makes (OpenRouter, Jina, Google, Fitbit), so
+// cancelling a job aborts whatever is in flight, and the executor loop checks
+// it between actions. Interrupting a job aborts what is in flight but lets the
+// job carry on with a new signal.
+
+// key: jobId, value: { controller, reason }
+const runningJobs = new Map();
+
+// Thrown by pipeline stages when they notice the job was cancelled
+class JobCancelledError extends Error {
+  constructor(jobId, reason) {
+    super(reason || `Job ${jobId} was cancelled`);
+    this.name = 'JobCancelledError';
+    this.jobId = jobId;
+  }
+}
+
+// Create (or return) the controller for a job that is about to run
+function registerJob(jobId) {
+  const key = String(jobId);
+  if (!runningJobs.has(key)) {
+    runningJobs.set(key, { controller: new AbortController(), reason: null });
+  }
+  return runningJobs.get(key).controller.signal;
+}
+
+// Forget a job once its pipeline has finished
+function releaseJob(jobId) {
+  runningJobs.delete(String(jobId));
+}
+
+function isJobRunning(jobId) {
+  return runningJobs.has(String(jobId));
+}
+
+// Signal for a job's outbound requests (undefined when the job isn't running)
+function getJobSignal(jobId) {
+  return runningJobs.get(String(jobId))?.controller.signal;
+}
+
+function isJobCancelled(jobId) {
+  return !!getJobSignal(jobId)?.aborted;
+}
+
+function getCancelReason(jobId) {
+  return runningJobs.get(String(jobId))?.reason || null;
+}
+
+// Abort a running job. Returns false if the job isn't running in this process.
+function cancelJob(jobId, reason = 'Cancelled by user') {
+  const entry = runningJobs.get(String(jobId));
+  if (!entry) return false;
+  if (!entry.controller.signal.aborted) {
+    entry.reason = reason;
+    entry.controller.abort(new JobCancelledError(jobId, reason));
+  }
+  return true;
+}
+
+// Abort whatever a job has in flight without cancelling the job: the current
+// signal is aborted and later requests get a fresh one. Used when a budget runs
+// out mid-action. Returns false if the job isn't running in this process.
+function interruptJob(jobId, reason) {
+  const entry = runningJobs.get(String(jobId));
+  if (!entry || entry.controller.signal.aborted) return false;
+  const interrupted = entry.controller;
+  entry.controller = new AbortController();
+  interrupted.abort(new Error(reason || `Job ${jobId} was interrupted`));
+  return true;
+}
+
+// Throw if the job has been cancelled (used at checkpoints between stages)
+function throwIfCancelled(jobId) {
+  if (isJobCancelled(jobId)) {
+    throw new JobCancelledError(jobId, getCancelReason(jobId));
+  }
+}
+
+module.exports = {
+  JobCancelledError,
+  registerJob,
+  releaseJob,
+  isJobRunning,
+  getJobSignal,
+  isJobCancelled,
+  getCancelReason,
+  cancelJob,
+  interruptJob,
+  throwIfCancelled
+};
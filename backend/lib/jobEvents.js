@@ -0,0 +1,78 @@
+// ============================================================================
+// JOB PROGRESS EVENTS
+// ============================================================================
+// Pipeline progress (breakdown done, plan saved, action started/retried/...)
+// is published here. Every event is appended to the job folder's events.jsonl
+// so late subscribers - or anyone after a server restart - can replay what
+// already happened before following the live stream.
+
+const fs = require('fs-extra');
+const path = require('path');
+const { EventEmitter } = require('events');
+
+const EVENTS_FILENAME = 'events.jsonl';
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0); // One listener per open SSE connection
+
+// Last event id handed out per job folder (ids are per job, starting at 1)
+const lastEventIds = new Map();
+
+function eventsPath(folderPath) {
+  return path.join(folderPath, EVENTS_FILENAME);
+}
+
+// Read all events recorded for a job, oldest first
+function readJobEvents(folderPath) {
+  try {
+    return fs.readFileSync(eventsPath(folderPath), 'utf8')
+      .split('\n')
+      .filter(line => line.trim())
+      .map(line => {
+        try { return JSON.parse(line); } catch (e) { return null; }
+      })
+      .filter(Boolean);
+  } catch (e) {
+    return [];
+  }
+}
+
+function nextEventId(folderPath) {
+  if (!lastEventIds.has(folderPath)) {
+    const existing = readJobEvents(folderPath);
+    lastEventIds.set(folderPath, existing.length ? existing[existing.length - 1].id : 0);
+  }
+  const id = lastEventIds.get(folderPath) + 1;
+  lastEventIds.set(folderPath, id);
+  return id;
+}
+
+// Record an event for a job and notify live subscribers
+function emitJobEvent(folderPath, jobId, type, data = {}) {
+  const event = {
+    id: nextEventId(folderPath),
+    type,
+    at: new Date().toISOString(),
+    data
+  };
+  try {
+    fs.appendFileSync(eventsPath(folderPath), JSON.stringify(event) + '\n');
+  } catch (e) {
+    console.warn(`[Job ${jobId}] Failed to persist ${type} event:`, e.message);
+  }
+  emitter.emit(String(jobId), event);
+  return event;
+}
+
+// Follow live events for a job. Returns an unsubscribe function.
+function subscribeJobEvents(jobId, listener) {
+  emitter.on(String(jobId), listener);
+  return () => emitter.off(String(jobId), listener);
+}
+
+module.exports = {
+  EVENTS_FILENAME,
+  emitJobEvent,
+  readJobEvents,
+  subscribeJobEvents
+};
@@ -0,0 +1,115 @@
+// ============================================================================
+// DURABLE JOB QUEUE
+// ============================================================================
+// Jobs submitted to /process-and-save are written to a small JSON file before
+// they run, and only removed once their pipeline finishes. A fixed number of
+// workers pull from it, so ten submissions no longer mean ten pipelines
+// hitting rate-limited APIs at once. If the server restarts, entries that were
+// still marked "running" are handed back with resume: true so the pipeline can
+// pick up from its saved checkpoint.
+
+const fs = require('fs-extra');
+
+function createJobQueue({ filePath, concurrency = 1, runJob }) {
+  let entries = loadEntries();
+  const active = new Set(); // jobIds currently being worked on in this process
+
+  function loadEntries() {
+    try {
+      const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      return Array.isArray(data.entries) ? data.entries : [];
+    } catch (e) {
+      return [];
+    }
+  }
+
+  // Write via temp file + rename so a crash can't corrupt the queue
+  function persist() {
+    const tmp = `${filePath}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ updatedAt: new Date().toISOString(), entries }, null, 2));
+    fs.renameSync(tmp, filePath);
+  }
+
+  // Start as many pending jobs as the concurrency limit allows
+  function pump() {
+    while (active.size < concurrency) {
+      const next = entries.find(e => e.status === 'pending');
+      if (!next) break;
+
+      next.status = 'running';
+      next.startedAt = new Date().toISOString();
+      active.add(next.jobId);
+      persist();
+
+      Promise.resolve()
+        .then(() => runJob(next))
+        .catch(err => console.error(`[Queue] Job ${next.jobId} crashed:`, err))
+        .finally(() => {
+          active.delete(next.jobId);
+          entries = entries.filter(e => e.jobId !== next.jobId);
+          persist();
+          pump();
+        });
+    }
+  }
+
+  // Add a job and return its position (1 = next to run, 0 = already running)
+  function enqueue(jobId, payload = {}, extra = {}) {
+    entries.push({
+      jobId,
+      payload,
+      status: 'pending',
+      resume: false,
+      enqueuedAt: new Date().toISOString(),
+      ...extra
+    });
+    persist();
+    pump();
+    return position(jobId);
+  }
+
+  // Drop a job that hasn't started yet. Returns false if it isn't pending.
+  function remove(jobId) {
+    const entry = entries.find(e => e.jobId === jobId);
+    if (!entry || entry.status !== 'pending') return false;
+    entries = entries.filter(e => e !== entry);
+    persist();
+    return true;
+  }
+
+  // 1-based position among pending jobs, 0 while running, null if not queued
+  function position(jobId) {
+    const entry = entries.find(e => e.jobId === jobId);
+    if (!entry) return null;
+    if (entry.status === 'running') return 0;
+    return entries.filter(e => e.status === 'pending').indexOf(entry) + 1;
+  }
+
+  function stats() {
+    return {
+      concurrency,
+      running: entries.filter(e => e.status === 'running').length,
+      pending: entries.filter(e => e.status === 'pending').length
+    };
+  }
+
+  // Recover jobs interrupted by a restart, then start working.
+  // onRecover(entry) runs for each job that was mid-flight.
+  function start(onRecover = () => {}) {
+    const interrupted = entries.filter(e => e.status === 'running' && !active.has(e.jobId));
+    for (const entry of interrupted) {
+      entry.status = 'pending';
+      entry.resume = true;
+      entry.recoveredAt = new Date().toISOString();
+      onRecover(entry);
+    }
+    // Interrupted jobs go first - they were already being worked on
+    entries = [...interrupted, ...entries.filter(e => !interrupted.includes(e))];
+    persist();
+    pump();
+  }
+
+  return { enqueue, remove, position, stats, start };
+}
+
+module.exports = { createJobQueue };
@@ -0,0 +1,180 @@
+// ============================================================================
+// JOB STATE MACHINE
+// ============================================================================
+// Every job folder under ai_outputs/ carries a job.json manifest that records
+// where the pipeline is in its lifecycle. processAndCritique and
+// executeJsonActions move the job through these states; the status endpoint
+// just reads the manifest back.
+
+const fs = require('fs-extra');
+const path = require('path');
+const { emitJobEvent } = require('./jobEvents.js');
+
+const MANIFEST_FILENAME = 'job.json';
+
+// Lifecycle states, in the order a healthy job normally visits them
+const JOB_STATES = [
+  'queued',        // Accepted, waiting for the pipeline to pick it up
+  'breakdown',     // Task Breakdown AI is splitting the query into steps
+  'planning',      // JSON Executor is turning the steps into actions
+  'awaiting_approval', // Paused until a person approves, edits or rejects the plan
+  'executing',     // Research / data actions are running
+  'synthesizing',  // synthesize or formulate_response actions are running
+  'completed',
+  'failed',
+  'cancelled'
+];
+
+const TERMINAL_STATES = new Set(['completed', 'failed', 'cancelled']);
+
+// Which states each state may move to. Anything not listed is rejected so the
+// reported lifecycle can't go backwards (e.g. completed -> executing).
+// Active states may fall back to "queued" when a restart interrupts them, and a
+// re-queued job may go straight to "executing" when it resumes from a checkpoint.
+// Plan-only jobs finish straight from "planning". A job waiting for plan approval
+// goes back to "queued" once a decision is made.
+const ALLOWED_TRANSITIONS = {
+  queued: ['breakdown', 'executing', 'failed', 'cancelled'],
+  breakdown: ['planning', 'queued', 'failed', 'cancelled'],
+  planning: ['executing', 'awaiting_approval', 'queued', 'completed', 'failed', 'cancelled'],
+  awaiting_approval: ['queued', 'failed', 'cancelled'],
+  executing: ['synthesizing', 'awaiting_approval', 'queued', 'completed', 'failed', 'cancelled'],
+  synthesizing: ['executing', 'queued', 'completed', 'failed', 'cancelled'],
+  completed: [],
+  failed: [],
+  cancelled: []
+};
+
+// In-process cache so frequent updates don't re-read the file each time
+const manifestCache = new Map(); // key: folderPath, value: manifest object
+
+function manifestPath(folderPath) {
+  return path.join(folderPath, MANIFEST_FILENAME);
+}
+
+// Write via a temp file + rename so a crash never leaves half a manifest behind
+function persistManifest(folderPath, manifest) {
+  manifest.updatedAt = new Date().toISOString();
+  const target = manifestPath(folderPath);
+  const tmp = `${target}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(manifest, null, 2));
+  fs.renameSync(tmp, target);
+  manifestCache.set(folderPath, manifest);
+  return manifest;
+}
+
+// Create the manifest for a freshly accepted job
+function createJobManifest(folderPath, jobId, details = {}) {
+  const now = new Date().toISOString();
+  const manifest = {
+    jobId,
+    state: 'queued',
+    query: details.query ?? null,
+    userContext: details.userContext ?? null,
+    createdAt: now,
+    updatedAt: now,
+    startedAt: null,
+    finishedAt: null,
+    currentAction: null,    // { index, type, priority, startedAt } of the latest action started
+    runningActions: [],     // every action in flight when several run in parallel
+    totalActions: 0,
+    completedActions: 0,
+    failureReason: null,
+    history: [{ state: 'queued', at: now }]
+  };
+  persistManifest(folderPath, manifest);
+  emitJobEvent(folderPath, jobId, 'state', { state: 'queued', terminal: false });
+  return manifest;
+}
+
+// Read the manifest (cached copy first, then disk). Returns null if missing.
+function readJobManifest(folderPath) {
+  if (manifestCache.has(folderPath)) return manifestCache.get(folderPath);
+  try {
+    const manifest = JSON.parse(fs.readFileSync(manifestPath(folderPath), 'utf8'));
+    manifestCache.set(folderPath, manifest);
+    return manifest;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Merge non-state fields (counters, current action, ...) into the manifest
+function updateJobManifest(folderPath, patch = {}) {
+  const manifest = readJobManifest(folderPath);
+  if (!manifest) return null;
+  Object.assign(manifest, patch);
+  return persistManifest(folderPath, manifest);
+}
+
+// Move the job to a new lifecycle state. Invalid transitions are logged and
+// ignored so a late update can never rewrite a finished job's outcome.
+function transitionJob(folderPath, nextState, details = {}) {
+  const manifest = readJobManifest(folderPath);
+  if (!manifest) return null;
+  if (!JOB_STATES.includes(nextState)) {
+    console.warn(`[Job ${manifest.jobId}] Unknown job state: ${nextState}`);
+    return manifest;
+  }
+  if (manifest.state === nextState) return manifest;
+  if (!ALLOWED_TRANSITIONS[manifest.state]?.includes(nextState)) {
+    console.warn(`[Job ${manifest.jobId}] Ignoring invalid state transition ${manifest.state} -> ${nextState}`);
+    return manifest;
+  }
+
+  const now = new Date().toISOString();
+  manifest.state = nextState;
+  if (!manifest.startedAt && nextState !== 'queued') manifest.startedAt = now;
+  if (TERMINAL_STATES.has(nextState)) {
+    manifest.finishedAt = now;
+    manifest.currentAction = null;
+    manifest.runningActions = [];
+  }
+  if (nextState === 'failed' || nextState === 'cancelled') {
+    manifest.failureReason = details.reason || manifest.failureReason || null;
+  }
+  manifest.history.push({ state: nextState, at: now, ...(details.reason ? { reason: details.reason } : {}) });
+  persistManifest(folderPath, manifest);
+  // State changes are part of the job's progress stream
+  emitJobEvent(folderPath, manifest.jobId, 'state', {
+    state: nextState,
+    terminal: TERMINAL_STATES.has(nextState),
+    ...(details.reason ? { reason: details.reason } : {})
+  });
+  return manifest;
+}
+
+// Shape the manifest for API responses (adds elapsed time)
+function describeJob(manifest) {
+  const start = Date.parse(manifest.createdAt);
+  const end = manifest.finishedAt ? Date.parse(manifest.finishedAt) : Date.now();
+  return {
+    jobId: manifest.jobId,
+    state: manifest.state,
+    terminal: TERMINAL_STATES.has(manifest.state),
+    currentAction: manifest.currentAction,
+    runningActions: manifest.runningActions || [],
+    totalActions: manifest.totalActions,
+    completedActions: manifest.completedActions,
+    elapsedMs: Number.isFinite(start) ? Math.max(0, end - start) : null,
+    failureReason: manifest.failureReason,
+    pendingApproval: manifest.pendingApproval || null,
+    budget: manifest.budget || null,
+    budgetExhausted: manifest.budgetExhausted || null, // { limit, used, max, at } once a limit is hit
+    createdAt: manifest.createdAt,
+    startedAt: manifest.startedAt,
+    finishedAt: manifest.finishedAt,
+    history: manifest.history
+  };
+}
+
+module.exports = {
+  MANIFEST_FILENAME,
+  JOB_STATES,
+  TERMINAL_STATES,
+  createJobManifest,
+  readJobManifest,
+  updateJobManifest,
+  transitionJob,
+  describeJob
+};
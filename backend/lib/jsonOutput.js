@@ -0,0 +1,357 @@
+// ============================================================================
+// JSON MODEL OUTPUT
+// ============================================================================
+// Turns what a model sent back for a JSON call into a value, and checks it
+// against the JSON schema the call asked for. Many free models ignore
+// response_format: they wrap the object in ```json fences or a sentence of
+// prose, leave trailing commas, use single quotes or Python's True/None, or
+// stop before the last closing brace. Those defects are repaired here rather
+// than costing another model call. What still doesn't fit the schema comes back
+// as a list of errors ("actions[2].priority: expected integer, got string") for
+// a targeted re-prompt.
+//
+// Schema-guided fixes are limited to ones that can't change the meaning: "3" ->
+// 3 for integer fields, "true" -> true for booleans, and dropping properties a
+// schema with additionalProperties: false doesn't allow.
+//
+// The validator covers the JSON schema keywords our schemas use: type (incl.
+// type lists), enum, const, properties, required, additionalProperties, items,
+// minItems/maxItems, minimum/maximum, minLength/maxLength, oneOf and anyOf.
+
+const MAX_ERRORS = 20; // listed in a re-prompt; more than this is noise
+
+// ----------------------------------------------------------------------------
+// Syntax: extract and repair
+// ----------------------------------------------------------------------------
+
+// The JSON inside a ```json fence, or from the first { or [ to its matching
+// closer (or the end of the text, if the reply was cut off)
+function extractJsonText(text) {
+  const fenced = text.match(/```(?:json|JSON)?\s*\n?([\s\S]*?)(?:```|$)/);
+  const body = fenced && /[{[]/.test(fenced[1]) ? fenced[1] : text;
+  const start = body.search(/[{[]/);
+  if (start === -1) return body.trim();
+
+  const stack = [];
+  let quote = null;
+  for (let i = start; i < body.length; i++) {
+    const char = body[i];
+    if (quote) {
+      if (char === '\\') i++;
+      else if (char === quote) quote = null;
+      continue;
+    }
+    if (char === '"' || char === "'") quote = char;
+    else if (char === '{' || char === '[') stack.push(char);
+    else if (char === '}' || char === ']') {
+      stack.pop();
+      if (stack.length === 0) return body.slice(start, i + 1);
+    }
+  }
+  return body.slice(start).trim();
+}
+
+// One pass over the text outside strings: single-quoted strings become
+// double-quoted, comments go, Python literals and unquoted keys are fixed,
+// trailing commas are removed and anything left open is closed.
+function repairJsonText(text) {
+  const repairs = new Set();
+  let out = '';
+  const stack = [];
+  let i = 0;
+
+  const readString = (quote) => {
+    let value = '';
+    i++;
+    while (i < text.length && text[i] !== quote) {
+      if (text[i] === '\\' && i + 1 < text.length) {
+        // \' only exists in single-quoted strings
+        value += text[i + 1] === "'" ? "'" : text[i] + text[i + 1];
+        i += 2;
+        continue;
+      }
+      if (text[i] === '\n') {
+        value += '\\n';
+        repairs.add('escaped line breaks inside strings');
+        i++;
+        continue;
+      }
+      if (quote === "'" && text[i] === '"') value += '\\"';
+      else value += text[i];
+      i++;
+    }
+    if (i >= text.length) repairs.add('closed an unterminated string');
+    i++;
+    return `"${value}"`;
+  };
+
+  while (i < text.length) {
+    const char = text[i];
+    if (char === '"' || char === "'") {
+      if (char === "'") repairs.add('replaced single quotes');
+      out += readString(char);
+      continue;
+    }
+    if (char === '“' || char === '”') {
+      repairs.add('replaced curly quotes');
+      const end = text.indexOf('”', i + 1);
+      const value = text.slice(i + 1, end === -1 ? text.length : end);
+      out += JSON.stringify(value);
+      i = end === -1 ? text.length : end + 1;
+      continue;
+    }
+    if (char === '/' && text[i + 1] === '/') {
+      repairs.add('removed comments');
+      while (i < text.length && text[i] !== '\n') i++;
+      continue;
+    }
+    if (char === '/' && text[i + 1] === '*') {
+      repairs.add('removed comments');
+      const end = text.indexOf('*/', i + 2);
+      i = end === -1 ? text.length : end + 2;
+      continue;
+    }
+    if (char === '{' || char === '[') stack.push(char === '{' ? '}' : ']');
+    if (char === '}' || char === ']') {
+      if (/,\s*$/.test(out)) {
+        out = out.replace(/,\s*$/, '');
+        repairs.add('removed trailing commas');
+      }
+      stack.pop();
+    }
+    const word = text.slice(i).match(/^[A-Za-z_$][\w$]*/);
+    if (word) {
+      const literal = { True: 'true', False: 'false', None: 'null', undefined: 'null', NaN: 'null' }[word[0]];
+      if (literal) {
+        repairs.add('replaced non-JSON literals');
+        out += literal;
+      } else if (/^\s*:/.test(text.slice(i + word[0].length)) && /[{,]\s*$/.test(out)) {
+        repairs.add('quoted bare keys');
+        out += `"${word[0]}"`;
+      } else {
+        out += word[0];
+      }
+      i += word[0].length;
+      continue;
+    }
+    out += char;
+    i++;
+  }
+
+  if (stack.length > 0) {
+    out = out.replace(/[,:\s]+$/, '') + stack.reverse().join('');
+    repairs.add('closed unbalanced brackets');
+  }
+  return { text: out, repairs: [...repairs] };
+}
+
+// content -> { value, text, repairs, parseError }. value is undefined when
+// nothing could be parsed; parseError is the error for the reply as sent.
+function parseModelJson(content) {
+  const raw = typeof content === 'string' ? content.trim() : JSON.stringify(content ?? '');
+  try {
+    return { value: JSON.parse(raw), text: raw, repairs: [], parseError: null };
+  } catch (error) {
+    const parseError = error.message;
+    const repairs = [];
+    const extracted = extractJsonText(raw.replace(/^\uFEFF/, ''));
+    if (extracted !== raw) repairs.push('extracted JSON from surrounding text');
+    try {
+      return { value: JSON.parse(extracted), text: extracted, repairs, parseError };
+    } catch (e) {
+      const repaired = repairJsonText(extracted);
+      try {
+        return { value: JSON.parse(repaired.text), text: repaired.text, repairs: [...repairs, ...repaired.repairs], parseError };
+      } catch (stillBroken) {
+        return { value: undefined, text: repaired.text, repairs: [...repairs, ...repaired.repairs], parseError };
+      }
+    }
+  }
+}
+
+// ----------------------------------------------------------------------------
+// Schema: validate and coerce
+// ----------------------------------------------------------------------------
+
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+};
+
+const matchesType = (value, type) => {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+};
+
+const describePath = (path) => path || 'reply';
+
+// Errors for value against schema, each "path: problem"
+function validateAgainstSchema(value, schema, path = '') {
+  if (!schema || typeof schema !== 'object') return [];
+  const errors = [];
+  const at = describePath(path);
+
+  if (schema.oneOf || schema.anyOf) {
+    const branches = schema.oneOf || schema.anyOf;
+    const results = branches.map(branch => validateAgainstSchema(value, branch, path));
+    const passing = results.filter(result => result.length === 0).length;
+    if (passing === 0) {
+      // Report the branch that came closest, e.g. the action whose "type" matched
+      const closest = results.reduce((best, result) => (result.length < best.length ? result : best));
+      errors.push(`${at}: does not match any allowed shape`, ...closest);
+    } else if (schema.oneOf && passing > 1) {
+      errors.push(`${at}: matches more than one allowed shape`);
+    }
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      errors.push(`${at}: expected ${types.join(' or ')}, got ${typeOf(value)}`);
+      return errors;
+    }
+  }
+  if (schema.enum && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+    errors.push(`${at}: must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+  }
+  if ('const' in schema && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+    errors.push(`${at}: must be ${JSON.stringify(schema.const)}`);
+  }
+
+  if (typeof value === 'number') {
+    if (typeof schema.minimum === 'number' && value < schema.minimum) errors.push(`${at}: must be at least ${schema.minimum}`);
+    if (typeof schema.maximum === 'number' && value > schema.maximum) errors.push(`${at}: must be at most ${schema.maximum}`);
+  }
+  if (typeof value === 'string') {
+    if (typeof schema.minLength === 'number' && value.length < schema.minLength) errors.push(`${at}: must be at least ${schema.minLength} characters`);
+    if (typeof schema.maxLength === 'number' && value.length > schema.maxLength) errors.push(`${at}: must be at most ${schema.maxLength} characters`);
+  }
+
+  if (Array.isArray(value)) {
+    if (typeof schema.minItems === 'number' && value.length < schema.minItems) errors.push(`${at}: needs at least ${schema.minItems} items`);
+    if (typeof schema.maxItems === 'number' && value.length > schema.maxItems) errors.push(`${at}: allows at most ${schema.maxItems} items`);
+    if (schema.items) {
+      value.forEach((item, index) => errors.push(...validateAgainstSchema(item, schema.items, `${path}[${index}]`)));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    for (const name of schema.required || []) {
+      if (!(name in value)) errors.push(`${path ? `${path}.` : ''}${name}: is required`);
+    }
+    for (const [name, propertyValue] of Object.entries(value)) {
+      const propertyPath = path ? `${path}.${name}` : name;
+      if (properties[name]) {
+        errors.push(...validateAgainstSchema(propertyValue, properties[name], propertyPath));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${propertyPath}: is not allowed`);
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        errors.push(...validateAgainstSchema(propertyValue, schema.additionalProperties, propertyPath));
+      }
+    }
+  }
+  return errors;
+}
+
+// The safe fixes described at the top. Returns { value, repairs }; value is a
+// copy.
+function coerceToSchema(value, schema) {
+  const repairs = new Set();
+
+  function coerce(current, node) {
+    if (!node || typeof node !== 'object') return current;
+    if (node.oneOf || node.anyOf) {
+      // Coerce towards the branch it fits best after coercion
+      const branches = node.oneOf || node.anyOf;
+      const candidates = branches.map(branch => {
+        const attempt = coerceToSchema(current, branch);
+        return { ...attempt, errors: validateAgainstSchema(attempt.value, branch).length };
+      });
+      const best = candidates.reduce((a, b) => (b.errors < a.errors ? b : a));
+      best.repairs.forEach(repair => repairs.add(repair));
+      return best.value;
+    }
+
+    const types = node.type ? (Array.isArray(node.type) ? node.type : [node.type]) : [];
+    if (typeof current === 'string' && !types.includes('string')) {
+      const text = current.trim();
+      if ((types.includes('integer') && /^-?\d+$/.test(text)) || (types.includes('number') && /^-?\d+(\.\d+)?$/.test(text))) {
+        repairs.add('converted numeric strings to numbers');
+        return Number(text);
+      }
+      if (types.includes('boolean') && /^(true|false)$/i.test(text)) {
+        repairs.add('converted "true"/"false" strings to booleans');
+        return text.toLowerCase() === 'true';
+      }
+      if (types.includes('null') && /^(null|none)$/i.test(text)) {
+        repairs.add('converted "null" strings to null');
+        return null;
+      }
+    }
+    if (Array.isArray(current) && node.items) {
+      return current.map(item => coerce(item, node.items));
+    }
+    if (typeOf(current) === 'object' && (node.properties || node.additionalProperties === false)) {
+      const properties = node.properties || {};
+      const result = {};
+      for (const [name, propertyValue] of Object.entries(current)) {
+        if (properties[name]) {
+          result[name] = coerce(propertyValue, properties[name]);
+        } else if (node.additionalProperties === false) {
+          repairs.add('dropped properties the schema does not allow');
+        } else {
+          result[name] = propertyValue;
+        }
+      }
+      return result;
+    }
+    return current;
+  }
+
+  const copy = value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+  return { value: coerce(copy, schema), repairs: [...repairs] };
+}
+
+// ----------------------------------------------------------------------------
+// Everything for one reply
+// ----------------------------------------------------------------------------
+
+// { ok, value, text, repairs, errors, parseError } for a reply. ok means the
+// value (possibly repaired) is JSON and fits the schema; errors is what a
+// re-prompt should quote otherwise. Without a schema any parseable JSON is ok.
+function checkModelJson(content, schema = null) {
+  const parsed = parseModelJson(content);
+  if (parsed.value === undefined) {
+    return { ok: false, value: undefined, text: parsed.text, repairs: parsed.repairs, errors: [`Reply was not valid JSON (${parsed.parseError})`], parseError: parsed.parseError };
+  }
+  if (!schema || typeof schema !== 'object') {
+    return { ok: true, value: parsed.value, text: parsed.text, repairs: parsed.repairs, errors: [], parseError: parsed.parseError };
+  }
+
+  let value = parsed.value;
+  let repairs = parsed.repairs;
+  let errors = validateAgainstSchema(value, schema);
+  if (errors.length > 0) {
+    const coerced = coerceToSchema(value, schema);
+    const coercedErrors = validateAgainstSchema(coerced.value, schema);
+    if (coercedErrors.length < errors.length) {
+      value = coerced.value;
+      repairs = [...repairs, ...coerced.repairs];
+      errors = coercedErrors;
+    }
+  }
+  const listed = errors.length > MAX_ERRORS ? [...errors.slice(0, MAX_ERRORS), `…and ${errors.length - MAX_ERRORS} more`] : errors;
+  return { ok: errors.length === 0, value, text: parsed.text, repairs, errors: listed, parseError: parsed.parseError };
+}
+
+module.exports = {
+  extractJsonText,
+  repairJsonText,
+  parseModelJson,
+  validateAgainstSchema,
+  coerceToSchema,
+  checkModelJson
+};
@@ -0,0 +1,153 @@
+// ============================================================================
+// LLM PROVIDERS
+// ============================================================================
+// Every entry in the model fallback chains (OPENROUTER_MODEL_1..5 and
+// OPENROUTER_JSON_MODEL_1..5) can name the provider that serves it:
+//
+//   qwen/qwen3-30b-a3b:free        OpenRouter (no prefix, as before)
+//   openrouter:qwen/qwen3-30b-a3b  OpenRouter, explicitly
+//   ollama:llama3.2:3b             Ollama's OpenAI-compatible endpoint
+//   llamacpp:qwen2.5-3b-instruct   llama.cpp server
+//   vllm:Qwen/Qwen2.5-7B-Instruct  vLLM
+//   <name>:<model>                 any server defined with LLM_PROVIDER_<NAME>_BASE_URL
+//
+// All of them speak the OpenAI chat completions API, so the fallback loops
+// send the same request body everywhere. A prefix only counts as a provider if
+// such a provider exists, so OpenRouter ids keep working unchanged.
+//
+// Providers on this machine or the local network are "local". With
+// LLM_LOCAL_ONLY=true (or "localOnly": true on a job) only local entries of the
+// chain are used, so prompts carrying diary and health data never leave it.
+//
+// Configuration (env), per provider NAME (OPENROUTER, OLLAMA, LLAMACPP, VLLM or
+// your own):
+//   LLM_PROVIDER_<NAME>_BASE_URL      OpenAI-compatible base URL (".../v1")
+//   LLM_PROVIDER_<NAME>_API_KEY       sent as a Bearer token if set
+//   LLM_PROVIDER_<NAME>_LOCAL         "true"/"false" to override the local guess
+//   LLM_PROVIDER_<NAME>_JSON_SCHEMA   "false" if the server can't take a
+//                                     json_schema response_format (json_object is sent)
+
+const DEFAULT_TEXT_MODELS = [
+  'qwen/qwen3-30b-a3b:free',
+  'microsoft/phi-3-mini-128k-instruct:free',
+  'meta-llama/llama-3.1-8b-instruct:free',
+  'google/gemma-2-9b-it:free',
+  'mistralai/mistral-7b-instruct:free'
+];
+
+const BUILT_IN_PROVIDERS = {
+  openrouter: { baseUrl: 'https://openrouter.ai/api/v1', apiKeyEnv: 'OPENROUTER_API_KEY' },
+  ollama: { baseUrl: 'http://localhost:11434/v1' },
+  llamacpp: { baseUrl: 'http://localhost:8080/v1' },
+  vllm: { baseUrl: 'http://localhost:8000/v1' }
+};
+
+const DEFAULT_PROVIDER = 'openrouter';
+
+// Loopback, private ranges and .local names count as "this machine / our network"
+function isLocalUrl(url) {
+  try {
+    const host = new URL(url).hostname.replace(/^\[|\]$/g, '');
+    return host === 'localhost' || host === '::1' || host.endsWith('.local') || host.endsWith('.internal') ||
+      /^127\./.test(host) || /^10\./.test(host) || /^192\.168\./.test(host) || /^172\.(1[6-9]|2\d|3[01])\./.test(host);
+  } catch (e) {
+    return false;
+  }
+}
+
+const readFlag = (value, fallback) => (value === undefined || value === '' ? fallback : value === 'true');
+
+function loadLlmProviderConfig(env = process.env) {
+  const names = new Set(Object.keys(BUILT_IN_PROVIDERS));
+  for (const key of Object.keys(env)) {
+    const match = key.match(/^LLM_PROVIDER_([A-Z0-9_]+?)_BASE_URL$/);
+    if (match) names.add(match[1].toLowerCase());
+  }
+
+  const providers = {};
+  for (const name of names) {
+    const prefix = `LLM_PROVIDER_${name.toUpperCase()}_`;
+    const builtIn = BUILT_IN_PROVIDERS[name] || {};
+    const baseUrl = (env[`${prefix}BASE_URL`] || builtIn.baseUrl || '').replace(/\/+$/, '');
+    providers[name] = {
+      name,
+      baseUrl,
+      apiKey: env[`${prefix}API_KEY`] || (builtIn.apiKeyEnv ? env[builtIn.apiKeyEnv] : null) || null,
+      local: readFlag(env[`${prefix}LOCAL`], isLocalUrl(baseUrl)),
+      jsonSchema: readFlag(env[`${prefix}JSON_SCHEMA`], true)
+    };
+  }
+  return { providers, localOnly: env.LLM_LOCAL_ONLY === 'true' };
+}
+
+// Model chains from the numbered env vars. The JSON chain falls back to the
+// text chain when no JSON models are set.
+function textModelChain(env = process.env) {
+  return [1, 2, 3, 4, 5]
+    .map(n => env[`OPENROUTER_MODEL_${n}`] || DEFAULT_TEXT_MODELS[n - 1])
+    .filter(model => model && model !== 'undefined');
+}
+
+function jsonModelChain(env = process.env) {
+  return [1, 2, 3, 4, 5]
+    .map(n => env[`OPENROUTER_JSON_MODEL_${n}`])
+    .filter(model => model && model !== 'undefined');
+}
+
+// Plan updates convert the analyzer's extra steps on a local model, as they
+// always have. PLAN_UPDATE_MODEL_1..5 can point them at other entries,
+// including remote ones.
+function planUpdateModelChain(env = process.env) {
+  const models = [1, 2, 3, 4, 5]
+    .map(n => env[`PLAN_UPDATE_MODEL_${n}`])
+    .filter(model => model && model !== 'undefined');
+  return models.length > 0 ? models : [`ollama:${env.OLLAMA_MODEL || 'llama3.2:3b'}`];
+}
+
+function createLlmProviders(config = loadLlmProviderConfig()) {
+  // "ollama:llama3.2:3b" -> { provider, model }. Only a known provider name
+  // before the first ":" counts; anything else is an OpenRouter model id.
+  function resolve(entry) {
+    const match = String(entry).match(/^([a-z0-9_-]+):(.+)$/i);
+    const named = match && config.providers[match[1].toLowerCase()];
+    const provider = named || config.providers[DEFAULT_PROVIDER];
+    return { entry, provider, model: named ? match[2] : String(entry) };
+  }
+
+  // The chain a job may use. localOnly drops every entry served from elsewhere.
+  function chainFor(entries, { localOnly = false } = {}) {
+    const resolved = entries.map(resolve);
+    return localOnly || config.localOnly ? resolved.filter(target => target.provider.local) : resolved;
+  }
+
+  // fetch() arguments for a chat completion. body is the OpenAI-style request
+  // without "model"; a json_schema response_format is downgraded for servers
+  // that only take json_object.
+  function buildRequest(target, body, signal) {
+    const payload = { ...body, model: target.model };
+    if (payload.response_format?.type === 'json_schema' && !target.provider.jsonSchema) {
+      payload.response_format = { type: 'json_object' };
+    }
+    const headers = { 'Content-Type': 'application/json' };
+    if (target.provider.apiKey) headers.Authorization = `Bearer ${target.provider.apiKey}`;
+    return [`${target.provider.baseUrl}/chat/completions`, { method: 'POST', headers, body: JSON.stringify(payload), signal }];
+  }
+
+  return {
+    providers: config.providers,
+    localOnly: config.localOnly,
+    resolve,
+    chainFor,
+    buildRequest
+  };
+}
+
+module.exports = {
+  DEFAULT_TEXT_MODELS,
+  isLocalUrl,
+  loadLlmProviderConfig,
+  textModelChain,
+  jsonModelChain,
+  planUpdateModelChain,
+  createLlmProviders
+};
@@ -0,0 +1,243 @@
+// ============================================================================
+// MODEL HEALTH
+// ============================================================================
+// One registry shared by every job in the process. Each call the fallback loops
+// make is reported here, so a model that keeps failing stops being tried first
+// by every job. Per model (keyed "provider:model") it keeps the last
+// MODEL_HEALTH_WINDOW outcomes: success rate, latency and rate-limit responses.
+//
+// Circuit breaker, per model:
+//   closed     normal; MODEL_FAILURE_THRESHOLD failures in a row (429, 5xx,
+//              network errors) open it
+//   open       skipped until the cool-down ends. A 429 opens it straight away,
+//              for as long as its Retry-After header asks (or the cool-down).
+//   half_open  cool-down over: the next call is a probe. Success closes the
+//              circuit; failure opens it again for twice the previous cool-down
+//              (up to MODEL_MAX_COOLDOWN_SECONDS). Only one probe runs at a
+//              time: claim() hands it to the first caller, and everyone else
+//              skips the model until it reports back (or PROBE_TIMEOUT_MS passes).
+//
+// A reply that arrives but is unusable (e.g. not JSON) counts against the
+// success rate but not the circuit - the model is up, it just answered badly.
+//
+// plan() reorders a chain: healthy models keep their configured order, models
+// with a poor recent success rate move behind them, and open circuits are left
+// out. If every circuit is open the chain is tried anyway, soonest-to-reopen
+// first, rather than failing the job without a single call.
+//
+// Configuration (env):
+//   MODEL_HEALTH_WINDOW            outcomes kept per model (default 20)
+//   MODEL_FAILURE_THRESHOLD        failures in a row that open a circuit (default 3)
+//   MODEL_COOLDOWN_SECONDS         first cool-down (default 60)
+//   MODEL_MAX_COOLDOWN_SECONDS     longest cool-down, also caps Retry-After (default 900)
+
+const DEGRADED_SUCCESS_RATE = 0.5; // below this (with MIN_SAMPLES outcomes) a model is ranked lower
+const MIN_SAMPLES = 3;
+const PROBE_TIMEOUT_MS = 5 * 60 * 1000; // a probe that never reports stops blocking others after this
+
+const readNumber = (value, fallback) => {
+  const number = Number(value);
+  return value !== undefined && value !== '' && Number.isFinite(number) && number >= 0 ? number : fallback;
+};
+
+function loadModelHealthConfig(env = process.env) {
+  return {
+    windowSize: Math.max(1, Math.round(readNumber(env.MODEL_HEALTH_WINDOW, 20))),
+    failureThreshold: Math.max(1, Math.round(readNumber(env.MODEL_FAILURE_THRESHOLD, 3))),
+    cooldownMs: readNumber(env.MODEL_COOLDOWN_SECONDS, 60) * 1000,
+    maxCooldownMs: readNumber(env.MODEL_MAX_COOLDOWN_SECONDS, 900) * 1000
+  };
+}
+
+// Retry-After is either seconds or an HTTP date. Returns milliseconds, or null.
+function parseRetryAfter(value, now = Date.now()) {
+  if (value === undefined || value === null || value === '') return null;
+  const text = String(value).trim();
+  if (/^\d+(\.\d+)?$/.test(text)) return Math.round(Number(text) * 1000);
+  const at = Date.parse(text);
+  return Number.isNaN(at) ? null : Math.max(0, at - now);
+}
+
+function createModelHealth(config = loadModelHealthConfig(), { now = () => Date.now() } = {}) {
+  const models = new Map();
+
+  const keyFor = (target) => `${target.provider.name}:${target.model}`;
+
+  function stateFor(target) {
+    const key = keyFor(target);
+    if (!models.has(key)) {
+      models.set(key, {
+        key,
+        provider: target.provider.name,
+        model: target.model,
+        outcomes: [],            // { at, success, latencyMs, status?, rateLimited?, invalidOutput? }
+        consecutiveFailures: 0,
+        circuit: 'closed',
+        openUntil: null,
+        cooldownMs: 0,           // last cool-down used, doubled on a failed probe
+        probeStartedAt: null,    // set while a half-open probe is in flight
+        lastError: null,
+        lastSuccessAt: null,
+        lastFailureAt: null
+      });
+    }
+    return models.get(key);
+  }
+
+  // An open circuit whose cool-down has ended lets the next call through
+  function circuitOf(state) {
+    if (state.circuit === 'open' && state.openUntil <= now()) state.circuit = 'half_open';
+    return state.circuit;
+  }
+
+  const probing = (state) => state.probeStartedAt !== null && now() - state.probeStartedAt < PROBE_TIMEOUT_MS;
+
+  // Called right before a call to target. Returns false if the model is
+  // half-open and another call is already probing it; otherwise the call may go
+  // ahead (and becomes the probe if the circuit is half-open).
+  function claim(target) {
+    const state = models.get(keyFor(target));
+    if (!state || circuitOf(state) !== 'half_open') return true;
+    if (probing(state)) return false;
+    state.probeStartedAt = now();
+    return true;
+  }
+
+  // For a claimed call that ends without an outcome (e.g. the job was cancelled)
+  function release(target) {
+    const state = models.get(keyFor(target));
+    if (state) state.probeStartedAt = null;
+  }
+
+  function open(state, ms, reason) {
+    state.circuit = 'open';
+    state.openUntil = now() + ms;
+    console.warn(`[ModelHealth] Circuit open for ${state.key} for ${Math.round(ms / 1000)}s (${reason})`);
+  }
+
+  function remember(state, outcome) {
+    state.outcomes.push({ at: new Date(now()).toISOString(), ...outcome });
+    if (state.outcomes.length > config.windowSize) state.outcomes.splice(0, state.outcomes.length - config.windowSize);
+  }
+
+  // Report one call. outcome: { success, latencyMs, status?, retryAfterMs?,
+  // invalidOutput?, error? }
+  function record(target, { success, latencyMs = null, status = null, retryAfterMs = null, invalidOutput = false, error = null }) {
+    const state = stateFor(target);
+    const rateLimited = status === 429;
+    state.probeStartedAt = null;
+    remember(state, {
+      success,
+      latencyMs,
+      ...(status ? { status } : {}),
+      ...(rateLimited ? { rateLimited } : {}),
+      ...(invalidOutput ? { invalidOutput } : {})
+    });
+
+    if (success) {
+      state.consecutiveFailures = 0;
+      state.circuit = 'closed';
+      state.openUntil = null;
+      state.cooldownMs = 0;
+      state.lastSuccessAt = new Date(now()).toISOString();
+      return;
+    }
+
+    state.lastFailureAt = new Date(now()).toISOString();
+    state.lastError = error ? String(error).slice(0, 200) : (status ? `HTTP ${status}` : 'failed');
+    if (invalidOutput) return;
+
+    state.consecutiveFailures += 1;
+    // A probe failed, or every circuit was open and this one was tried anyway
+    const wasOpen = circuitOf(state) !== 'closed';
+    if (rateLimited) {
+      const wait = retryAfterMs !== null ? retryAfterMs : Math.max(config.cooldownMs, state.cooldownMs * 2);
+      state.cooldownMs = Math.min(Math.max(wait, config.cooldownMs), config.maxCooldownMs);
+      open(state, Math.min(wait, config.maxCooldownMs), retryAfterMs !== null ? `429, Retry-After ${Math.round(retryAfterMs / 1000)}s` : '429');
+    } else if (wasOpen) {
+      state.cooldownMs = Math.min(Math.max(config.cooldownMs, state.cooldownMs * 2), config.maxCooldownMs);
+      open(state, state.cooldownMs, 'probe failed');
+    } else if (state.consecutiveFailures >= config.failureThreshold) {
+      state.cooldownMs = config.cooldownMs;
+      open(state, state.cooldownMs, `${state.consecutiveFailures} failures in a row`);
+    }
+  }
+
+  function successRate(state) {
+    if (state.outcomes.length === 0) return null;
+    return state.outcomes.filter(outcome => outcome.success).length / state.outcomes.length;
+  }
+
+  const isDegraded = (state) => state.outcomes.length >= MIN_SAMPLES && successRate(state) < DEGRADED_SUCCESS_RATE;
+
+  // The order to try a chain in. Returns { targets, skipped, allOpen } where
+  // skipped lists the open circuits ({ target, openUntil }) and models being
+  // probed by another call ({ target, probing: true }) left out, and allOpen says
+  // the chain is being tried despite every circuit being open.
+  function plan(chain) {
+    const healthy = [];
+    const degraded = [];
+    const skipped = [];
+    for (const target of chain) {
+      const state = models.get(keyFor(target));
+      if (!state) {
+        healthy.push(target);
+      } else if (circuitOf(state) === 'open') {
+        skipped.push({ target, openUntil: new Date(state.openUntil).toISOString() });
+      } else if (state.circuit === 'half_open' && probing(state)) {
+        skipped.push({ target, probing: true });
+      } else if (isDegraded(state)) {
+        degraded.push({ target, rate: successRate(state) });
+      } else {
+        healthy.push(target);
+      }
+    }
+    degraded.sort((a, b) => b.rate - a.rate);
+    const targets = [...healthy, ...degraded.map(({ target }) => target)];
+    if (targets.length === 0) {
+      // Models being probed go last; claim() still turns them away until the probe reports
+      const reopensAt = ({ probing, openUntil }) => probing ? Infinity : Date.parse(openUntil);
+      const soonest = [...skipped].sort((a, b) => reopensAt(a) - reopensAt(b));
+      return { targets: soonest.map(({ target }) => target), skipped: [], allOpen: skipped.length > 0 };
+    }
+    return { targets, skipped, allOpen: false };
+  }
+
+  // Health of one model, for the API
+  function describe(state) {
+    const latencies = state.outcomes.map(outcome => outcome.latencyMs).filter(ms => typeof ms === 'number').sort((a, b) => a - b);
+    const rate = successRate(state);
+    const circuit = circuitOf(state);
+    return {
+      key: state.key,
+      provider: state.provider,
+      model: state.model,
+      circuit,
+      openUntil: circuit === 'open' ? new Date(state.openUntil).toISOString() : null,
+      probeInFlight: circuit === 'half_open' && probing(state),
+      status: circuit === 'open' ? 'unavailable' : isDegraded(state) ? 'degraded' : 'healthy',
+      calls: state.outcomes.length,
+      successRate: rate === null ? null : Math.round(rate * 1000) / 1000,
+      rateLimited: state.outcomes.filter(outcome => outcome.rateLimited).length,
+      invalidOutputs: state.outcomes.filter(outcome => outcome.invalidOutput).length,
+      consecutiveFailures: state.consecutiveFailures,
+      avgLatencyMs: latencies.length > 0 ? Math.round(latencies.reduce((sum, ms) => sum + ms, 0) / latencies.length) : null,
+      p95LatencyMs: latencies.length > 0 ? latencies[Math.min(latencies.length - 1, Math.floor(latencies.length * 0.95))] : null,
+      lastSuccessAt: state.lastSuccessAt,
+      lastFailureAt: state.lastFailureAt,
+      lastError: state.lastError
+    };
+  }
+
+  function snapshot() {
+    return [...models.values()].map(describe);
+  }
+
+  return { config, record, claim, release, plan, snapshot, keyFor };
+}
+
+module.exports = {
+  loadModelHealthConfig,
+  parseRetryAfter,
+  createModelHealth
+};
@@ -0,0 +1,252 @@
+// ============================================================================
+// EXECUTION PLAN VALIDATOR
+// ============================================================================
+// Plans come from an LLM, so they can be malformed: unknown action types,
+// dependencies on steps that don't exist, cycles, or no formulate_response at
+// the end. Every plan goes through validatePlan before it is executed (and after
+// check_and_update_plan rewrites it). The validator gives each action a stable
+// string id, turns "step number" dependencies into ids, repairs what it safely
+// can, and returns a report explaining every change it made.
+
+// Default id prefix for a freshly generated plan ("step-1", "step-2", ...)
+const DEFAULT_ID_PREFIX = 'step-';
+
+// Validate (and, unless autoRepair is off, repair) a plan.
+//   allowedTypes - action types the executor can run
+//   queryTypes   - action types that need a non-empty query
+//   idPrefix     - prefix for generated ids (rewrites use their own so ids stay unique)
+//   knownIds     - ids of actions that already ran (a rewrite may depend on them)
+//   stage        - label for the report ("initial", "update", "edit", ...)
+// Returns { plan, report } - plan is null when the plan had to be rejected.
+function validatePlan(rawPlan, options = {}) {
+  const {
+    allowedTypes = [],
+    queryTypes = [],
+    idPrefix = DEFAULT_ID_PREFIX,
+    knownIds = [],
+    stage = 'initial',
+    autoRepair = true
+  } = options;
+
+  const report = {
+    stage,
+    valid: false,
+    rejected: false,
+    autoRepair,
+    errors: [],    // problems that were not (or could not be) repaired
+    repairs: [],   // changes made to the plan
+    warnings: [],  // odd but harmless
+    actionCount: 0,
+    checkedAt: new Date().toISOString()
+  };
+
+  // A problem was found: record the repair, or the error if repairs are off
+  const problem = (message, repair) => {
+    if (autoRepair && repair) {
+      report.repairs.push(`${message} - ${repair}`);
+      return true;
+    }
+    report.errors.push(message);
+    return false;
+  };
+
+  const reject = (message) => {
+    if (message) report.errors.push(message);
+    report.rejected = true;
+    return { plan: null, report };
+  };
+
+  if (!rawPlan || typeof rawPlan !== 'object' || !Array.isArray(rawPlan.actions)) {
+    return reject('Plan has no "actions" array');
+  }
+
+  // --- 1. Per-action checks ------------------------------------------------
+  // Positions are 1-based in the order the planner wrote the actions, which is
+  // what integer dependencies ("step numbers") refer to.
+  const kept = []; // { action, position }
+  rawPlan.actions.forEach((raw, i) => {
+    const position = i + 1;
+    const label = `Step ${position}${raw?.type ? ` (${raw.type})` : ''}`;
+
+    if (!raw || typeof raw !== 'object') {
+      problem(`${label} is not an object`, 'dropped it');
+      return;
+    }
+    if (!allowedTypes.includes(raw.type)) {
+      problem(`${label} has unknown action type "${raw.type}"`, 'dropped it');
+      return;
+    }
+    if (queryTypes.includes(raw.type) && (typeof raw.query !== 'string' || !raw.query.trim())) {
+      problem(`${label} has no query`, 'dropped it');
+      return;
+    }
+
+    const action = { ...raw };
+    if (!Number.isInteger(action.priority)) {
+      problem(`${label} has no integer priority`, `set it to ${position}`);
+      action.priority = position;
+    }
+    if (!Array.isArray(action.dependencies)) {
+      if (action.dependencies !== undefined) {
+        problem(`${label} has non-array dependencies`, 'treated it as having none');
+      }
+      action.dependencies = [];
+    }
+    kept.push({ action, position });
+  });
+
+  // --- 2. Stable ids ---------------------------------------------------------
+  // Generated ids use the step's position ("step-3" is the third step the
+  // planner wrote), falling back to the next free number on a clash
+  const usedIds = new Set(knownIds);
+  const idForPosition = new Map();
+  const generateId = (preferred) => {
+    let number = preferred;
+    while (usedIds.has(`${idPrefix}${number}`)) number++;
+    return `${idPrefix}${number}`;
+  };
+  for (const entry of kept) {
+    const { action, position } = entry;
+    if (typeof action.id === 'string' && action.id.trim() && !usedIds.has(action.id)) {
+      action.id = action.id.trim();
+    } else {
+      if (action.id !== undefined) {
+        report.warnings.push(`Step ${position} had a duplicate or invalid id "${action.id}"; assigned a new one`);
+      }
+      action.id = generateId(position);
+    }
+    usedIds.add(action.id);
+    idForPosition.set(position, action.id);
+  }
+
+  // --- 3. Resolve dependencies to ids ---------------------------------------
+  const planIds = new Set(kept.map(e => e.action.id));
+  const priorityToIds = new Map();
+  for (const { action } of kept) {
+    if (!priorityToIds.has(action.priority)) priorityToIds.set(action.priority, []);
+    priorityToIds.get(action.priority).push(action.id);
+  }
+
+  for (const { action, position } of kept) {
+    const resolved = [];
+    for (const dep of action.dependencies) {
+      let target = null;
+      if (typeof dep === 'string' && (planIds.has(dep) || knownIds.includes(dep))) {
+        target = dep;
+      } else if (Number.isInteger(dep) && idForPosition.has(dep)) {
+        target = idForPosition.get(dep);
+      } else if (Number.isInteger(dep) && priorityToIds.get(dep)?.length === 1) {
+        // Not a valid step number, but it matches exactly one action's priority
+        target = priorityToIds.get(dep)[0];
+        report.warnings.push(`Step ${position} depends on "${dep}", read as the action with priority ${dep} (${target})`);
+      }
+
+      if (target === action.id) {
+        if (!problem(`Step ${position} (${action.id}) depends on itself`, 'removed that dependency')) resolved.push(dep);
+      } else if (target) {
+        if (!resolved.includes(target)) resolved.push(target);
+      } else if (!problem(`Step ${position} (${action.id}) depends on "${dep}", which is not in the plan`, 'removed that dependency')) {
+        resolved.push(dep);
+      }
+    }
+    action.dependencies = resolved;
+  }
+
+  // --- 4. Cycles ---------------------------------------------------------------
+  // Depth-first search; an edge back into the current path closes a cycle and is
+  // removed. Starting from the last step means the edge dropped is usually the
+  // one pointing forward to a later step, which is the likely mistake.
+  const byId = new Map(kept.map(e => [e.action.id, e.action]));
+  const visitState = new Map(); // id -> 'visiting' | 'done'
+  const visit = (action) => {
+    visitState.set(action.id, 'visiting');
+    for (const dep of [...action.dependencies]) {
+      const target = byId.get(dep);
+      if (!target) continue;
+      if (visitState.get(dep) === 'visiting') {
+        if (problem(`Dependency ${action.id} -> ${dep} creates a cycle`, 'removed that dependency')) {
+          action.dependencies = action.dependencies.filter(d => d !== dep);
+        }
+      } else if (!visitState.has(dep)) {
+        visit(target);
+      }
+    }
+    visitState.set(action.id, 'done');
+  };
+  for (const { action } of [...kept].reverse()) {
+    if (!visitState.has(action.id)) visit(action);
+  }
+
+  // --- 5. Final answer -------------------------------------------------------
+  const actions = kept.map(e => e.action);
+  const finalSteps = actions.filter(a => a.type === 'formulate_response');
+  if (finalSteps.length === 0 && actions.length > 0 && allowedTypes.includes('formulate_response')) {
+    // Depend on the steps nothing else depends on, so the answer comes last
+    const dependedOn = new Set(actions.flatMap(a => a.dependencies));
+    const sinks = actions.filter(a => !dependedOn.has(a.id) && a.type !== 'memory_store').map(a => a.id);
+    const finalAction = {
+      id: generateId(rawPlan.actions.length + 1),
+      type: 'formulate_response',
+      query: 'Answer the original question using all findings gathered so far',
+      priority: Math.max(...actions.map(a => a.priority)) + 1,
+      dependencies: sinks
+    };
+    if (problem('Plan has no formulate_response action, so no final answer would be written', `appended ${finalAction.id}`)) {
+      actions.push(finalAction);
+    }
+  } else if (finalSteps.length > 1) {
+    report.warnings.push(`Plan has ${finalSteps.length} formulate_response actions; each will overwrite the previous answer`);
+  }
+
+  // --- 6. Priorities -----------------------------------------------------------
+  for (const [priority, ids] of priorityToIds) {
+    if (ids.length > 1) report.warnings.push(`Actions ${ids.join(', ')} share priority ${priority}; ids keep them apart`);
+  }
+
+  report.actionCount = actions.length;
+  if (actions.length === 0) {
+    return reject('Plan has no runnable actions');
+  }
+  if (report.errors.length > 0) {
+    return reject();
+  }
+  report.valid = true;
+  return { plan: { ...rawPlan, actions }, report };
+}
+
+// Readable version of a report, saved next to the job's other artifacts
+function formatValidationReport(report, plan) {
+  const lines = [
+    `# Plan Validation (${report.stage})`,
+    '',
+    `Checked: ${report.checkedAt}`,
+    `Result: ${report.rejected ? 'REJECTED' : report.repairs.length ? 'VALID after repairs' : 'VALID'}`,
+    `Actions: ${report.actionCount}`,
+    `Auto-repair: ${report.autoRepair ? 'on' : 'off'}`,
+    ''
+  ];
+  const section = (title, items) => {
+    lines.push(`## ${title}`);
+    lines.push(...(items.length ? items.map(item => `- ${item}`) : ['- none']));
+    lines.push('');
+  };
+  section('Errors', report.errors);
+  section('Repairs', report.repairs);
+  section('Warnings', report.warnings);
+
+  if (plan) {
+    lines.push('## Validated Plan');
+    for (const action of plan.actions) {
+      const deps = action.dependencies.length ? ` <- ${action.dependencies.join(', ')}` : '';
+      lines.push(`- \`${action.id}\` ${action.type} (priority ${action.priority})${action.query ? `: ${action.query}` : ''}${deps}`);
+    }
+    lines.push('');
+  }
+  return lines.join('\n');
+}
+
+module.exports = {
+  DEFAULT_ID_PREFIX,
+  validatePlan,
+  formatValidationReport
+};
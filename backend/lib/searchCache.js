@@ -0,0 +1,168 @@
+// ============================================================================
+// SEARCH CACHE
+// ============================================================================
+// Search results are kept on disk, keyed by provider and normalized query, so a
+// query any job ran within the TTL is answered without spending another search
+// from the daily quota. Entries survive restarts; expired ones are dropped when
+// the cache is written. Only non-empty result lists are cached, since an empty
+// list can also mean the search failed.
+//
+// Each job logs what the cache did for every search (hit, miss or bypass) to
+// search_cache.jsonl in its folder, next to usage.jsonl.
+//
+// Configuration (env):
+//   SEARCH_CACHE_TTL_HOURS     how long results stay fresh (default 24, 0 turns the cache off)
+//   SEARCH_CACHE_FILE          where the cache lives (default backend/api/search_cache/search_cache.json)
+//   SEARCH_CACHE_MAX_ENTRIES   oldest entries beyond this are evicted (default 1000)
+
+const fs = require('fs-extra');
+const path = require('path');
+
+const CACHE_LOG_FILENAME = 'search_cache.jsonl';
+
+// Query parameters that only track where a click came from
+const TRACKING_PARAMS = /^(utm_\w+|fbclid|gclid|msclkid|mc_cid|mc_eid|ref|ref_src)$/i;
+
+// "  Sleep   Debt, Fatigue? " -> "sleep debt, fatigue". Case, spacing and
+// surrounding quotes or punctuation don't change what a search returns.
+function normalizeQuery(query) {
+  return String(query || '')
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .replace(/^[\s"'“”‘’.,;:!?]+|[\s"'“”‘’.,;:!?]+$/g, '');
+}
+
+// URL identity for de-duplication: https, no "www.", no fragment, no tracking
+// parameters, no trailing slash. Unparseable URLs are compared as given.
+function canonicalUrl(url) {
+  try {
+    const parsed = new URL(url);
+    const params = [...parsed.searchParams.entries()]
+      .filter(([name]) => !TRACKING_PARAMS.test(name))
+      .sort(([a], [b]) => a.localeCompare(b));
+    const search = params.length > 0 ? `?${new URLSearchParams(params).toString()}` : '';
+    const host = parsed.host.toLowerCase().replace(/^www\./, '');
+    const protocol = parsed.protocol === 'http:' ? 'https:' : parsed.protocol;
+    return `${protocol}//${host}${parsed.pathname.replace(/\/+$/, '')}${search}`;
+  } catch (e) {
+    return String(url || '');
+  }
+}
+
+// Results whose canonical URL is already in `seen` (or earlier in the list) are
+// removed. `seen` is a Set of canonical URLs and is updated.
+function dedupeByUrl(results, seen = new Set(), urlField = 'link') {
+  const unique = [];
+  const duplicates = [];
+  for (const result of results) {
+    const key = canonicalUrl(result[urlField]);
+    if (seen.has(key)) {
+      duplicates.push(result);
+      continue;
+    }
+    seen.add(key);
+    unique.push(result);
+  }
+  return { unique, duplicates };
+}
+
+function createSearchCache({ filePath, ttlMs, maxEntries = 1000 }) {
+  const enabled = ttlMs > 0;
+  let entries = enabled ? loadEntries() : {};
+
+  if (enabled) {
+    console.log(`[SearchCache] Using ${filePath} (${Object.keys(entries).length} entries, TTL ${Math.round(ttlMs / 3600000 * 10) / 10}h)`);
+  }
+
+  function loadEntries() {
+    try {
+      const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      return data.entries && typeof data.entries === 'object' ? data.entries : {};
+    } catch (e) {
+      return {};
+    }
+  }
+
+  const isFresh = (entry, now) => now - Date.parse(entry.cachedAt) < ttlMs;
+
+  // Drop expired entries and the oldest beyond maxEntries, then write via temp
+  // file + rename like the cassettes
+  function persist() {
+    const now = Date.now();
+    const kept = Object.entries(entries)
+      .filter(([, entry]) => isFresh(entry, now))
+      .sort(([, a], [, b]) => Date.parse(b.cachedAt) - Date.parse(a.cachedAt))
+      .slice(0, maxEntries);
+    entries = Object.fromEntries(kept);
+    try {
+      fs.ensureDirSync(path.dirname(filePath));
+      const tmp = `${filePath}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify({ version: 1, entries }, null, 2));
+      fs.renameSync(tmp, filePath);
+    } catch (e) {
+      console.warn('[SearchCache] Failed to write cache:', e.message);
+    }
+  }
+
+  const keyFor = (provider, query) => `${provider}:${normalizeQuery(query)}`;
+
+  // Fresh cached results for a query as { results, cachedAt, ageSeconds }, or null
+  function get(provider, query) {
+    if (!enabled) return null;
+    const entry = entries[keyFor(provider, query)];
+    if (!entry || !isFresh(entry, Date.now())) return null;
+    return {
+      results: JSON.parse(JSON.stringify(entry.results)),
+      cachedAt: entry.cachedAt,
+      ageSeconds: Math.round((Date.now() - Date.parse(entry.cachedAt)) / 1000)
+    };
+  }
+
+  function set(provider, query, results) {
+    if (!enabled || !Array.isArray(results) || results.length === 0) return;
+    entries[keyFor(provider, query)] = { provider, query: normalizeQuery(query), results, cachedAt: new Date().toISOString() };
+    persist();
+  }
+
+  return { enabled, ttlMs, get, set };
+}
+
+// Per-job log of cache lookups, one JSON line each
+function appendCacheLog(folderPath, entry) {
+  try {
+    fs.appendFileSync(path.join(folderPath, CACHE_LOG_FILENAME), JSON.stringify({ at: new Date().toISOString(), ...entry }) + '\n');
+  } catch (e) {
+    console.warn('[SearchCache] Failed to write cache log:', e.message);
+  }
+}
+
+// { hits, misses, bypassed, duplicatesRemoved } for a job's log
+function summarizeCacheLog(folderPath) {
+  const summary = { hits: 0, misses: 0, bypassed: 0, duplicatesRemoved: 0 };
+  let lines = [];
+  try {
+    lines = fs.readFileSync(path.join(folderPath, CACHE_LOG_FILENAME), 'utf8').split('\n').filter(line => line.trim());
+  } catch (e) {
+    return summary;
+  }
+  for (const line of lines) {
+    let entry;
+    try { entry = JSON.parse(line); } catch (e) { continue; }
+    if (entry.status === 'hit') summary.hits += 1;
+    else if (entry.status === 'miss') summary.misses += 1;
+    else summary.bypassed += 1;
+    summary.duplicatesRemoved += entry.duplicatesRemoved || 0;
+  }
+  return summary;
+}
+
+module.exports = {
+  CACHE_LOG_FILENAME,
+  normalizeQuery,
+  canonicalUrl,
+  dedupeByUrl,
+  createSearchCache,
+  appendCacheLog,
+  summarizeCacheLog
+};
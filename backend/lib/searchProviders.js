@@ -0,0 +1,258 @@
+// ============================================================================
+// WEB SEARCH PROVIDERS
+// ============================================================================
+// google_search goes through whichever providers SEARCH_PROVIDERS lists, in
+// order: the first one that is configured and returns results answers, and a
+// provider that fails (quota, network, bad key) or finds nothing hands over to
+// the next. Every provider returns the same shape:
+//   [{ title, snippet, link }]
+//
+// Providers:
+//   google   Google Custom Search (GOOGLE_API_KEY + GOOGLE_CSE_ID)
+//   searxng  a SearXNG instance with the JSON format enabled (SEARXNG_URL)
+//   brave    Brave Search API (BRAVE_SEARCH_API_KEY)
+//   local    saved result sets in SEARCH_LOCAL_INDEX_DIR, for offline runs and tests
+//
+// The local index is a directory of JSON files, each { query, results } (or
+// an array of them). A Google Custom Search response saved as-is also works,
+// since its "items" have the same fields. A query is answered by the result set
+// with the same normalized query, otherwise by the one sharing the most words
+// with it (at least half of them).
+//
+// Local-only jobs (see llmProviders.js) only use the local index: every other
+// provider, SearXNG included, sends the query to a search engine elsewhere.
+
+const fs = require('fs-extra');
+const path = require('path');
+const { normalizeQuery } = require('./searchCache.js');
+
+const RESULTS_PER_SEARCH = 5;
+const LOCAL_MIN_OVERLAP = 0.5;
+
+const stripTags = (html) => String(html || '').replace(/<[^>]+>/g, '').replace(/&quot;/g, '"').replace(/&#39;/g, "'").replace(/&amp;/g, '&').trim();
+
+function loadSearchProviderConfig(env = process.env) {
+  return {
+    order: String(env.SEARCH_PROVIDERS || 'google').split(',').map(s => s.trim().toLowerCase()).filter(Boolean),
+    google: {
+      apiKey: env.GOOGLE_API_KEY || env.GOOGLE_CSE_API_KEY || null,
+      cseId: env.GOOGLE_CSE_ID || env.GOOGLE_CSE_CX || null
+    },
+    searxng: {
+      url: env.SEARXNG_URL ? env.SEARXNG_URL.replace(/\/+$/, '') : null,
+      engines: env.SEARXNG_ENGINES || null
+    },
+    brave: { apiKey: env.BRAVE_SEARCH_API_KEY || null },
+    local: { dir: env.SEARCH_LOCAL_INDEX_DIR || null }
+  };
+}
+
+// ----------------------------------------------------------------------------
+// Adapters: { name, isConfigured(), request(query, { signal }), parse(data) }.
+// request returns the provider's raw response body (that's what cassettes
+// record) and throws when the provider can't answer, so the next one gets a go;
+// parse turns the body into results.
+// ----------------------------------------------------------------------------
+
+function googleProvider({ apiKey, cseId }, http) {
+  return {
+    name: 'google',
+    isConfigured: () => Boolean(apiKey && cseId),
+    async request(query, { signal }) {
+      // We send our search query along with our API credentials
+      const response = await http.get('https://www.googleapis.com/customsearch/v1', {
+        params: {
+          key: apiKey,              // Our Google API key (like a password)
+          cx: cseId,                // Custom Search Engine ID (tells Google which search engine to use)
+          q: query,                 // The actual search query
+          num: RESULTS_PER_SEARCH   // How many results we want
+        },
+        signal                      // Lets a cancelled job abort the request
+      });
+      return response.data;
+    },
+    parse(data) {
+      return (data.items || []).map(item => ({
+        title: item.title,       // The title of the webpage
+        snippet: item.snippet,   // A short description/preview
+        link: item.link          // The URL to the webpage
+      }));
+    }
+  };
+}
+
+function searxngProvider({ url, engines }, http) {
+  return {
+    name: 'searxng',
+    isConfigured: () => Boolean(url),
+    async request(query, { signal }) {
+      const response = await http.get(`${url}/search`, {
+        params: { q: query, format: 'json', ...(engines ? { engines } : {}) },
+        signal
+      });
+      return response.data;
+    },
+    parse(data) {
+      return (data.results || []).slice(0, RESULTS_PER_SEARCH).map(item => ({
+        title: item.title,
+        snippet: item.content || '',
+        link: item.url
+      }));
+    }
+  };
+}
+
+function braveProvider({ apiKey }, http) {
+  return {
+    name: 'brave',
+    isConfigured: () => Boolean(apiKey),
+    async request(query, { signal }) {
+      const response = await http.get('https://api.search.brave.com/res/v1/web/search', {
+        params: { q: query, count: RESULTS_PER_SEARCH },
+        headers: { Accept: 'application/json', 'X-Subscription-Token': apiKey },
+        signal
+      });
+      return response.data;
+    },
+    parse(data) {
+      // Brave highlights the matched words with <strong> tags
+      return (data.web?.results || []).map(item => ({
+        title: stripTags(item.title),
+        snippet: stripTags(item.description),
+        link: item.url
+      }));
+    }
+  };
+}
+
+// Read every result set in the directory. Re-read on each search, so sets
+// saved while the server runs are picked up.
+function loadLocalIndex(dir) {
+  const sets = [];
+  for (const file of fs.readdirSync(dir).filter(f => f.endsWith('.json')).sort()) {
+    let data;
+    try {
+      data = fs.readJsonSync(path.join(dir, file));
+    } catch (e) {
+      console.warn(`[Search] Skipping unreadable local index file ${file}:`, e.message);
+      continue;
+    }
+    for (const set of Array.isArray(data) ? data : [data]) {
+      const query = set.query || set.queries?.request?.[0]?.searchTerms;
+      const results = set.results || set.items;
+      if (!query || !Array.isArray(results)) continue;
+      sets.push({ query: normalizeQuery(query), words: new Set(normalizeQuery(query).split(/\W+/).filter(Boolean)), results, file });
+    }
+  }
+  return sets;
+}
+
+function localProvider({ dir }) {
+  return {
+    name: 'local',
+    offline: true,
+    isConfigured: () => Boolean(dir),
+    // Already local: no cassette, no usage entry
+    async request(query) {
+      const sets = loadLocalIndex(dir);
+      const normalized = normalizeQuery(query);
+      let match = sets.find(set => set.query === normalized);
+      if (!match) {
+        const words = new Set(normalized.split(/\W+/).filter(Boolean));
+        let bestOverlap = 0;
+        for (const set of sets) {
+          const shared = [...words].filter(word => set.words.has(word)).length;
+          const overlap = shared / Math.max(words.size, set.words.size, 1);
+          if (overlap > bestOverlap) {
+            bestOverlap = overlap;
+            match = set;
+          }
+        }
+        if (bestOverlap < LOCAL_MIN_OVERLAP) match = null;
+      }
+      return { results: match ? match.results : [] };
+    },
+    parse(data) {
+      return data.results.slice(0, RESULTS_PER_SEARCH).map(item => ({
+        title: item.title,
+        snippet: item.snippet || '',
+        link: item.link
+      }));
+    }
+  };
+}
+
+const ADAPTERS = {
+  google: googleProvider,
+  searxng: searxngProvider,
+  brave: braveProvider,
+  local: localProvider
+};
+
+// The provider chain. http is an axios instance; calls to online providers go
+// through the cassette (kind = provider name, so Google recordings keep their
+// old shape) and into the usage ledger.
+function createSearchProviders({ config = loadSearchProviderConfig(), http, cassette, recordUsage }) {
+  const providers = [];
+  for (const name of config.order) {
+    if (!ADAPTERS[name]) {
+      console.warn(`[Search] Unknown search provider "${name}" in SEARCH_PROVIDERS - ignoring`);
+      continue;
+    }
+    providers.push(ADAPTERS[name](config[name] || {}, http));
+  }
+
+  // Providers that can be asked right now. A replay needs no credentials, only
+  // recordings. localOnly leaves out everything but the local index.
+  const usable = ({ localOnly = false } = {}) => providers.filter(provider =>
+    (!localOnly || provider.offline) && (provider.isConfigured() || (cassette.isReplaying() && !provider.offline)));
+
+  async function searchWith(provider, query, { signal, jobId, task }) {
+    if (provider.offline) return provider.parse(await provider.request(query, { signal }));
+    // Recorded/replayed by query only, so keys never end up in a cassette
+    const data = await cassette.run(provider.name, 'search', { query }, async () => {
+      const startedAt = Date.now();
+      try {
+        const body = await provider.request(query, { signal });
+        recordUsage(jobId, { kind: 'search', provider: provider.name, task, query, success: true, latencyMs: Date.now() - startedAt, results: provider.parse(body).length });
+        return body;
+      } catch (error) {
+        recordUsage(jobId, { kind: 'search', provider: provider.name, task, query, success: false, latencyMs: Date.now() - startedAt, error: error.message, costUsd: 0 });
+        throw error;
+      }
+    });
+    return provider.parse(data);
+  }
+
+  // Ask each usable provider in turn. Returns { provider, results, attempts }
+  // where attempts lists what happened with every provider tried; provider is
+  // null if none returned anything.
+  async function search(query, { signal, jobId, task = 'google_search', localOnly = false } = {}) {
+    const attempts = [];
+    for (const provider of usable({ localOnly })) {
+      if (signal?.aborted) break;
+      try {
+        const results = await searchWith(provider, query, { signal, jobId, task });
+        attempts.push({ provider: provider.name, results: results.length });
+        if (results.length > 0) return { provider: provider.name, results, attempts };
+      } catch (error) {
+        const message = error.response?.data?.error?.message || error.message;
+        console.warn(`[Search] ${provider.name} failed for "${query}": ${message}`);
+        attempts.push({ provider: provider.name, error: message });
+      }
+    }
+    return { provider: null, results: [], attempts };
+  }
+
+  return {
+    names: providers.map(provider => provider.name),
+    usable: (options) => usable(options).map(provider => provider.name),
+    search
+  };
+}
+
+module.exports = {
+  RESULTS_PER_SEARCH,
+  loadSearchProviderConfig,
+  createSearchProviders
+};
@@ -0,0 +1,483 @@
+// ============================================================================
+// SOURCE PAGE FETCHING AND EXTRACTION
+// ============================================================================
+// Downloads the pages behind search results so analysis can reason from their
+// text instead of two-line snippets. A fetch is bounded by a timeout and a byte
+// limit, honours robots.txt, and only accepts HTML or plain text. The page is
+// reduced to its readable main text (scripts, navigation, headers, footers and
+// short boilerplate lines dropped) and split into passage-sized chunks; picking
+// the relevant chunks is up to the caller (see lib/actions/fetchSource.js).
+//
+// Fixture mode serves pages from a local directory instead of the network, for
+// tests and offline runs. The directory holds an index.json mapping URLs to
+// files: { "https://example.org/a": "a.html", "https://example.org/robots.txt":
+// { "file": "robots.txt" }, "https://example.org/gone": { "status": 404 } }.
+// URLs missing from the index are served as 404s, and { "status": 301,
+// "location": "..." } entries are redirects.
+//
+// The URLs come from search results and from plans a model wrote, so every
+// request (including each redirect hop and robots.txt) is checked first: the
+// host must resolve to public addresses only - no loopback, private, link-local
+// or cloud metadata addresses - and redirects are followed by hand, at most
+// MAX_REDIRECTS of them, with the host and robots.txt checks repeated on each.
+
+const dns = require('dns');
+const net = require('net');
+const fs = require('fs-extra');
+const path = require('path');
+
+const USER_AGENT = 'SleepDiaryAI-SourceFetcher/1.0 (+research assistant; respects robots.txt)';
+const ROBOTS_TOKEN = 'sleepdiaryai-sourcefetcher'; // matched against robots.txt "User-agent" lines
+const ROBOTS_TTL_MS = 60 * 60 * 1000;
+const ROBOTS_MAX_BYTES = 256 * 1024;
+const ACCEPTED_TYPES = ['text/html', 'application/xhtml+xml', 'text/plain'];
+const MAX_REDIRECTS = 5;
+
+// Thrown for a page that was deliberately not fetched or couldn't be used; the
+// reason ends up in the artifact next to the URL
+class SourceSkipError extends Error {
+  constructor(reason, details = {}) {
+    super(reason);
+    this.name = 'SourceSkipError';
+    this.reason = reason;
+    Object.assign(this, details);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// HTML -> readable text
+// ---------------------------------------------------------------------------
+
+// Elements whose whole content is boilerplate or not text at all
+const DROPPED_ELEMENTS = ['script', 'style', 'noscript', 'template', 'svg', 'canvas', 'iframe', 'head', 'nav', 'header', 'footer', 'aside', 'form', 'button', 'select', 'figure'];
+// Elements that end a line of text
+const BLOCK_ELEMENTS = ['p', 'div', 'section', 'article', 'main', 'li', 'ul', 'ol', 'dl', 'dt', 'dd', 'tr', 'table', 'blockquote', 'pre', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'br', 'hr'];
+
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', ndash: '–', mdash: '—', hellip: '…', rsquo: '’', lsquo: '‘', rdquo: '”', ldquo: '“', middot: '·', deg: '°', plusmn: '±', times: '×', micro: 'µ' };
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return Number.isFinite(code) && code > 0 && code < 0x110000 ? String.fromCodePoint(code) : match;
+    }
+    return NAMED_ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+function stripElements(html, tags) {
+  let result = html;
+  for (const tag of tags) {
+    result = result.replace(new RegExp(`<${tag}\\b[^>]*>[\\s\\S]*?<\\/${tag}\\s*>`, 'gi'), '\n');
+  }
+  return result;
+}
+
+// The largest <article> or <main> when the page has one, otherwise <body>
+function pickMainRegion(html) {
+  const candidates = [];
+  for (const tag of ['article', 'main']) {
+    for (const match of html.matchAll(new RegExp(`<${tag}\\b[^>]*>([\\s\\S]*?)<\\/${tag}\\s*>`, 'gi'))) {
+      candidates.push(match[1]);
+    }
+  }
+  if (candidates.length > 0) {
+    const largest = candidates.sort((a, b) => b.length - a.length)[0];
+    // A tiny <main> wrapper (e.g. just a heading) is worse than the whole body
+    if (largest.replace(/<[^>]+>/g, '').trim().length > 500) return largest;
+  }
+  const body = html.match(/<body\b[^>]*>([\s\S]*)<\/body\s*>/i);
+  return body ? body[1] : html;
+}
+
+// A line worth keeping: a sentence or a heading-like line with a few words.
+// Menus, share buttons, cookie notices and the like are mostly short fragments.
+function isContentLine(line) {
+  const words = line.split(/\s+/).length;
+  if (words >= 8) return true;
+  return words >= 3 && /[.!?:]$/.test(line);
+}
+
+function extractReadableText(html) {
+  const titleMatch = html.match(/<title\b[^>]*>([\s\S]*?)<\/title\s*>/i);
+  const title = titleMatch ? decodeEntities(titleMatch[1]).replace(/\s+/g, ' ').trim() : '';
+
+  let content = html.replace(/<!--[\s\S]*?-->/g, '');
+  content = stripElements(content, ['script', 'style', 'noscript', 'template']); // before picking, they can contain "</article>"
+  content = pickMainRegion(content);
+  content = stripElements(content, DROPPED_ELEMENTS);
+  content = content
+    .replace(new RegExp(`<\\/?(?:${BLOCK_ELEMENTS.join('|')})\\b[^>]*>`, 'gi'), '\n')
+    .replace(/<[^>]+>/g, ' ');
+
+  const seen = new Set();
+  const lines = decodeEntities(content)
+    .split('\n')
+    .map(line => line.replace(/\s+/g, ' ').trim())
+    .filter(line => {
+      if (!line || !isContentLine(line) || seen.has(line)) return false;
+      seen.add(line);
+      return true;
+    });
+  return { title, text: lines.join('\n') };
+}
+
+// ---------------------------------------------------------------------------
+// Chunking and passage selection
+// ---------------------------------------------------------------------------
+
+// Pack paragraphs into chunks of about chunkChars; paragraphs longer than that
+// are split at sentence boundaries
+function chunkText(text, { chunkChars = 1000, maxChunks = 40 } = {}) {
+  const pieces = [];
+  for (const paragraph of text.split('\n')) {
+    if (paragraph.length <= chunkChars) {
+      pieces.push(paragraph);
+      continue;
+    }
+    let current = '';
+    for (const sentence of paragraph.match(/[^.!?]+[.!?]+(\s|$)|[^.!?]+$/g) || [paragraph]) {
+      if (current && current.length + sentence.length > chunkChars) {
+        pieces.push(current.trim());
+        current = '';
+      }
+      current += sentence;
+    }
+    if (current.trim()) pieces.push(current.trim());
+  }
+
+  const chunks = [];
+  let current = '';
+  for (const piece of pieces) {
+    if (current && current.length + piece.length + 1 > chunkChars) {
+      chunks.push(current);
+      current = '';
+    }
+    current = current ? `${current}\n${piece}` : piece;
+  }
+  if (current) chunks.push(current);
+  return chunks.slice(0, maxChunks);
+}
+
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+const STOPWORDS = new Set(['the', 'and', 'for', 'with', 'that', 'this', 'from', 'are', 'was', 'were', 'what', 'how', 'why', 'can', 'does', 'about', 'into', 'your', 'have', 'has', 'not', 'but', 'its', 'their', 'they', 'you', 'our']);
+const terms = (text) => (text.toLowerCase().match(/[a-z0-9]{3,}/g) || []).filter(word => !STOPWORDS.has(word));
+
+// Share of the query's terms a chunk contains - used when embeddings aren't available
+function lexicalScore(query, chunk) {
+  const queryTerms = [...new Set(terms(query))];
+  if (queryTerms.length === 0) return 0;
+  const chunkTerms = new Set(terms(chunk));
+  return queryTerms.filter(term => chunkTerms.has(term)).length / queryTerms.length;
+}
+
+// ---------------------------------------------------------------------------
+// robots.txt
+// ---------------------------------------------------------------------------
+
+// The Allow/Disallow rules that apply to us: the group naming our token if
+// there is one, otherwise the "*" group
+function parseRobots(text) {
+  const groups = [];
+  let current = null;
+  let lastWasAgent = false;
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*/, '').trim();
+    const match = line.match(/^([a-z-]+)\s*:\s*(.*)$/i);
+    if (!match) continue;
+    const field = match[1].toLowerCase();
+    const value = match[2].trim();
+    if (field === 'user-agent') {
+      if (!lastWasAgent) groups.push((current = { agents: [], rules: [] }));
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+    lastWasAgent = false;
+    if (current && (field === 'allow' || field === 'disallow')) {
+      current.rules.push({ allow: field === 'allow', path: value });
+    }
+  }
+  const ours = groups.filter(g => g.agents.includes(ROBOTS_TOKEN));
+  const chosen = ours.length > 0 ? ours : groups.filter(g => g.agents.includes('*'));
+  return chosen.flatMap(g => g.rules).filter(rule => rule.path);
+}
+
+function robotsPatternToRegex(pattern) {
+  const anchored = pattern.endsWith('$');
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${body}${anchored ? '$' : ''}`);
+}
+
+// Longest matching rule wins; Allow wins a tie
+function isPathAllowed(rules, pathWithQuery) {
+  let best = null;
+  for (const rule of rules) {
+    if (!robotsPatternToRegex(rule.path).test(pathWithQuery)) continue;
+    if (!best || rule.path.length > best.path.length || (rule.path.length === best.path.length && rule.allow)) {
+      best = rule;
+    }
+  }
+  return best ? best.allow : true;
+}
+
+// ---------------------------------------------------------------------------
+// Host checks
+// ---------------------------------------------------------------------------
+
+// IPv4 ranges a fetch must never reach: "this" network, private, shared
+// (CGNAT), loopback, link-local (incl. 169.254.169.254 metadata), IETF
+// protocol assignments, benchmarking, multicast and reserved
+const BLOCKED_IPV4 = [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+];
+
+const ipv4ToInt = (address) => address.split('.').reduce((total, octet) => total * 256 + Number(octet), 0);
+
+function isPrivateAddress(address) {
+  if (net.isIPv4(address)) {
+    const value = ipv4ToInt(address);
+    return BLOCKED_IPV4.some(([base, bits]) => Math.floor(value / 2 ** (32 - bits)) === Math.floor(ipv4ToInt(base) / 2 ** (32 - bits)));
+  }
+  if (net.isIPv6(address)) {
+    const lower = address.toLowerCase().replace(/^\[|\]$/g, '');
+    // IPv4-mapped, written dotted or (as URLs normalise it) in hex
+    const mapped = lower.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+    if (mapped) return isPrivateAddress(mapped[1]);
+    const mappedHex = lower.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+    if (mappedHex) {
+      const [high, low] = [parseInt(mappedHex[1], 16), parseInt(mappedHex[2], 16)];
+      return isPrivateAddress(`${high >> 8}.${high & 255}.${low >> 8}.${low & 255}`);
+    }
+    if (lower === '::' || lower === '::1') return true;
+    // fc00::/7 unique local, fe80::/10 link-local, ff00::/8 multicast
+    return /^f[cd][0-9a-f]{0,2}:/.test(lower) || /^fe[89ab][0-9a-f]?:/.test(lower) || /^ff[0-9a-f]{0,2}:/.test(lower);
+  }
+  return true; // not an address at all
+}
+
+// ---------------------------------------------------------------------------
+// Fetcher
+// ---------------------------------------------------------------------------
+
+function createSourceFetcher({
+  timeoutMs = 10000,
+  maxBytes = 2 * 1024 * 1024,
+  respectRobots = true,
+  fixturesDir = null,
+  allowPrivateHosts = false,
+  lookup = null // (hostname) => [{ address }], for tests; defaults to DNS
+} = {}) {
+  const robotsCache = new Map(); // key: origin, value: { rules, allowAll, disallowAll, fetchedAt }
+  let fixtureIndex = null;
+
+  function loadFixtureIndex() {
+    if (!fixtureIndex) {
+      try {
+        fixtureIndex = fs.readJsonSync(path.join(fixturesDir, 'index.json'));
+      } catch (e) {
+        console.warn(`[Sources] No fixture index in ${fixturesDir}:`, e.message);
+        fixtureIndex = {};
+      }
+    }
+    return fixtureIndex;
+  }
+
+  // Same shape as a network response: { status, contentType, body, truncated }
+  async function readFixture(url) {
+    const entry = loadFixtureIndex()[url];
+    if (!entry) return { status: 404, contentType: 'text/plain', body: '', truncated: false };
+    const { file, status = 200, contentType, location } = typeof entry === 'string' ? { file: entry } : entry;
+    if (!file) return { status, contentType: contentType || 'text/plain', body: '', truncated: false, location: location || null };
+    const buffer = await fs.readFile(path.join(fixturesDir, file));
+    return {
+      status,
+      contentType: contentType || (file.endsWith('.txt') ? 'text/plain' : 'text/html'),
+      body: buffer.subarray(0, maxBytes).toString('utf8'),
+      truncated: buffer.length > maxBytes
+    };
+  }
+
+  // Throws SourceSkipError unless every address the host resolves to is public
+  async function checkHost(parsed) {
+    if (allowPrivateHosts) return;
+    const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+    // Fixture mode never touches the network, so only literal addresses are checked
+    if (fixturesDir && !lookup && !net.isIP(hostname)) return;
+    let addresses;
+    try {
+      addresses = net.isIP(hostname)
+        ? [{ address: hostname }]
+        : await (lookup || ((name) => dns.promises.lookup(name, { all: true, verbatim: true })))(hostname);
+    } catch (error) {
+      throw new SourceSkipError(`could not resolve ${hostname}: ${error.code || error.message}`);
+    }
+    if (addresses.length === 0 || addresses.some(({ address }) => isPrivateAddress(address))) {
+      throw new SourceSkipError(`${hostname} is a private or local address`);
+    }
+  }
+
+  // One GET, no redirects followed, with a timeout and a byte cap; the body
+  // stops being read at the cap. A redirect comes back as { status, location }.
+  async function download(url, { signal, limit = maxBytes } = {}) {
+    if (fixturesDir) return readFixture(url);
+
+    const timeout = AbortSignal.timeout(timeoutMs);
+    const response = await fetch(url, {
+      headers: { 'User-Agent': USER_AGENT, 'Accept': 'text/html,application/xhtml+xml,text/plain;q=0.9' },
+      redirect: 'manual',
+      signal: signal ? AbortSignal.any([signal, timeout]) : timeout
+    });
+    const contentType = (response.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+    if (response.status >= 300 && response.status < 400 && response.headers.get('location')) {
+      await response.body?.cancel().catch(() => {});
+      return { status: response.status, contentType, body: '', truncated: false, location: response.headers.get('location') };
+    }
+    if (!response.ok || !response.body || !ACCEPTED_TYPES.includes(contentType)) {
+      await response.body?.cancel().catch(() => {});
+      return { status: response.status, contentType, body: '', truncated: false };
+    }
+
+    const reader = response.body.getReader();
+    const parts = [];
+    let bytes = 0;
+    let truncated = false;
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      parts.push(value);
+      bytes += value.length;
+      if (bytes >= limit) {
+        truncated = true;
+        await reader.cancel().catch(() => {});
+        break;
+      }
+    }
+    const body = Buffer.concat(parts).subarray(0, limit).toString('utf8');
+    return { status: response.status, contentType, body, truncated };
+  }
+
+  // download() hop by hop. Every URL, the first and each one a redirect points
+  // to, must be http(s) on a public host, and for pages (checkRobots) allowed by
+  // its site's robots.txt. Returns the last hop's result with its finalUrl.
+  async function follow(url, { signal, limit, checkRobots = false } = {}) {
+    let current = url;
+    for (let hop = 0; ; hop++) {
+      let parsed;
+      try {
+        parsed = new URL(current);
+      } catch (e) {
+        throw new SourceSkipError(hop === 0 ? 'invalid URL' : `redirect to an invalid URL (${current})`);
+      }
+      if (!['http:', 'https:'].includes(parsed.protocol)) {
+        throw new SourceSkipError(hop === 0 ? 'not an http(s) URL' : `redirect to a non-http(s) URL (${current})`);
+      }
+      await checkHost(parsed);
+      if (checkRobots && !(await isAllowed(parsed.href, signal))) {
+        throw new SourceSkipError(hop === 0 ? 'disallowed by robots.txt' : `redirect to ${parsed.href}, disallowed by robots.txt`);
+      }
+
+      const result = await download(parsed.href, { signal, limit });
+      if (!result.location) return { ...result, finalUrl: parsed.href };
+      if (hop >= MAX_REDIRECTS) throw new SourceSkipError(`more than ${MAX_REDIRECTS} redirects`, { status: result.status });
+      current = new URL(result.location, parsed.href).href;
+    }
+  }
+
+  // RFC 9309: a missing robots.txt (4xx) allows everything; one that can't be
+  // fetched (5xx, network error) disallows everything for now
+  async function robotsFor(origin, signal) {
+    const cached = robotsCache.get(origin);
+    if (cached && Date.now() - cached.fetchedAt < ROBOTS_TTL_MS) return cached;
+
+    let entry;
+    try {
+      const result = await follow(`${origin}/robots.txt`, { signal, limit: ROBOTS_MAX_BYTES });
+      if (result.status >= 200 && result.status < 300) {
+        entry = { rules: parseRobots(result.body) };
+      } else if (result.status >= 400 && result.status < 500) {
+        entry = { rules: [] };
+      } else {
+        entry = { rules: [], disallowAll: true };
+      }
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      entry = { rules: [], disallowAll: true };
+    }
+    entry.fetchedAt = Date.now();
+    robotsCache.set(origin, entry);
+    return entry;
+  }
+
+  async function isAllowed(url, signal) {
+    if (!respectRobots) return true;
+    const parsed = new URL(url);
+    const robots = await robotsFor(parsed.origin, signal);
+    if (robots.disallowAll) return false;
+    return isPathAllowed(robots.rules, `${parsed.pathname}${parsed.search}`);
+  }
+
+  // Fetch one page and extract its text. Returns { url, finalUrl, status, title,
+  // text, bytes, truncated }; throws SourceSkipError when the page can't be used.
+  async function fetchPage(url, { signal } = {}) {
+    let result;
+    try {
+      result = await follow(url, { signal, checkRobots: true });
+    } catch (error) {
+      if (error instanceof SourceSkipError || signal?.aborted) throw error;
+      throw new SourceSkipError(error.name === 'TimeoutError' ? `timed out after ${timeoutMs} ms` : `fetch failed: ${error.message}`);
+    }
+    if (result.status < 200 || result.status >= 300) throw new SourceSkipError(`HTTP ${result.status}`, { status: result.status });
+    if (!ACCEPTED_TYPES.includes(result.contentType)) throw new SourceSkipError(`unsupported content type ${result.contentType || 'unknown'}`, { status: result.status });
+    if (!result.body) throw new SourceSkipError('empty page', { status: result.status });
+
+    const { title, text } = result.contentType === 'text/plain'
+      ? { title: '', text: result.body.split('\n').map(l => l.trim()).filter(Boolean).join('\n') }
+      : extractReadableText(result.body);
+    if (!text) throw new SourceSkipError('no readable text', { status: result.status });
+
+    return {
+      url,
+      finalUrl: result.finalUrl,
+      status: result.status,
+      title,
+      text,
+      bytes: Buffer.byteLength(result.body),
+      truncated: result.truncated
+    };
+  }
+
+  return {
+    fetchPage,
+    isAllowed,
+    mode: fixturesDir ? 'fixtures' : 'network'
+  };
+}
+
+module.exports = {
+  SourceSkipError,
+  createSourceFetcher,
+  extractReadableText,
+  chunkText,
+  cosineSimilarity,
+  lexicalScore,
+  parseRobots,
+  isPathAllowed,
+  isPrivateAddress
+};
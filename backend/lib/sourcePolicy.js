@@ -0,0 +1,237 @@
+// ============================================================================
+// SOURCE POLICY
+// ============================================================================
+// Rates where a search result or fetched page comes from. Every URL is matched
+// against the policy's domain lists and gets a credibility tier (peer-reviewed
+// journal, government health agency, medical institution, university, health
+// news, forum, ...) and a score between 0 and 1 that is stored with the
+// result. Blocklisted domains are always dropped; results scoring under
+// minScore are dropped in "drop" mode and ranked last in "downweight" mode (the
+// default).
+//
+// Domains match themselves and their subdomains, so "nih.gov" covers
+// "pubmed.ncbi.nlm.nih.gov" and "gov" covers every .gov host. The most specific
+// (longest) match wins. An entry with a path ("reddit.com/r/") only matches
+// URLs under that path.
+//
+// Configuration (env):
+//   SOURCE_POLICY_FILE      JSON file merged over the defaults below
+//                           ({ mode, minScore, allow, block, tiers })
+//   SOURCE_POLICY_MODE      "downweight" or "drop"
+//   SOURCE_MIN_CREDIBILITY  score below which results are dropped / down-weighted
+//   SOURCE_ALLOWLIST        comma-separated domains that are always kept
+//   SOURCE_BLOCKLIST        comma-separated domains that are always dropped
+
+const fs = require('fs-extra');
+
+// Tiers from most to least credible. score is what results in the tier get.
+const DEFAULT_TIERS = {
+  peer_reviewed: {
+    label: 'Peer-reviewed',
+    score: 1.0,
+    domains: ['pubmed.ncbi.nlm.nih.gov', 'ncbi.nlm.nih.gov/pmc', 'cochranelibrary.com', 'nejm.org', 'thelancet.com',
+      'bmj.com', 'jamanetwork.com', 'nature.com', 'sciencedirect.com', 'academic.oup.com', 'journals.plos.org',
+      'frontiersin.org', 'link.springer.com', 'onlinelibrary.wiley.com', 'jcsm.aasm.org', 'mdpi.com']
+  },
+  government: {
+    label: 'Government health agency',
+    score: 0.9,
+    domains: ['nih.gov', 'cdc.gov', 'fda.gov', 'medlineplus.gov', 'health.gov', 'who.int', 'nhs.uk', 'nice.org.uk',
+      'canada.ca', 'healthdirect.gov.au', 'moh.gov.sg', 'gov', 'gov.uk', 'gov.au', 'gov.sg']
+  },
+  medical_institution: {
+    label: 'Medical institution',
+    score: 0.8,
+    domains: ['mayoclinic.org', 'clevelandclinic.org', 'hopkinsmedicine.org', 'health.harvard.edu', 'sleepfoundation.org',
+      'aasm.org', 'heart.org']
+  },
+  academic: {
+    label: 'University / academic',
+    score: 0.7,
+    domains: ['edu', 'ac.uk', 'edu.au', 'edu.sg']
+  },
+  health_news: {
+    label: 'Health news',
+    score: 0.6,
+    domains: ['healthline.com', 'webmd.com', 'medicalnewstoday.com', 'verywellhealth.com', 'everydayhealth.com',
+      'health.com', 'sciencedaily.com', 'statnews.com', 'bbc.com/news/health', 'nytimes.com/well']
+  },
+  unrated: {
+    label: 'Unrated',
+    score: 0.4,
+    domains: []
+  },
+  forum: {
+    label: 'Forum / user-generated',
+    score: 0.2,
+    domains: ['reddit.com', 'quora.com', 'stackexchange.com', 'answers.yahoo.com', 'medium.com', 'facebook.com',
+      'pinterest.com', 'tiktok.com', 'x.com', 'twitter.com']
+  }
+};
+
+const DEFAULT_POLICY = {
+  mode: 'downweight',
+  minScore: 0.3,
+  allow: [],
+  // The gaming and entertainment results the prompts used to warn about
+  block: ['ign.com', 'gamespot.com', 'polygon.com', 'kotaku.com', 'fandom.com', 'imdb.com', 'steampowered.com',
+    'twitch.tv', 'rottentomatoes.com'],
+  tiers: DEFAULT_TIERS
+};
+
+const FALLBACK_TIER = 'unrated';
+const ALLOWLIST_SCORE = 0.9; // allowlisted domains without a better tier
+
+const splitList = (value) => String(value || '').split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+
+// A tier score from the policy file: a number (or numeric string) from 0 to 1,
+// else the tier's built-in score with a warning
+function tierScore(name, value, fallback) {
+  if (value === undefined) return fallback;
+  const score = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  if (typeof score === 'number' && Number.isFinite(score) && score >= 0 && score <= 1) return score;
+  console.warn(`[SourcePolicy] Ignoring score ${JSON.stringify(value)} for tier "${name}" (must be a number from 0 to 1) - using ${fallback}`);
+  return fallback;
+}
+
+// Defaults <- SOURCE_POLICY_FILE <- the SOURCE_* env vars. Tiers merge by key,
+// so a file can add domains to one tier or add a tier of its own. A tier's
+// domains are added to the built-in ones; a domain the file lists is taken out
+// of every other tier, so the file can also move a domain to another tier.
+function loadSourcePolicyConfig(env = process.env) {
+  let fromFile = {};
+  if (env.SOURCE_POLICY_FILE) {
+    try {
+      fromFile = fs.readJsonSync(env.SOURCE_POLICY_FILE);
+    } catch (e) {
+      console.warn(`[SourcePolicy] Ignoring unreadable SOURCE_POLICY_FILE ${env.SOURCE_POLICY_FILE}:`, e.message);
+    }
+  }
+  const tiers = { ...DEFAULT_TIERS };
+  const listed = new Map(); // domain from the file -> tier it was listed under
+  for (const [name, tier] of Object.entries(fromFile.tiers || {})) {
+    const base = tiers[name] || { label: name, score: DEFAULT_TIERS[FALLBACK_TIER].score, domains: [] };
+    const domains = Array.isArray(tier.domains) ? tier.domains.map(domain => String(domain).trim().toLowerCase()) : [];
+    domains.forEach(domain => listed.set(domain, name));
+    tiers[name] = { ...base, ...tier, score: tierScore(name, tier.score, base.score), domains: [...new Set([...base.domains, ...domains])] };
+  }
+  for (const [name, tier] of Object.entries(tiers)) {
+    const domains = tier.domains.filter(domain => !listed.has(domain) || listed.get(domain) === name);
+    if (domains.length !== tier.domains.length) tiers[name] = { ...tier, domains };
+  }
+  const minScore = Number(env.SOURCE_MIN_CREDIBILITY ?? fromFile.minScore);
+  return {
+    mode: env.SOURCE_POLICY_MODE || fromFile.mode || DEFAULT_POLICY.mode,
+    minScore: Number.isFinite(minScore) ? minScore : DEFAULT_POLICY.minScore,
+    allow: [...(fromFile.allow || []), ...splitList(env.SOURCE_ALLOWLIST)],
+    block: [...DEFAULT_POLICY.block, ...(fromFile.block || []), ...splitList(env.SOURCE_BLOCKLIST)],
+    tiers
+  };
+}
+
+// "www.Example.com/path/" -> { host: 'example.com', path: '/path/' }
+function parseRule(entry) {
+  const text = String(entry).trim().toLowerCase().replace(/^https?:\/\//, '').replace(/^\*\./, '');
+  const slash = text.indexOf('/');
+  const host = (slash === -1 ? text : text.slice(0, slash)).replace(/^www\./, '');
+  return { host, path: slash === -1 ? '' : text.slice(slash), specificity: text.length };
+}
+
+function matches(rule, host, pathname) {
+  const hostMatches = host === rule.host || host.endsWith(`.${rule.host}`);
+  return hostMatches && (!rule.path || pathname.startsWith(rule.path));
+}
+
+// Most specific rule in the list that matches, or null
+function bestMatch(rules, host, pathname) {
+  let best = null;
+  for (const rule of rules) {
+    if (matches(rule, host, pathname) && (!best || rule.specificity > best.specificity)) best = rule;
+  }
+  return best;
+}
+
+function createSourcePolicy(config = loadSourcePolicyConfig()) {
+  const mode = config.mode === 'drop' ? 'drop' : 'downweight';
+  const allowRules = config.allow.map(parseRule);
+  const blockRules = config.block.map(parseRule);
+  const tierRules = Object.entries(config.tiers).flatMap(([tier, { domains = [] }]) =>
+    domains.map(domain => ({ ...parseRule(domain), tier }))
+  );
+  const tierInfo = (tier) => config.tiers[tier] || config.tiers[FALLBACK_TIER] || DEFAULT_TIERS[FALLBACK_TIER];
+
+  // { tier, label, score, domain, reason, action } for one URL, where action is
+  // "keep", "downweight" or "drop"
+  function rate(url) {
+    let host = '';
+    let pathname = '/';
+    try {
+      const parsed = new URL(url);
+      host = parsed.hostname.toLowerCase().replace(/^www\./, '');
+      pathname = parsed.pathname.toLowerCase();
+    } catch (e) {
+      return { tier: 'invalid', label: 'Invalid URL', score: 0, domain: null, reason: 'not a valid URL', action: 'drop' };
+    }
+
+    const blocked = bestMatch(blockRules, host, pathname);
+    const allowed = bestMatch(allowRules, host, pathname);
+    const tierRule = bestMatch(tierRules, host, pathname);
+    const tier = tierRule ? tierRule.tier : FALLBACK_TIER;
+    const { label, score } = tierInfo(tier);
+    const rating = { tier, label, score, domain: host };
+
+    // An allowlist entry beats a blocklist entry only if it is more specific
+    if (blocked && !(allowed && allowed.specificity > blocked.specificity)) {
+      return { ...rating, score: 0, reason: `blocklisted (${blocked.host}${blocked.path})`, action: 'drop' };
+    }
+    if (allowed) {
+      return { ...rating, score: Math.max(score, ALLOWLIST_SCORE), reason: `allowlisted (${allowed.host}${allowed.path})`, action: 'keep' };
+    }
+    const reason = tierRule ? `${label} (${tierRule.host}${tierRule.path})` : 'no tier matched';
+    if (score < config.minScore) return { ...rating, reason, action: mode === 'drop' ? 'drop' : 'downweight' };
+    return { ...rating, reason, action: 'keep' };
+  }
+
+  // Rate a list of search results ({ link, ... }). Kept results get a
+  // credibility field and come back ranked, most credible first.
+  function apply(results, { urlField = 'link' } = {}) {
+    const kept = [];
+    const dropped = [];
+    for (const result of results) {
+      const { action, ...credibility } = rate(result[urlField]);
+      if (action === 'drop') {
+        dropped.push({ ...result, credibility });
+      } else {
+        kept.push({ ...result, credibility: { ...credibility, downweighted: action === 'downweight' } });
+      }
+    }
+    return { kept: rankByCredibility(kept), dropped };
+  }
+
+  return { mode, minScore: config.minScore, rate, apply };
+}
+
+// Most credible first; results without a rating count as unrated and the
+// original order is kept within a score
+function rankByCredibility(results) {
+  const scoreOf = (result) => result.credibility?.score ?? DEFAULT_TIERS[FALLBACK_TIER].score;
+  return results
+    .map((result, index) => ({ result, index }))
+    .sort((a, b) => scoreOf(b.result) - scoreOf(a.result) || a.index - b.index)
+    .map(({ result }) => result);
+}
+
+// Short label for prompts, e.g. "Peer-reviewed, 1.0"
+function credibilityLabel(result) {
+  if (!result?.credibility) return 'Unrated';
+  const { label, score, downweighted } = result.credibility;
+  return `${label}, ${score.toFixed(1)}${downweighted ? ', low credibility' : ''}`;
+}
+
+module.exports = {
+  DEFAULT_TIERS,
+  loadSourcePolicyConfig,
+  createSourcePolicy,
+  rankByCredibility,
+  credibilityLabel
+};
@@ -0,0 +1,149 @@
+// ============================================================================
+// STRUCTURED PLANNER OUTPUT
+// ============================================================================
+// The Task Breakdown AI and the Progress Analyzer answer with JSON objects that
+// match the schemas below (sent as response_format through
+// callOpenRouterJSONWithFallback, which already repairs the JSON syntax and
+// checks the schema - see jsonOutput.js). Replies are checked here, including step
+// counts since not every provider enforces array limits. When one can't be used,
+// buildRepairPrompt tells the model exactly what to fix instead of asking for the
+// whole thing again; the JSON fallback loop uses it for its re-prompt too.
+
+const MAX_STEPS = 12;
+
+// Task Breakdown AI: the numbered steps for the JSON Executor, why they were
+// chosen, and optionally a custom system prompt for the executor
+const BREAKDOWN_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    steps: { type: 'array', items: { type: 'string' } },
+    rationale: { type: 'string' },
+    executorPrompt: { type: ['string', 'null'] }
+  },
+  required: ['steps', 'rationale', 'executorPrompt']
+};
+
+// Progress Analyzer (check_and_update_plan): its assessment, and replacement
+// steps when it decides more research is needed
+const PROGRESS_REVIEW_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    assessment: { type: 'string' },
+    needsMoreResearch: { type: 'boolean' },
+    updatedSteps: { type: 'array', items: { type: 'string' } },
+    rationale: { type: 'string' }
+  },
+  required: ['assessment', 'needsMoreResearch', 'updatedSteps', 'rationale']
+};
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+
+// Steps must be a non-empty list of non-empty strings. Leading "1)" / "2." that
+// models like to add are stripped since formatSteps numbers them again.
+function checkSteps(steps, field, errors) {
+  if (!Array.isArray(steps) || steps.length === 0) {
+    errors.push(`"${field}" must be a non-empty array of strings`);
+    return [];
+  }
+  const cleaned = [];
+  steps.forEach((step, i) => {
+    if (!isNonEmptyString(step)) {
+      errors.push(`"${field}[${i}]" must be a non-empty string`);
+      return;
+    }
+    cleaned.push(step.trim().replace(/^\d+\s*[).:-]\s*/, ''));
+  });
+  if (steps.length > MAX_STEPS) {
+    errors.push(`"${field}" has ${steps.length} items; use at most ${MAX_STEPS}`);
+  }
+  return cleaned;
+}
+
+// Returns { value, errors, warnings }; value is null when there are errors.
+// Only problems that stop the reply being used are errors - a missing rationale
+// is just a warning.
+function validateBreakdown(reply) {
+  const errors = [];
+  const warnings = [];
+  if (!reply || typeof reply !== 'object' || Array.isArray(reply)) {
+    return { value: null, errors: ['Reply must be a JSON object with "steps", "rationale" and "executorPrompt"'], warnings };
+  }
+
+  const steps = checkSteps(reply.steps, 'steps', errors);
+  if (!isNonEmptyString(reply.rationale)) warnings.push('No rationale given');
+  let executorPrompt = null;
+  if (isNonEmptyString(reply.executorPrompt)) {
+    executorPrompt = reply.executorPrompt.trim();
+  } else if (reply.executorPrompt !== null && reply.executorPrompt !== undefined && reply.executorPrompt !== '') {
+    errors.push('"executorPrompt" must be a string or null');
+  }
+
+  if (errors.length > 0) return { value: null, errors, warnings };
+  return {
+    value: { steps, rationale: isNonEmptyString(reply.rationale) ? reply.rationale.trim() : '', executorPrompt },
+    errors,
+    warnings
+  };
+}
+
+function validateProgressReview(reply) {
+  const errors = [];
+  const warnings = [];
+  if (!reply || typeof reply !== 'object' || Array.isArray(reply)) {
+    return { value: null, errors: ['Reply must be a JSON object with "assessment", "needsMoreResearch", "updatedSteps" and "rationale"'], warnings };
+  }
+
+  if (!isNonEmptyString(reply.assessment)) errors.push('"assessment" must be a non-empty string');
+  if (typeof reply.needsMoreResearch !== 'boolean') errors.push('"needsMoreResearch" must be true or false');
+
+  let updatedSteps = [];
+  if (reply.needsMoreResearch === true) {
+    updatedSteps = checkSteps(reply.updatedSteps, 'updatedSteps', errors);
+  } else if (Array.isArray(reply.updatedSteps) && reply.updatedSteps.length > 0) {
+    warnings.push('"updatedSteps" given without needsMoreResearch; ignored');
+  }
+  if (!isNonEmptyString(reply.rationale)) warnings.push('No rationale given');
+
+  if (errors.length > 0) return { value: null, errors, warnings };
+  return {
+    value: {
+      assessment: reply.assessment.trim(),
+      needsMoreResearch: reply.needsMoreResearch,
+      updatedSteps,
+      rationale: isNonEmptyString(reply.rationale) ? reply.rationale.trim() : ''
+    },
+    errors,
+    warnings
+  };
+}
+
+// Follow-up message asking the model to fix only what was wrong with its last reply
+function buildRepairPrompt(originalPrompt, previousReply, errors) {
+  const previous = String(previousReply ?? '').slice(0, 4000);
+  return `${originalPrompt}
+
+---
+Your previous reply could not be used:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Previous reply:
+${previous}
+
+Reply again with the complete JSON object. Fix only the problems listed above and keep everything else the same. Return only the JSON.`;
+}
+
+// "1) ...\n2) ..." - the format the JSON Executor prompt expects
+function formatSteps(steps) {
+  return steps.map((step, i) => `${i + 1}) ${step}`).join('\n');
+}
+
+module.exports = {
+  BREAKDOWN_SCHEMA,
+  PROGRESS_REVIEW_SCHEMA,
+  validateBreakdown,
+  validateProgressReview,
+  buildRepairPrompt,
+  formatSteps
+};
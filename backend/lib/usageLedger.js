@@ -0,0 +1,138 @@
+// ============================================================================
+// USAGE LEDGER
+// ============================================================================
+// Every outbound call a job makes (LLM attempts, Jina embeddings, web
+// searches, Fitbit requests, source page fetches) appends one line to the job folder's usage.jsonl:
+// what was called, how long it took, the tokens it used and an estimated cost.
+// The summaries below roll those lines up per kind, model and task so it's
+// easy to see which stages eat the budget.
+
+const fs = require('fs-extra');
+const path = require('path');
+
+const USAGE_FILENAME = 'usage.jsonl';
+
+// Prices used for the cost estimate, overridable with the USAGE_PRICES env var
+// (JSON with the same shape). Model prices are USD per million tokens; models
+// without a price (and not ":free") are counted as unpriced rather than guessed.
+const DEFAULT_PRICES = {
+  models: {},                      // { "model/id": { input: 0.15, output: 0.6 } }
+  embeddingPerMillionTokens: null, // Jina
+  searchPerQuery: 0.005,           // Google Custom Search list price beyond the free tier
+  searchPerQueryByProvider: {      // other search providers; these override searchPerQuery
+    brave: 0.003,
+    searxng: 0,                    // self-hosted
+    local: 0
+  },
+  fitbitPerCall: 0
+};
+
+function loadPrices() {
+  try {
+    const overrides = process.env.USAGE_PRICES ? JSON.parse(process.env.USAGE_PRICES) : {};
+    return {
+      ...DEFAULT_PRICES,
+      ...overrides,
+      models: { ...DEFAULT_PRICES.models, ...(overrides.models || {}) },
+      searchPerQueryByProvider: { ...DEFAULT_PRICES.searchPerQueryByProvider, ...(overrides.searchPerQueryByProvider || {}) }
+    };
+  } catch (e) {
+    console.warn('[Usage] Ignoring invalid USAGE_PRICES:', e.message);
+    return DEFAULT_PRICES;
+  }
+}
+
+const prices = loadPrices();
+
+// Estimated USD cost of one call, or null if we have no price for it
+function estimateCost(entry) {
+  switch (entry.kind) {
+    case 'llm': {
+      if (entry.provider === 'ollama' || entry.local) return 0; // local model
+      const price = prices.models[entry.model];
+      if (price) {
+        return ((entry.tokensIn || 0) * price.input + (entry.tokensOut || 0) * price.output) / 1e6;
+      }
+      return String(entry.model || '').endsWith(':free') ? 0 : null;
+    }
+    case 'embedding':
+      return prices.embeddingPerMillionTokens == null ? null : ((entry.tokensIn || 0) * prices.embeddingPerMillionTokens) / 1e6;
+    case 'search':
+      return prices.searchPerQueryByProvider[entry.provider] ?? prices.searchPerQuery;
+    case 'fitbit':
+      return prices.fitbitPerCall;
+    case 'fetch':
+      return 0; // plain page downloads
+    default:
+      return null;
+  }
+}
+
+// Append one entry. costUsd is filled in from the price table unless the
+// provider reported an actual cost.
+function appendUsage(folderPath, entry) {
+  const record = {
+    at: new Date().toISOString(),
+    ...entry
+  };
+  if (record.costUsd === undefined) record.costUsd = estimateCost(record);
+  try {
+    fs.appendFileSync(path.join(folderPath, USAGE_FILENAME), JSON.stringify(record) + '\n');
+  } catch (e) {
+    console.warn(`[Usage] Failed to record ${entry.kind} usage:`, e.message);
+  }
+  return record;
+}
+
+function readUsage(folderPath) {
+  try {
+    return fs.readFileSync(path.join(folderPath, USAGE_FILENAME), 'utf8')
+      .split('\n')
+      .filter(line => line.trim())
+      .map(line => {
+        try { return JSON.parse(line); } catch (e) { return null; }
+      })
+      .filter(Boolean);
+  } catch (e) {
+    return [];
+  }
+}
+
+function emptyTotals() {
+  return { calls: 0, failedCalls: 0, tokensIn: 0, tokensOut: 0, latencyMs: 0, costUsd: 0, unpricedCalls: 0 };
+}
+
+function addToTotals(totals, entry) {
+  totals.calls += 1;
+  if (entry.success === false) totals.failedCalls += 1;
+  totals.tokensIn += entry.tokensIn || 0;
+  totals.tokensOut += entry.tokensOut || 0;
+  totals.latencyMs += entry.latencyMs || 0;
+  if (entry.costUsd == null) totals.unpricedCalls += 1;
+  else totals.costUsd += entry.costUsd;
+}
+
+// Roll entries up overall and per kind, model and task
+function summarizeUsage(entries) {
+  const summary = { total: emptyTotals(), byKind: {}, byModel: {}, byTask: {} };
+  const bucket = (group, key) => (group[key] = group[key] || emptyTotals());
+
+  for (const entry of entries) {
+    addToTotals(summary.total, entry);
+    addToTotals(bucket(summary.byKind, entry.kind || 'unknown'), entry);
+    if (entry.model) addToTotals(bucket(summary.byModel, entry.model), entry);
+    if (entry.task) addToTotals(bucket(summary.byTask, entry.task), entry);
+  }
+  // Keep float noise out of the reported costs
+  for (const totals of [summary.total, ...Object.values(summary.byKind), ...Object.values(summary.byModel), ...Object.values(summary.byTask)]) {
+    totals.costUsd = Math.round(totals.costUsd * 1e6) / 1e6;
+  }
+  return summary;
+}
+
+module.exports = {
+  USAGE_FILENAME,
+  appendUsage,
+  readUsage,
+  summarizeUsage
+};
@@ -0,0 +1,88 @@
+// ============================================================================
+// CASSETTE TESTS
+// ============================================================================
+// Records calls into a cassette in a temp dir and replays them: identical
+// requests in recorded order, misses, loose matching and what is not recorded.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createCassette, CassetteMissError } = require('../lib/cassette.js');
+
+const withCassetteFile = async (fn) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cassette-'));
+  try {
+    await fn(path.join(dir, 'nested', 'cassette.json'));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+};
+
+// A live call that answers with the next reply and counts how often it ran
+const liveCalls = (...replies) => {
+  const live = () => {
+    live.count++;
+    return replies.shift();
+  };
+  live.count = 0;
+  return live;
+};
+
+test('replays recorded responses without calling out', () => withCassetteFile(async (filePath) => {
+  const recorder = createCassette({ mode: 'record', filePath });
+  const live = liveCalls({ answer: 'first' }, { answer: 'second' }, { answer: 'other' });
+  await recorder.run('openrouter', 'Plan', { prompt: 'p' }, live);
+  await recorder.run('openrouter', 'Plan', { prompt: 'p' }, live);
+  await recorder.run('openrouter', 'Plan', { prompt: 'q' }, live);
+  assert.equal(live.count, 3);
+  assert.equal(JSON.parse(fs.readFileSync(filePath, 'utf8')).entries.length, 3);
+
+  const player = createCassette({ mode: 'replay', filePath });
+  const offline = liveCalls();
+  // Identical requests come back in recorded order, then the last one repeats
+  assert.deepEqual(await player.run('openrouter', 'Plan', { prompt: 'p' }, offline), { answer: 'first' });
+  assert.deepEqual(await player.run('openrouter', 'Plan', { prompt: 'p' }, offline), { answer: 'second' });
+  assert.deepEqual(await player.run('openrouter', 'Plan', { prompt: 'p' }, offline), { answer: 'second' });
+  assert.deepEqual(await player.run('openrouter', 'Plan', { prompt: 'q' }, offline), { answer: 'other' });
+  assert.equal(offline.count, 0);
+  assert.equal(player.isReplaying(), true);
+}));
+
+test('a changed request is a miss unless loose matching is on', () => withCassetteFile(async (filePath) => {
+  const recorder = createCassette({ mode: 'record', filePath });
+  await recorder.run('openrouter', 'Plan', { prompt: 'Monday' }, liveCalls({ answer: 'monday' }));
+
+  const strict = createCassette({ mode: 'replay', filePath });
+  await assert.rejects(strict.run('openrouter', 'Plan', { prompt: 'Tuesday' }, liveCalls()), CassetteMissError);
+  await assert.rejects(strict.run('google', 'Plan', { prompt: 'Monday' }, liveCalls()), /No recorded google response for "Plan"/);
+
+  const loose = createCassette({ mode: 'replay', filePath, looseMatch: true });
+  assert.deepEqual(await loose.run('openrouter', 'Plan', { prompt: 'Tuesday' }, liveCalls()), { answer: 'monday' });
+  // Each recorded entry is only borrowed once
+  await assert.rejects(loose.run('openrouter', 'Plan', { prompt: 'Wednesday' }, liveCalls()), CassetteMissError);
+}));
+
+test('shouldRecord keeps failures out of the cassette', () => withCassetteFile(async (filePath) => {
+  const recorder = createCassette({ mode: 'record', filePath });
+  const onlyOk = { shouldRecord: (response) => response.ok };
+  assert.deepEqual(await recorder.run('ollama', 'Plan', {}, liveCalls({ ok: false }), onlyOk), { ok: false });
+  await recorder.run('ollama', 'Plan', {}, liveCalls({ ok: true }), onlyOk);
+  assert.deepEqual(JSON.parse(fs.readFileSync(filePath, 'utf8')).entries.map(entry => entry.response), [{ ok: true }]);
+}));
+
+test('off mode and unknown modes pass calls straight through', () => withCassetteFile(async (filePath) => {
+  const live = liveCalls('a', 'b');
+  assert.equal(await createCassette({ mode: 'off', filePath }).run('jina', 'Read', {}, live), 'a');
+  const warn = console.warn;
+  console.warn = () => {};
+  try {
+    const unknown = createCassette({ mode: 'playback', filePath });
+    assert.equal(unknown.mode, 'off');
+    assert.equal(await unknown.run('jina', 'Read', {}, live), 'b');
+  } finally {
+    console.warn = warn;
+  }
+  assert.equal(fs.existsSync(filePath), false);
+}));
@@ -0,0 +1,77 @@
+// ============================================================================
+// CITATION TESTS
+// ============================================================================
+// Evidence numbering, the post-check on inline [n] citations and the
+// references section.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildEvidence, citedIds, stripModelReferences, checkCitations, appendReferences } = require('../lib/citations.js');
+
+const evidence = buildEvidence({
+  fitbitSleepData: { date: '2026-10-17', minutesAsleep: 402 },
+  diaryEntries: { startDate: '2026-10-11', endDate: '2026-10-17', count: 2, averages: {}, entries: [] },
+  sourcePassages: [
+    { url: 'https://www.cdc.gov/sleep/about/', title: 'About Sleep', credibility: { label: 'Government health agency', score: 0.9 }, passages: [{ text: 'Adults need  seven hours.' }] },
+    { url: 'https://cdc.gov/sleep/about', title: 'About Sleep', passages: [{ text: 'Second passage.' }] }
+  ],
+  searchResults: [
+    { title: 'About Sleep', link: 'https://www.cdc.gov/sleep/about/?utm_source=x', snippet: 'dup' },
+    { title: 'Caffeine', link: 'https://example.org/caffeine', snippet: 'Caffeine delays sleep.' },
+    { title: 'No link', snippet: 'skipped' }
+  ],
+  memories: [{ title: 'Bedtime', content: 'Goes to bed\nat 23:00.' }]
+});
+
+test('numbers personal data, sources, search results and memories in order', () => {
+  assert.deepEqual(evidence.map(item => [item.id, item.kind]), [[1, 'fitbit'], [2, 'diary'], [3, 'source'], [4, 'search'], [5, 'memory']]);
+  // The same page found twice keeps one id and gathers its passages
+  assert.equal(evidence[2].content, 'Adults need seven hours. … Second passage.');
+  assert.equal(evidence[2].credibility, 'Government health agency, 0.9');
+  assert.equal(evidence[3].url, 'https://example.org/caffeine');
+  assert.equal(evidence[4].content, 'Goes to bed at 23:00.');
+});
+
+test('reads grouped and repeated citations', () => {
+  assert.deepEqual(citedIds('A [2]. B [3, 1]; C [1][4;5]. Not [x] or [].'), [2, 3, 1, 4, 5]);
+});
+
+test('finds uncited claims and citations that point at nothing', () => {
+  const answer = [
+    '## Your Sleep',
+    'You slept for about six hours and forty minutes last night [1].',
+    'Caffeine after lunch can delay the time you fall asleep by an hour.',
+    'Did you have coffee in the afternoon yesterday, or was it tea?',
+    'Most adults need at least seven hours of sleep each night [3][9].',
+    '## Key Insights to Remember',
+    '- Keeping a regular bedtime helps your body clock stay on schedule.'
+  ].join('\n');
+  const check = checkCitations(answer, evidence);
+  assert.deepEqual(check.citedIds, [1, 3]);
+  assert.deepEqual(check.unknownCitations, [9]);
+  assert.deepEqual(check.uncitedEvidence, [2, 4, 5]);
+  assert.equal(check.claimCount, 3);
+  assert.deepEqual(check.uncitedClaims, ['Caffeine after lunch can delay the time you fall asleep by an hour.']);
+  assert.equal(check.ok, false);
+  assert.equal(checkCitations('Short line.', evidence).ok, true);
+});
+
+test('strips references sections the model wrote', () => {
+  const body = 'Sleep more [1].';
+  assert.equal(stripModelReferences(`${body}\n\n## References\n1. CDC\n2. NIH\n\n## Next Steps\nGo to bed.`), `${body}\n\n## Next Steps\nGo to bed.`);
+  assert.equal(stripModelReferences(`${body}\n\n**Sources:**\n- https://cdc.gov\n- [2] NIH\n\nThanks!`), `${body}\n\nThanks!`);
+  assert.equal(stripModelReferences(`${body}\n\nReferences:\n[1] CDC\n<https://nih.gov>`), body);
+  assert.equal(stripModelReferences(`${body}\n__Citations__:\n1) CDC`), body);
+  // Mentions in a sentence are not a references block
+  const prose = `${body}\nSources: your Fitbit and your diary agree on this.\nThe references you asked about are below.`;
+  assert.equal(stripModelReferences(prose), `${body}\nThe references you asked about are below.`);
+});
+
+test('appends the cited evidence as references', () => {
+  const check = { citedIds: [3, 1] };
+  assert.equal(
+    appendReferences('Answer.', evidence, check),
+    'Answer.\n\n## References\n\n[1] Fitbit sleep data (2026-10-17)\n[3] About Sleep — https://www.cdc.gov/sleep/about/\n'
+  );
+  assert.equal(appendReferences('Answer.', evidence, { citedIds: [] }), 'Answer.\n\n## References\n\n_No evidence was cited._\n');
+});
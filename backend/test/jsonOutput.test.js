@@ -0,0 +1,92 @@
+// ============================================================================
+// JSON OUTPUT TESTS
+// ============================================================================
+// Replies the way free models actually send them: fenced, wrapped in prose,
+// half-Python or cut off, and checked against a plan-like schema.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { extractJsonText, parseModelJson, validateAgainstSchema, coerceToSchema, checkModelJson } = require('../lib/jsonOutput.js');
+
+const planSchema = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['actions'],
+  properties: {
+    actions: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['type', 'priority'],
+        properties: {
+          type: { type: 'string', enum: ['google_search', 'formulate_response'] },
+          query: { type: ['string', 'null'] },
+          priority: { type: 'integer', minimum: 1 }
+        }
+      }
+    }
+  }
+};
+
+test('takes the JSON out of fences and surrounding prose', () => {
+  const parsed = parseModelJson('Sure! Here is the plan:\n```json\n{"a": [1, 2]}\n```\nLet me know if you need more.');
+  assert.deepEqual(parsed.value, { a: [1, 2] });
+  assert.deepEqual(parsed.repairs, ['extracted JSON from surrounding text']);
+  assert.match(parsed.parseError, /not valid JSON/);
+
+  assert.equal(extractJsonText('The answer is {"a": "}"} and more text'), '{"a": "}"}');
+  // Valid JSON is left alone
+  assert.deepEqual(parseModelJson('{"a": 1}'), { value: { a: 1 }, text: '{"a": 1}', repairs: [], parseError: null });
+});
+
+test('repairs common syntax defects', () => {
+  const parsed = parseModelJson("{'steps': ['a', 'b',], done: True, note: None, // why\n}");
+  assert.deepEqual(parsed.value, { steps: ['a', 'b'], done: true, note: null });
+  for (const repair of ['replaced single quotes', 'quoted bare keys', 'replaced non-JSON literals', 'removed comments', 'removed trailing commas']) {
+    assert.ok(parsed.repairs.includes(repair), repair);
+  }
+  assert.deepEqual(parseModelJson('{“title”: “Sleep”}').value, { title: 'Sleep' });
+});
+
+test('closes a reply that stops early', () => {
+  const parsed = parseModelJson('{"actions": [{"type": "google_search", "query": "sleep');
+  assert.deepEqual(parsed.value, { actions: [{ type: 'google_search', query: 'sleep' }] });
+  assert.ok(parsed.repairs.includes('closed an unterminated string'));
+  assert.ok(parsed.repairs.includes('closed unbalanced brackets'));
+});
+
+test('reports replies with no JSON at all', () => {
+  const checked = checkModelJson('I cannot help with that.', planSchema);
+  assert.equal(checked.ok, false);
+  assert.equal(checked.value, undefined);
+  assert.match(checked.errors[0], /^Reply was not valid JSON/);
+});
+
+test('lists schema errors with their paths', () => {
+  const errors = validateAgainstSchema({ actions: [{ type: 'browse' }, { type: 'google_search', priority: 0 }] }, planSchema);
+  assert.deepEqual(errors, [
+    'actions[0].priority: is required',
+    'actions[0].type: must be one of "google_search", "formulate_response"',
+    'actions[1].priority: must be at least 1'
+  ]);
+  assert.deepEqual(validateAgainstSchema({ actions: [] }, planSchema), ['actions: needs at least 1 items']);
+  assert.deepEqual(validateAgainstSchema({ actions: [{ type: 'google_search', query: null, priority: 1 }] }, planSchema), []);
+});
+
+test('applies only the safe schema fixes', () => {
+  const checked = checkModelJson('{"actions": [{"type": "google_search", "priority": "2"}], "notes": "extra"}', planSchema);
+  assert.equal(checked.ok, true);
+  assert.deepEqual(checked.value, { actions: [{ type: 'google_search', priority: 2 }] });
+  assert.deepEqual(checked.repairs, ['converted numeric strings to numbers', 'dropped properties the schema does not allow']);
+
+  // "high" is not a number, so it stays and is reported
+  const coerced = coerceToSchema({ actions: [{ type: 'google_search', priority: 'high' }] }, planSchema);
+  assert.equal(coerced.value.actions[0].priority, 'high');
+  assert.deepEqual(coerced.repairs, []);
+  assert.deepEqual(coerceToSchema({ on: 'TRUE' }, { type: 'object', properties: { on: { type: 'boolean' } } }).value, { on: true });
+});
+
+test('without a schema any JSON is accepted', () => {
+  assert.equal(checkModelJson('[1, 2]').ok, true);
+});
@@ -0,0 +1,86 @@
+// ============================================================================
+// MODEL HEALTH TESTS
+// ============================================================================
+// Circuit breaker states on a fake clock, and the single half-open probe.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createModelHealth, parseRetryAfter } = require('../lib/modelHealth.js');
+
+const config = { windowSize: 20, failureThreshold: 2, cooldownMs: 1000, maxCooldownMs: 10000 };
+const target = (model) => ({ provider: { name: 'openrouter' }, model, entry: model });
+const A = target('model-a');
+const B = target('model-b');
+
+const setup = () => {
+  const clock = { now: 0 };
+  const health = createModelHealth(config, { now: () => clock.now });
+  return { clock, health, order: (chain) => health.plan(chain).targets.map(t => t.entry) };
+};
+
+test('failures in a row open the circuit until the cool-down ends', () => {
+  const { clock, health, order } = setup();
+  health.record(A, { success: false, status: 500 });
+  assert.deepEqual(order([A, B]), ['model-a', 'model-b']);
+  health.record(A, { success: false, status: 500 });
+  assert.deepEqual(order([A, B]), ['model-b']);
+  clock.now = 1000;
+  assert.deepEqual(order([A, B]), ['model-a', 'model-b']);
+  assert.equal(health.snapshot()[0].circuit, 'half_open');
+});
+
+test('a 429 opens the circuit for its Retry-After', () => {
+  const { clock, health, order } = setup();
+  health.record(A, { success: false, status: 429, retryAfterMs: 5000 });
+  clock.now = 4999;
+  assert.deepEqual(order([A, B]), ['model-b']);
+  clock.now = 5000;
+  assert.deepEqual(order([A, B]), ['model-a', 'model-b']);
+  assert.equal(parseRetryAfter('7'), 7000);
+});
+
+test('only one call probes a half-open model', () => {
+  const { clock, health, order } = setup();
+  health.record(A, { success: false, status: 503 });
+  health.record(A, { success: false, status: 503 });
+  clock.now = 1000;
+
+  assert.equal(health.claim(A), true);
+  assert.equal(health.claim(A), false);
+  assert.deepEqual(order([A, B]), ['model-b']);
+  assert.equal(health.snapshot()[0].probeInFlight, true);
+  // Closed and unknown models are never turned away
+  assert.equal(health.claim(B), true);
+  assert.equal(health.claim(B), true);
+
+  // A failed probe doubles the cool-down
+  health.record(A, { success: false, status: 503 });
+  clock.now = 2999;
+  assert.deepEqual(order([A, B]), ['model-b']);
+  clock.now = 3000;
+  assert.equal(health.claim(A), true);
+  health.record(A, { success: true });
+  assert.equal(health.snapshot()[0].circuit, 'closed');
+  assert.equal(health.claim(A), true);
+  assert.equal(health.claim(A), true);
+});
+
+test('a released or lost probe lets the next call probe', () => {
+  const { clock, health } = setup();
+  health.record(A, { success: false, status: 503 });
+  health.record(A, { success: false, status: 503 });
+  clock.now = 1000;
+  assert.equal(health.claim(A), true);
+  health.release(A);
+  assert.equal(health.claim(A), true);
+  assert.equal(health.claim(A), false);
+  clock.now += 5 * 60 * 1000;
+  assert.equal(health.claim(A), true);
+});
+
+test('unusable replies lower the success rate but keep the circuit closed', () => {
+  const { health, order } = setup();
+  for (let i = 0; i < 3; i++) health.record(A, { success: false, invalidOutput: true });
+  assert.equal(health.snapshot()[0].circuit, 'closed');
+  assert.deepEqual(order([A, B]), ['model-b', 'model-a']);
+});
@@ -0,0 +1,141 @@
+// ============================================================================
+// SEARCH PROVIDER TESTS
+// ============================================================================
+// The provider chain with a fake HTTP client and the local index in
+// test/fixtures/search: local matching, handing over to the next provider on
+// an empty answer or an error, local-only jobs and the response parsers.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { loadSearchProviderConfig, createSearchProviders } = require('../lib/searchProviders.js');
+const { createCassette } = require('../lib/cassette.js');
+
+const localDir = path.join(__dirname, 'fixtures', 'search');
+
+// http.get answers from `responses` (url -> body, or an Error to throw) and
+// remembers what was asked
+const fakeHttp = (responses = {}) => {
+  const requests = [];
+  return {
+    requests,
+    async get(url, { params }) {
+      requests.push({ url, params });
+      const response = responses[url];
+      if (response instanceof Error) throw response;
+      if (!response) throw new Error(`no response for ${url}`);
+      return { data: response };
+    }
+  };
+};
+
+const GOOGLE_URL = 'https://www.googleapis.com/customsearch/v1';
+const BRAVE_URL = 'https://api.search.brave.com/res/v1/web/search';
+const googleBody = { items: [{ title: 'Google result', snippet: 'From Google', link: 'https://example.org/google' }] };
+
+const setup = (env, { http = fakeHttp(), cassette = createCassette({ mode: 'off' }) } = {}) => {
+  const usage = [];
+  const providers = createSearchProviders({
+    config: loadSearchProviderConfig({ SEARCH_LOCAL_INDEX_DIR: localDir, ...env }),
+    http,
+    cassette,
+    recordUsage: (jobId, entry) => usage.push(entry)
+  });
+  return { providers, http, usage };
+};
+
+test('the local index answers exact and overlapping queries', async () => {
+  const { providers } = setup({ SEARCH_PROVIDERS: 'local' });
+  const exact = await providers.search('  Caffeine and sleep quality? ');
+  assert.equal(exact.provider, 'local');
+  assert.equal(exact.results.length, 2);
+  assert.deepEqual(Object.keys(exact.results[0]), ['title', 'snippet', 'link']);
+
+  // Shares most of its words with a saved query
+  const overlap = await providers.search('resting heart rate after sleep');
+  assert.equal(overlap.results[0].link, 'https://www.ncbi.nlm.nih.gov/pmc/articles/PMC0000001/');
+
+  // A saved Google response is read as a result set too
+  const saved = await providers.search('afternoon nap length');
+  assert.match(saved.results[0].link, /mayoclinic\.org/);
+
+  const miss = await providers.search('vitamin d and bone density');
+  assert.equal(miss.provider, null);
+  assert.deepEqual(miss.attempts, [{ provider: 'local', results: 0 }]);
+});
+
+test('falls back to the next provider when one finds nothing', async () => {
+  const { providers, http, usage } = setup(
+    { SEARCH_PROVIDERS: 'local,google', GOOGLE_API_KEY: 'key', GOOGLE_CSE_ID: 'cse' },
+    { http: fakeHttp({ [GOOGLE_URL]: googleBody }) }
+  );
+  const answered = await providers.search('caffeine and sleep quality');
+  assert.equal(answered.provider, 'local');
+  assert.equal(http.requests.length, 0);
+
+  const fallback = await providers.search('vitamin d and bone density', { jobId: '1' });
+  assert.equal(fallback.provider, 'google');
+  assert.deepEqual(fallback.attempts, [{ provider: 'local', results: 0 }, { provider: 'google', results: 1 }]);
+  assert.equal(http.requests[0].params.q, 'vitamin d and bone density');
+  // Only online providers are recorded in the usage ledger
+  assert.deepEqual(usage.map(entry => [entry.provider, entry.success, entry.results]), [['google', true, 1]]);
+});
+
+test('falls back to the next provider when one fails', async () => {
+  const { providers, usage } = setup(
+    { SEARCH_PROVIDERS: 'google,brave,local', GOOGLE_API_KEY: 'key', GOOGLE_CSE_ID: 'cse', BRAVE_SEARCH_API_KEY: 'brave' },
+    { http: fakeHttp({ [GOOGLE_URL]: new Error('quota exceeded'), [BRAVE_URL]: { web: { results: [] } } }) }
+  );
+  const { provider, results, attempts } = await providers.search('caffeine and sleep quality');
+  assert.equal(provider, 'local');
+  assert.equal(results.length, 2);
+  assert.deepEqual(attempts, [
+    { provider: 'google', error: 'quota exceeded' },
+    { provider: 'brave', results: 0 },
+    { provider: 'local', results: 2 }
+  ]);
+  assert.deepEqual(usage.map(entry => [entry.provider, entry.success]), [['google', false], ['brave', true]]);
+});
+
+test('unconfigured and unknown providers are skipped', async () => {
+  const { providers, http } = setup({ SEARCH_PROVIDERS: 'google,bing,searxng,local' });
+  assert.deepEqual(providers.names, ['google', 'searxng', 'local']);
+  assert.deepEqual(providers.usable(), ['local']);
+  assert.equal((await providers.search('caffeine and sleep quality')).provider, 'local');
+  assert.equal(http.requests.length, 0);
+});
+
+test('local-only jobs never reach an online provider', async () => {
+  const { providers, http } = setup(
+    { SEARCH_PROVIDERS: 'google,searxng,local', GOOGLE_API_KEY: 'key', GOOGLE_CSE_ID: 'cse', SEARXNG_URL: 'http://localhost:8888/' },
+    { http: fakeHttp({ [GOOGLE_URL]: googleBody }) }
+  );
+  assert.deepEqual(providers.usable({ localOnly: true }), ['local']);
+  const miss = await providers.search('vitamin d and bone density', { localOnly: true });
+  assert.equal(miss.provider, null);
+  assert.equal(http.requests.length, 0);
+  assert.equal((await providers.search('vitamin d and bone density')).provider, 'google');
+});
+
+test('parses SearXNG and Brave responses into the common shape', async () => {
+  const searxngUrl = 'http://localhost:8888/search';
+  const { providers } = setup(
+    { SEARCH_PROVIDERS: 'searxng', SEARXNG_URL: 'http://localhost:8888/' },
+    { http: fakeHttp({ [searxngUrl]: { results: [{ title: 'S', content: 'snippet', url: 'https://example.org/s' }] } }) }
+  );
+  assert.deepEqual((await providers.search('q')).results, [{ title: 'S', snippet: 'snippet', link: 'https://example.org/s' }]);
+
+  const brave = setup(
+    { SEARCH_PROVIDERS: 'brave', BRAVE_SEARCH_API_KEY: 'brave' },
+    { http: fakeHttp({ [BRAVE_URL]: { web: { results: [{ title: '<strong>Sleep</strong> &amp; rest', description: 'A &quot;quoted&quot; word', url: 'https://example.org/b' }] } } }) }
+  );
+  assert.deepEqual((await brave.providers.search('q')).results, [{ title: 'Sleep & rest', snippet: 'A "quoted" word', link: 'https://example.org/b' }]);
+});
+
+test('a replay needs recordings, not credentials', async () => {
+  const cassette = { isReplaying: () => true, run: async (kind, name, request) => (kind === 'google' && request.query === 'q' ? googleBody : null) };
+  const { providers, http } = setup({ SEARCH_PROVIDERS: 'google' }, { cassette });
+  assert.deepEqual(providers.usable(), ['google']);
+  assert.equal((await providers.search('q')).results[0].link, 'https://example.org/google');
+  assert.equal(http.requests.length, 0);
+});
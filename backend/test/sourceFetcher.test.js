@@ -0,0 +1,118 @@
+// ============================================================================
+// SOURCE FETCHER TESTS
+// ============================================================================
+// Runs the fetcher in fixture mode against test/fixtures/sources, so nothing
+// touches the network: robots.txt handling, redirects and host checks, the
+// byte cap and text extraction.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const {
+  SourceSkipError,
+  createSourceFetcher,
+  extractReadableText,
+  chunkText,
+  isPathAllowed,
+  parseRobots,
+  isPrivateAddress
+} = require('../lib/sourceFetcher.js');
+
+const fixturesDir = path.join(__dirname, 'fixtures', 'sources');
+const ARTICLE = 'https://health.example/articles/sleep-hygiene';
+
+const skipReason = async (promise) => {
+  try {
+    await promise;
+  } catch (error) {
+    assert.ok(error instanceof SourceSkipError, `expected a SourceSkipError, got ${error}`);
+    return error.reason;
+  }
+  assert.fail('expected the page to be skipped');
+};
+
+test('extracts the article text and drops boilerplate', async () => {
+  const page = await createSourceFetcher({ fixturesDir }).fetchPage(ARTICLE);
+  assert.equal(page.title, 'Sleep Hygiene & Healthy Habits');
+  assert.match(page.text, /^Sleep hygiene is the set of daily habits/);
+  assert.match(page.text, /around 18°C/);
+  for (const boilerplate of ['Share this', 'editorial policy', 'Related articles', 'All rights reserved', 'window.analytics', 'should not end']) {
+    assert.ok(!page.text.includes(boilerplate), `kept "${boilerplate}"`);
+  }
+  assert.equal(page.truncated, false);
+  assert.equal(page.finalUrl, ARTICLE);
+});
+
+test('plain text pages keep their non-empty lines', async () => {
+  const page = await createSourceFetcher({ fixturesDir }).fetchPage('https://health.example/notes.txt');
+  assert.equal(page.text, 'Adults need seven or more hours of sleep per night.\nIrregular sleep schedules are linked to poorer sleep quality.');
+});
+
+test('cuts pages off at the byte cap', async () => {
+  const page = await createSourceFetcher({ fixturesDir, maxBytes: 900 }).fetchPage(ARTICLE);
+  assert.equal(page.truncated, true);
+  assert.equal(page.bytes, 900);
+  // Only what came before the cap is extracted
+  assert.match(page.text, /Caffeine late in the day/);
+  assert.ok(!page.text.includes('twenty minutes'));
+});
+
+test('honours robots.txt', async () => {
+  const fetcher = createSourceFetcher({ fixturesDir });
+  assert.equal(await skipReason(fetcher.fetchPage('https://health.example/private/notes')), 'disallowed by robots.txt');
+  assert.equal(await fetcher.isAllowed('https://health.example/private/public-summary'), true);
+  // No robots.txt (404) allows everything; an unreachable one (5xx) allows nothing
+  assert.equal((await fetcher.fetchPage('https://norobots.example/page')).status, 200);
+  assert.equal(await skipReason(fetcher.fetchPage('https://down.example/page')), 'disallowed by robots.txt');
+  // respectRobots: false skips the check
+  assert.equal((await createSourceFetcher({ fixturesDir, respectRobots: false }).fetchPage('https://health.example/private/notes')).status, 200);
+});
+
+test('robots.txt rules: our group or "*", longest match wins', () => {
+  const rules = parseRobots('User-agent: *\nDisallow: /a\nAllow: /a/b\n\nUser-agent: other\nDisallow: /');
+  assert.equal(isPathAllowed(rules, '/a/c'), false);
+  assert.equal(isPathAllowed(rules, '/a/b/c'), true);
+  assert.equal(isPathAllowed(rules, '/z'), true);
+  assert.deepEqual(parseRobots('User-agent: sleepdiaryai-sourcefetcher\nDisallow: /x\n\nUser-agent: *\nDisallow: /'), [{ allow: false, path: '/x' }]);
+});
+
+test('follows redirects hop by hop with the same checks', async () => {
+  const fetcher = createSourceFetcher({ fixturesDir });
+  const page = await fetcher.fetchPage('https://health.example/old-link');
+  assert.equal(page.url, 'https://health.example/old-link');
+  assert.equal(page.finalUrl, ARTICLE);
+  assert.match(await skipReason(fetcher.fetchPage('https://health.example/to-private')), /disallowed by robots\.txt/);
+  assert.match(await skipReason(fetcher.fetchPage('https://health.example/to-metadata')), /169\.254\.169\.254 is a private or local address/);
+  assert.equal(await skipReason(fetcher.fetchPage('https://health.example/loop')), 'more than 5 redirects');
+});
+
+test('refuses private, loopback and link-local hosts', async () => {
+  const fetcher = createSourceFetcher({ fixturesDir });
+  for (const url of ['http://127.0.0.1/', 'http://10.0.0.8/admin', 'http://[::1]/', 'http://[::ffff:169.254.169.254]/', 'http://2130706433/']) {
+    assert.match(await skipReason(fetcher.fetchPage(url)), /private or local address/, url);
+  }
+  // Hostnames are checked by what they resolve to
+  const resolvesPrivate = createSourceFetcher({ fixturesDir, lookup: async () => [{ address: '93.184.216.34' }, { address: '192.168.0.10' }] });
+  assert.match(await skipReason(resolvesPrivate.fetchPage(ARTICLE)), /health\.example is a private or local address/);
+  const resolvesPublic = createSourceFetcher({ fixturesDir, lookup: async () => [{ address: '93.184.216.34' }] });
+  assert.equal((await resolvesPublic.fetchPage(ARTICLE)).status, 200);
+
+  assert.equal(isPrivateAddress('172.31.255.255'), true);
+  assert.equal(isPrivateAddress('172.32.0.1'), false);
+  assert.equal(isPrivateAddress('fd12::1'), true);
+  assert.equal(isPrivateAddress('2606:4700::1111'), false);
+});
+
+test('rejects unusable URLs and responses', async () => {
+  const fetcher = createSourceFetcher({ fixturesDir });
+  assert.equal(await skipReason(fetcher.fetchPage('not a url')), 'invalid URL');
+  assert.equal(await skipReason(fetcher.fetchPage('file:///etc/passwd')), 'not an http(s) URL');
+  assert.equal(await skipReason(fetcher.fetchPage('https://health.example/gone')), 'HTTP 404');
+});
+
+test('chunks long text at paragraph and sentence boundaries', () => {
+  const { text } = extractReadableText('<body><p>' + 'This sentence is about sleep and repeats. '.repeat(40) + '</p></body>');
+  const chunks = chunkText(text, { chunkChars: 300 });
+  assert.ok(chunks.length > 1);
+  assert.ok(chunks.every(chunk => chunk.length <= 300 && chunk.endsWith('.')));
+});
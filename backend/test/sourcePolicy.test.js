@@ -0,0 +1,117 @@
+// ============================================================================
+// SOURCE POLICY TESTS
+// ============================================================================
+// Tiers, subdomain and path matching, the allow and block lists, both modes
+// and how a SOURCE_POLICY_FILE is merged over the defaults.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadSourcePolicyConfig, createSourcePolicy, rankByCredibility, credibilityLabel } = require('../lib/sourcePolicy.js');
+
+const policyFor = (env = {}) => createSourcePolicy(loadSourcePolicyConfig(env));
+
+// Writes a policy file to a temp dir and loads it, with console.warn captured
+const loadWithFile = (policy) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'source-policy-'));
+  const file = path.join(dir, 'policy.json');
+  fs.writeFileSync(file, JSON.stringify(policy));
+  const warnings = [];
+  const warn = console.warn;
+  console.warn = (...args) => warnings.push(args.join(' '));
+  try {
+    return { config: loadSourcePolicyConfig({ SOURCE_POLICY_FILE: file }), warnings };
+  } finally {
+    console.warn = warn;
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+};
+
+test('rates domains, subdomains and paths by the most specific tier', () => {
+  const policy = policyFor();
+  assert.equal(policy.rate('https://pubmed.ncbi.nlm.nih.gov/123/').tier, 'peer_reviewed');
+  assert.equal(policy.rate('https://www.ncbi.nlm.nih.gov/pmc/articles/PMC1/').tier, 'peer_reviewed');
+  assert.equal(policy.rate('https://www.ncbi.nlm.nih.gov/books/NBK1/').tier, 'government');
+  assert.equal(policy.rate('https://www.sleep.ox.ac.uk/').tier, 'academic');
+  assert.equal(policy.rate('https://www.bbc.com/news/health-1').tier, 'health_news');
+  assert.equal(policy.rate('https://www.bbc.com/sport').tier, 'unrated');
+  assert.equal(policy.rate('https://www.reddit.com/r/sleep').tier, 'forum');
+  // A suffix that is not a whole label does not match
+  assert.equal(policy.rate('https://notnih.gov.example.com/').tier, 'unrated');
+  assert.deepEqual(policy.rate('not a url'), { tier: 'invalid', label: 'Invalid URL', score: 0, domain: null, reason: 'not a valid URL', action: 'drop' });
+});
+
+test('down-weights or drops results under the minimum score', () => {
+  const results = [
+    { title: 'Forum', link: 'https://www.reddit.com/r/sleep' },
+    { title: 'Game', link: 'https://www.ign.com/sleep' },
+    { title: 'CDC', link: 'https://www.cdc.gov/sleep/' }
+  ];
+  const downweighted = policyFor().apply(results);
+  assert.deepEqual(downweighted.kept.map(r => r.title), ['CDC', 'Forum']);
+  assert.equal(downweighted.kept[1].credibility.downweighted, true);
+  assert.deepEqual(downweighted.dropped.map(r => r.title), ['Game']);
+  assert.match(downweighted.dropped[0].credibility.reason, /^blocklisted/);
+
+  const dropped = policyFor({ SOURCE_POLICY_MODE: 'drop' }).apply(results);
+  assert.deepEqual(dropped.kept.map(r => r.title), ['CDC']);
+  assert.deepEqual(dropped.dropped.map(r => r.title), ['Forum', 'Game']);
+
+  assert.equal(policyFor({ SOURCE_MIN_CREDIBILITY: '0.1' }).rate('https://reddit.com/').action, 'keep');
+});
+
+test('the allowlist beats a less specific blocklist entry', () => {
+  const policy = policyFor({ SOURCE_BLOCKLIST: 'medium.com', SOURCE_ALLOWLIST: 'sleepscience.medium.com, reddit.com' });
+  assert.equal(policy.rate('https://other.medium.com/post').action, 'drop');
+  const allowed = policy.rate('https://sleepscience.medium.com/post');
+  assert.equal(allowed.action, 'keep');
+  assert.equal(allowed.score, 0.9);
+  assert.equal(policy.rate('https://reddit.com/r/sleep').action, 'keep');
+  // Blocklisted by default, and the allowlist entry is no more specific
+  assert.equal(policyFor({ SOURCE_ALLOWLIST: 'ign.com' }).rate('https://ign.com/').action, 'drop');
+});
+
+test('a policy file adds domains to a tier and can move them', () => {
+  const { config } = loadWithFile({
+    tiers: {
+      peer_reviewed: { domains: ['Sleepjournal.org'] },
+      medical_institution: { domains: ['healthline.com'] },
+      sleep_clinics: { label: 'Sleep clinic', score: 0.75, domains: ['sleepclinic.example'] }
+    }
+  });
+  assert.ok(config.tiers.peer_reviewed.domains.includes('pubmed.ncbi.nlm.nih.gov'));
+  assert.ok(config.tiers.peer_reviewed.domains.includes('sleepjournal.org'));
+  assert.ok(!config.tiers.health_news.domains.includes('healthline.com'));
+
+  const policy = createSourcePolicy(config);
+  assert.equal(policy.rate('https://healthline.com/sleep').tier, 'medical_institution');
+  assert.equal(policy.rate('https://www.sleepjournal.org/a').tier, 'peer_reviewed');
+  assert.equal(policy.rate('https://webmd.com/sleep').tier, 'health_news');
+  assert.equal(policy.rate('https://sleepclinic.example/').score, 0.75);
+});
+
+test('bad tier scores fall back to the built-in score', () => {
+  const { config, warnings } = loadWithFile({
+    tiers: { forum: { score: 'high' }, health_news: { score: '0.5' }, government: { score: 7 }, academic: { score: null } }
+  });
+  assert.equal(config.tiers.forum.score, 0.2);
+  assert.equal(config.tiers.health_news.score, 0.5);
+  assert.equal(config.tiers.government.score, 0.9);
+  assert.equal(config.tiers.academic.score, 0.7);
+  assert.equal(warnings.length, 3);
+  assert.equal(credibilityLabel(createSourcePolicy(config).apply([{ link: 'https://cdc.gov/' }]).kept[0]), 'Government health agency, 0.9');
+});
+
+test('ranks by score and keeps the order within a score', () => {
+  const ranked = rankByCredibility([
+    { id: 1, credibility: { score: 0.4 } },
+    { id: 2 },
+    { id: 3, credibility: { score: 1 } },
+    { id: 4, credibility: { score: 0.4 } }
+  ]);
+  assert.deepEqual(ranked.map(r => r.id), [3, 1, 2, 4]);
+  assert.equal(credibilityLabel({}), 'Unrated');
+  assert.equal(credibilityLabel({ credibility: { label: 'Forum / user-generated', score: 0.2, downweighted: true } }), 'Forum / user-generated, 0.2, low credibility');
+});